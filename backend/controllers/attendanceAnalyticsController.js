@@ -0,0 +1,191 @@
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const ExamMark = require('../models/ExamMark');
+const Session = require('../models/Session');
+const { getRiskThresholds, analyseAttendance, analyseMarks, assessRisk } = require('../utils/attendanceRisk');
+
+// @desc    Get a ranked list of students at risk of chronic absenteeism per class
+// @route   GET /api/attendance/at-risk
+// @access  Private (Admin, Class teacher)
+const getAtRiskStudents = async (req, res) => {
+  try {
+    const {
+      class: classId,
+      section,
+      session: sessionId,
+      startDate,
+      endDate,
+      includeAll
+    } = req.query;
+
+    const thresholds = getRiskThresholds(req.query);
+
+    const session = sessionId ? await Session.findById(sessionId) : await Session.getActiveSession();
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Class teachers see their own classes; admins see every class
+    const classQuery = { session: session._id };
+    if (classId) classQuery._id = classId;
+    if (req.user.role === 'Teacher') classQuery.classTeacher = req.user._id;
+
+    const classes = await Class.find(classQuery).select('name').sort({ name: 1 });
+    if (classId && classes.length === 0) {
+      return req.user.role === 'Teacher'
+        ? res.status(403).json({
+          success: false,
+          message: 'Access denied. Only the class teacher can view at-risk students for this class.'
+        })
+        : res.status(404).json({
+          success: false,
+          message: 'Class not found in this session'
+        });
+    }
+
+    // Analyse from the session start (or startDate) up to today (or endDate)
+    const today = toDateKey(new Date());
+    const from = [toDateKey(session.startDate), startDate ? toDateKey(startDate) : ''].sort().pop();
+    const to = [toDateKey(session.endDate), today, endDate ? toDateKey(endDate) : today].sort()[0];
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'The date range has no days in this session'
+      });
+    }
+
+    const students = await Student.find({
+      class: { $in: classes.map(classData => classData._id) },
+      session: session._id,
+      status: 'Active',
+      ...(section && { section })
+    })
+      .populate('user', 'firstName lastName')
+      .populate('section', 'name')
+      .select('user admissionNumber rollNumber class section admissionDate');
+
+    const studentIds = students.map(student => student._id);
+
+    const [records, marks] = await Promise.all([
+      Attendance.find(Attendance.dailyQuery({
+        student: { $in: studentIds },
+        date: { $gte: toDay(from), $lte: toDay(to) }
+      })).select('student class section date status'),
+      ExamMark.find({ student: { $in: studentIds }, session: session._id })
+        .populate('examType', 'name')
+        .populate('exam', 'date')
+        .select('student exam examType percentage isAbsent originalMark')
+    ]);
+
+    const workingDates = session.getWorkingDates(toDay(from), toDay(to));
+
+    // Days nobody in the class section marked are left out, so a missed register does not flag everyone
+    const classMarkedDates = new Set(records.map(record =>
+      `${record.class}|${record.section || ''}|${toDateKey(record.date)}`));
+
+    const recordsByStudent = new Map();
+    records.forEach(record => {
+      const key = record.student.toString();
+      if (!recordsByStudent.has(key)) recordsByStudent.set(key, new Map());
+      recordsByStudent.get(key).set(toDateKey(record.date), record.status);
+    });
+
+    const marksByStudent = new Map();
+    marks
+      .filter(mark => mark.exam && toDateKey(mark.exam.date) <= to)
+      .forEach(mark => {
+        const key = mark.student.toString();
+        if (!marksByStudent.has(key)) marksByStudent.set(key, []);
+        marksByStudent.get(key).push(mark);
+      });
+
+    const groups = new Map(classes.map(classData => [classData._id.toString(), {
+      class: { _id: classData._id, name: classData.name },
+      totalStudents: 0,
+      atRisk: 0,
+      students: []
+    }]));
+
+    students.forEach(student => {
+      const group = groups.get(student.class.toString());
+      const sectionId = student.section ? student.section._id.toString() : '';
+      const statuses = recordsByStudent.get(student._id.toString()) || new Map();
+      const admitted = student.admissionDate ? toDateKey(student.admissionDate) : '';
+
+      const dates = new Set([
+        ...workingDates.filter(date => date >= admitted && classMarkedDates.has(`${student.class}|${sectionId}|${date}`)),
+        ...statuses.keys()
+      ]);
+      const days = [...dates].sort().map(date => ({ date, status: statuses.get(date) || null }));
+
+      const attendance = analyseAttendance(days, thresholds, to);
+      const marksTrend = analyseMarks(ExamMark.countedAttempts(marksByStudent.get(student._id.toString()) || []));
+      const risk = assessRisk(attendance, marksTrend, thresholds);
+
+      group.totalStudents += 1;
+      if (risk.flags.length > 0) group.atRisk += 1;
+      if (risk.flags.length === 0 && includeAll !== 'true') return;
+
+      group.students.push({
+        student: {
+          _id: student._id,
+          name: student.user ? `${student.user.firstName} ${student.user.lastName}` : '',
+          admissionNumber: student.admissionNumber,
+          rollNumber: student.rollNumber,
+          section: student.section ? student.section.name : null
+        },
+        ...risk,
+        attendance,
+        marks: {
+          latest: marksTrend.latest,
+          previous: marksTrend.previous,
+          drop: marksTrend.drop
+        }
+      });
+    });
+
+    // Highest risk first; among equals, the lowest attendance first
+    const classResults = [...groups.values()].map(group => ({
+      ...group,
+      students: group.students.sort((a, b) =>
+        b.riskScore - a.riskScore || (a.attendance.percentage ?? 100) - (b.attendance.percentage ?? 100))
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        session: { _id: session._id, name: session.name },
+        startDate: from,
+        endDate: to,
+        thresholds,
+        summary: {
+          totalStudents: students.length,
+          atRisk: classResults.reduce((sum, group) => sum + group.atRisk, 0),
+          highRisk: classResults.reduce((sum, group) =>
+            sum + group.students.filter(row => row.riskLevel === 'High').length, 0)
+        },
+        classes: classResults
+      }
+    });
+  } catch (error) {
+    console.error('Get at-risk students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while analysing attendance risk'
+    });
+  }
+};
+
+// Helper functions
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const toDay = (key) => new Date(`${key}T00:00:00.000Z`);
+
+module.exports = {
+  getAtRiskStudents
+};
@@ -3,8 +3,16 @@ const Attendance = require('../models/Attendance');
 const Student = require('../models/Student');
 const Class = require('../models/Class');
 const Subject = require('../models/Subject');
+const Exam = require('../models/Exam');
+const Session = require('../models/Session');
+const AbsenceAlert = require('../models/AbsenceAlert');
+const LeaveApplication = require('../models/LeaveApplication');
+const { queueAbsenceAlerts } = require('../utils/absenceAlerts');
 const mongoose = require('mongoose');
 
+// Minimum subject attendance percentage for sitting exams
+const DEFAULT_ELIGIBILITY_THRESHOLD = 75;
+
 // @desc    Get attendance records
 // @route   GET /api/attendance
 // @access  Private (Admin, Teacher, Student-own, Parent-own)
@@ -17,6 +25,7 @@ const getAttendance = async (req, res) => {
       section: sectionId,
       student: studentId,
       subject: subjectId,
+      period,
       date,
       startDate,
       endDate,
@@ -52,6 +61,7 @@ const getAttendance = async (req, res) => {
     if (sectionId) query.section = sectionId;
     if (studentId) query.student = studentId;
     if (subjectId) query.subject = subjectId;
+    if (period) query.period = period;
     if (status) query.status = status;
 
     // Date filtering
@@ -81,7 +91,7 @@ const getAttendance = async (req, res) => {
       .populate('section', 'name')
       .populate('subject', 'name code')
       .populate('markedBy', 'firstName lastName')
-      .sort({ date: -1, createdAt: -1 })
+      .sort({ date: -1, period: 1, createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
@@ -128,6 +138,7 @@ const markAttendance = async (req, res) => {
       class: classId,
       section: sectionId,
       subject: subjectId,
+      period,
       date,
       attendanceData // Array of { student, status, remarks }
     } = req.body;
@@ -144,21 +155,55 @@ const markAttendance = async (req, res) => {
       });
     }
 
-    // Check if attendance already marked for this date
+    const classData = await Class.findById(classId);
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    // Attendance can only be marked on working days of the session calendar
+    const session = await Session.findById(classData.session);
+    const day = session ? session.getDayType(date) : null;
+    if (day && !day.isWorkingDay) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot mark attendance on ${day.date}: ${day.event ? `${day.type} (${day.event.name})` : day.type.toLowerCase()}`,
+        data: { day }
+      });
+    }
+
+    // Period-wise attendance must be for a subject taught in the class
+    if (subjectId) {
+      const subject = await Subject.findOne({ _id: subjectId, classes: classId });
+      if (!subject) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subject is not taught in the specified class'
+        });
+      }
+    }
+
+    // Check if attendance already marked for this date (and subject period)
+    const attendanceDay = toDay(date);
     const existingAttendance = await Attendance.findOne({
       class: classId,
       section: sectionId,
-      subject: subjectId,
+      subject: subjectId || null,
+      period: period || null,
       date: {
-        $gte: new Date(attendanceDate.setHours(0, 0, 0, 0)),
-        $lt: new Date(attendanceDate.setHours(23, 59, 59, 999))
+        $gte: attendanceDay,
+        $lt: new Date(attendanceDay.getTime() + 24 * 60 * 60 * 1000)
       }
     });
 
     if (existingAttendance) {
       return res.status(400).json({
         success: false,
-        message: 'Attendance already marked for this date. Use update endpoint to modify.'
+        message: subjectId
+          ? 'Attendance already marked for this subject period. Use update endpoint to modify.'
+          : 'Attendance already marked for this date. Use update endpoint to modify.'
       });
     }
 
@@ -178,29 +223,66 @@ const markAttendance = async (req, res) => {
       });
     }
 
-    // Create attendance records
-    const attendanceRecords = attendanceData.map(item => ({
-      student: item.student,
+    // Approved leave pre-fills as Excused: students on leave who are left out or marked Absent
+    const rosterIds = (await Student.find({
       class: classId,
-      section: sectionId,
-      subject: subjectId,
-      date: new Date(date),
-      status: item.status,
-      remarks: item.remarks || '',
-      markedBy: req.user._id
-    }));
+      ...(sectionId && { section: sectionId }),
+      status: 'Active'
+    }).distinct('_id')).map(id => id.toString());
+    const leaves = await LeaveApplication.getApprovedOn(rosterIds, date);
+    const markedIds = new Set(studentIds.map(id => id.toString()));
+    const entries = [
+      ...attendanceData,
+      ...[...leaves.keys()]
+        .filter(studentId => !markedIds.has(studentId))
+        .map(studentId => ({ student: studentId, status: 'Absent' }))
+    ];
+
+    // Create attendance records
+    const excusedIds = new Set();
+    const attendanceRecords = entries.map(item => {
+      const onLeave = leaves.has(item.student.toString()) && item.status === 'Absent';
+      if (onLeave) excusedIds.add(item.student.toString());
+      return {
+        student: item.student,
+        class: classId,
+        section: sectionId,
+        subject: subjectId,
+        period,
+        // Stored at UTC midnight, as import and sync store it, so per-day lookups find it
+        date: attendanceDay,
+        status: onLeave ? 'Excused' : item.status,
+        remarks: item.remarks || (onLeave ? 'Approved leave' : ''),
+        markedBy: req.user._id,
+        session: classData.session
+      };
+    });
 
     const createdRecords = await Attendance.insertMany(attendanceRecords);
 
+    // Remember what each leave excused so cancelling the leave can restore it
+    const excusedByLeave = createdRecords.filter(record => excusedIds.has(record.student.toString()));
+    for (const record of excusedByLeave) {
+      const leave = leaves.get(record.student.toString());
+      leave.excusedAttendance.push(record._id);
+      await leave.save();
+    }
+
+    // Parents are alerted in the background; a failed alert must not fail the marking
+    queueAbsenceAlerts(createdRecords, req.user._id)
+      .catch(error => console.error('Queue absence alerts error:', error));
+
     res.status(201).json({
       success: true,
       message: 'Attendance marked successfully',
       data: {
         recordsCreated: createdRecords.length,
+        excusedOnLeave: excusedByLeave.length,
         date: date,
         class: classId,
         section: sectionId,
-        subject: subjectId
+        subject: subjectId,
+        period
       }
     });
   } catch (error) {
@@ -217,7 +299,17 @@ const markAttendance = async (req, res) => {
 // @access  Private (Admin, Teacher)
 const updateAttendance = async (req, res) => {
   try {
-    const { status, remarks } = req.body;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, remarks, reason } = req.body;
 
     const attendance = await Attendance.findById(req.params.id);
     if (!attendance) {
@@ -242,25 +334,40 @@ const updateAttendance = async (req, res) => {
       }
     }
 
-    // Update attendance
-    const updatedAttendance = await Attendance.findByIdAndUpdate(
-      req.params.id,
-      {
-        status,
-        remarks,
-        updatedBy: req.user._id
-      },
-      { new: true, runValidators: true }
-    ).populate([
+    // Once the edit window closes only an admin can change the record, and must say why
+    const isLocked = attendance.isLocked();
+    if (isLocked && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: `Attendance was locked on ${attendance.getLockTime().toISOString()}. Ask an admin to change it.`
+      });
+    }
+
+    if (isLocked && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to change locked attendance'
+      });
+    }
+
+    const changed = attendance.applyChanges({ status, remarks }, req.user._id, reason, isLocked);
+    if (changed) await attendance.save();
+
+    const updatedAttendance = await attendance.populate([
       { path: 'student', select: 'admissionNumber rollNumber', populate: { path: 'user', select: 'firstName lastName' } },
       { path: 'class', select: 'name grade' },
       { path: 'section', select: 'name' },
       { path: 'subject', select: 'name code' }
     ]);
 
+    if (changed) {
+      queueAbsenceAlerts([updatedAttendance], req.user._id)
+        .catch(error => console.error('Queue absence alerts error:', error));
+    }
+
     res.json({
       success: true,
-      message: 'Attendance updated successfully',
+      message: changed ? 'Attendance updated successfully' : 'No changes to attendance',
       data: { attendance: updatedAttendance }
     });
   } catch (error) {
@@ -272,13 +379,138 @@ const updateAttendance = async (req, res) => {
   }
 };
 
+// @desc    Get the attendance change audit report for a class or dates
+// @route   GET /api/attendance/audit
+// @access  Private (Admin, Teacher)
+const getAttendanceAudit = async (req, res) => {
+  try {
+    const {
+      class: classId,
+      section,
+      date,
+      startDate,
+      endDate,
+      changedBy,
+      overridesOnly
+    } = req.query;
+
+    if (!classId && !date && !(startDate && endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Class, date or a date range is required'
+      });
+    }
+
+    const query = { 'changeHistory.0': { $exists: true } };
+    if (classId) query.class = classId;
+    if (section) query.section = section;
+
+    if (date) {
+      const day = new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+      query.date = day;
+    } else if (startDate && endDate) {
+      query.date = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    // Teachers audit only their assigned classes
+    if (req.user.role === 'Teacher') {
+      const Teacher = require('../models/Teacher');
+      const teacher = await Teacher.findOne({ user: req.user._id });
+      const assignedClassIds = teacher ? teacher.assignedClasses.map(ac => ac.class.toString()) : [];
+      query.class = classId
+        ? (assignedClassIds.includes(classId) ? classId : null)
+        : { $in: assignedClassIds };
+    }
+
+    const records = await Attendance.find(query)
+      .populate({
+        path: 'student',
+        select: 'admissionNumber rollNumber',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .populate('class', 'name')
+      .populate('section', 'name')
+      .populate('subject', 'name code')
+      .populate('markedBy', 'firstName lastName')
+      .populate('changeHistory.changedBy', 'firstName lastName role')
+      .sort({ date: -1 });
+
+    const changes = [];
+    records.forEach(record => {
+      record.changeHistory
+        .filter(change => !changedBy || change.changedBy?._id.toString() === changedBy)
+        .filter(change => overridesOnly !== 'true' || change.isOverride)
+        .forEach(change => {
+          changes.push({
+            attendance: record._id,
+            student: record.student,
+            class: record.class,
+            section: record.section,
+            subject: record.subject,
+            period: record.period,
+            date: record.date,
+            currentStatus: record.status,
+            markedBy: record.markedBy,
+            markedAt: record.markedAt,
+            field: change.field,
+            oldValue: change.oldValue,
+            newValue: change.newValue,
+            reason: change.reason,
+            isOverride: change.isOverride,
+            changedBy: change.changedBy,
+            changedAt: change.changedAt
+          });
+        });
+    });
+
+    changes.sort((a, b) => b.changedAt - a.changedAt);
+
+    const byUser = new Map();
+    changes.forEach(change => {
+      const key = change.changedBy ? change.changedBy._id.toString() : 'unknown';
+      if (!byUser.has(key)) {
+        byUser.set(key, {
+          user: change.changedBy,
+          changes: 0,
+          overrides: 0
+        });
+      }
+      byUser.get(key).changes += 1;
+      if (change.isOverride) byUser.get(key).overrides += 1;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          records: new Set(changes.map(change => change.attendance.toString())).size,
+          changes: changes.length,
+          statusChanges: changes.filter(change => change.field === 'status').length,
+          overrides: changes.filter(change => change.isOverride).length,
+          byUser: [...byUser.values()].sort((a, b) => b.changes - a.changes)
+        },
+        changes
+      }
+    });
+  } catch (error) {
+    console.error('Get attendance audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching attendance audit'
+    });
+  }
+};
+
 // @desc    Get attendance summary for a student
 // @route   GET /api/attendance/student/:studentId/summary
 // @access  Private (Admin, Teacher, Student-own, Parent-own)
 const getStudentAttendanceSummary = async (req, res) => {
   try {
     const { studentId } = req.params;
-    const { startDate, endDate, subject } = req.query;
+    const { startDate, endDate, subject, session, threshold = DEFAULT_ELIGIBILITY_THRESHOLD } = req.query;
 
     // Check permissions
     if (req.user.role === 'Student') {
@@ -299,9 +531,19 @@ const getStudentAttendanceSummary = async (req, res) => {
       }
     }
 
+    const student = await Student.findById(studentId).select('session');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
     // Build query
     let query = { student: studentId };
 
+    if (session) query.session = session;
+
     if (startDate && endDate) {
       query.date = {
         $gte: new Date(startDate),
@@ -316,36 +558,56 @@ const getStudentAttendanceSummary = async (req, res) => {
     // Get attendance records
     const attendanceRecords = await Attendance.find(query)
       .populate('subject', 'name code')
-      .sort({ date: 1 });
+      .sort({ date: 1, period: 1 });
+
+    // Daily records make up the day summary unless a single subject was asked for
+    const dailyRecords = subject
+      ? attendanceRecords
+      : attendanceRecords.filter(record => !record.subject);
+
+    // Working days come from the session calendar, so days nobody marked are reported too
+    const expectedDates = subject
+      ? []
+      : await Attendance.getExpectedDates(studentId, session || student.session, startDate, endDate);
+    const markedDates = new Set(dailyRecords.map(record => record.date.toISOString().slice(0, 10)));
+    const unmarkedDates = expectedDates.filter(date => !markedDates.has(date));
 
     // Calculate summary
     const summary = {
-      totalDays: attendanceRecords.length,
-      presentDays: attendanceRecords.filter(record => record.status === 'Present').length,
-      absentDays: attendanceRecords.filter(record => record.status === 'Absent').length,
-      lateDays: attendanceRecords.filter(record => record.status === 'Late').length,
-      excusedDays: attendanceRecords.filter(record => record.status === 'Excused').length,
+      totalDays: dailyRecords.length,
+      workingDays: expectedDates.length,
+      presentDays: dailyRecords.filter(record => record.status === 'Present').length,
+      absentDays: dailyRecords.filter(record => record.status === 'Absent').length,
+      lateDays: dailyRecords.filter(record => record.status === 'Late').length,
+      excusedDays: dailyRecords.filter(record => record.status === 'Excused').length,
+      unmarkedDays: unmarkedDates.length,
+      unmarkedDates,
       attendancePercentage: 0
     };
 
-    if (summary.totalDays > 0) {
+    // Days marked outside the calendar (e.g. before a holiday was added) still count
+    const countedDays = new Set([...expectedDates, ...markedDates]).size;
+    if (countedDays > 0) {
       summary.attendancePercentage = Math.round(
-        ((summary.presentDays + summary.lateDays + summary.excusedDays) / summary.totalDays) * 100
+        ((summary.presentDays + summary.lateDays + summary.excusedDays) / countedDays) * 100
       );
     }
 
-    // Subject-wise summary
+    // Subject-wise summary of period attendance
     const subjectWise = {};
-    attendanceRecords.forEach(record => {
-      const subjectName = record.subject?.name || 'General';
+    attendanceRecords.filter(record => record.subject).forEach(record => {
+      const subjectName = record.subject.name;
       if (!subjectWise[subjectName]) {
         subjectWise[subjectName] = {
+          subject: record.subject._id,
+          code: record.subject.code,
           total: 0,
           present: 0,
           absent: 0,
           late: 0,
           excused: 0,
-          percentage: 0
+          percentage: 0,
+          isEligible: true
         };
       }
       
@@ -353,7 +615,7 @@ const getStudentAttendanceSummary = async (req, res) => {
       subjectWise[subjectName][record.status.toLowerCase()]++;
     });
 
-    // Calculate percentages for each subject
+    // Calculate percentages and exam eligibility for each subject
     Object.keys(subjectWise).forEach(subject => {
       const data = subjectWise[subject];
       if (data.total > 0) {
@@ -361,13 +623,21 @@ const getStudentAttendanceSummary = async (req, res) => {
           ((data.present + data.late + data.excused) / data.total) * 100
         );
       }
+      data.isEligible = data.percentage >= Number(threshold);
     });
 
+    const shortSubjects = Object.keys(subjectWise).filter(subject => !subjectWise[subject].isEligible);
+
     res.json({
       success: true,
       data: {
         summary,
         subjectWise,
+        eligibility: {
+          threshold: Number(threshold),
+          isEligible: shortSubjects.length === 0,
+          shortSubjects
+        },
         records: attendanceRecords
       }
     });
@@ -380,6 +650,110 @@ const getStudentAttendanceSummary = async (req, res) => {
   }
 };
 
+// @desc    Check subject attendance eligibility of students before exams
+// @route   GET /api/attendance/eligibility
+// @access  Private (Admin, Teacher)
+const getAttendanceEligibility = async (req, res) => {
+  try {
+    const { exam: examId, threshold = DEFAULT_ELIGIBILITY_THRESHOLD } = req.query;
+    let { class: classId, section, subject, session, startDate, endDate } = req.query;
+
+    let rosterQuery;
+    let exam = null;
+
+    // An exam gives the class, subject and session, and counts attendance up to its date
+    if (examId) {
+      exam = await Exam.findById(examId).select('name class section subject session date isSupplementary candidates');
+      if (!exam) {
+        return res.status(404).json({
+          success: false,
+          message: 'Exam not found'
+        });
+      }
+
+      rosterQuery = exam.getRosterQuery();
+      subject = exam.subject;
+      session = exam.session;
+      endDate = endDate || exam.date;
+    } else if (classId) {
+      rosterQuery = {
+        class: classId,
+        ...(section && { section }),
+        status: 'Active'
+      };
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Class or exam is required'
+      });
+    }
+
+    const students = await Student.find(rosterQuery)
+      .populate('user', 'firstName lastName')
+      .select('admissionNumber rollNumber user')
+      .sort({ rollNumber: 1 });
+
+    const matchQuery = { student: { $in: students.map(student => student._id) } };
+    if (subject) matchQuery.subject = new mongoose.Types.ObjectId(subject);
+    if (session) matchQuery.session = new mongoose.Types.ObjectId(session);
+    if (startDate || endDate) {
+      matchQuery.date = {
+        ...(startDate && { $gte: new Date(startDate) }),
+        ...(endDate && { $lte: new Date(endDate) })
+      };
+    }
+
+    const rows = await Attendance.getSubjectWiseSummary(matchQuery);
+    const subjects = await Subject.find({ _id: { $in: [...new Set(rows.map(row => row.subject.toString()))] } })
+      .select('name code');
+    const subjectNames = new Map(subjects.map(item => [item._id.toString(), item]));
+
+    const minimum = Number(threshold);
+    const studentData = students.map(student => {
+      const subjectRows = rows
+        .filter(row => row.student.toString() === student._id.toString())
+        .map(row => ({
+          subject: subjectNames.get(row.subject.toString()) || row.subject,
+          total: row.total,
+          attended: row.present + row.late + row.excused,
+          percentage: row.percentage,
+          isEligible: row.percentage >= minimum
+        }));
+
+      return {
+        student: {
+          _id: student._id,
+          name: student.user ? `${student.user.firstName} ${student.user.lastName}` : '',
+          admissionNumber: student.admissionNumber,
+          rollNumber: student.rollNumber
+        },
+        subjects: subjectRows,
+        isEligible: subjectRows.every(row => row.isEligible)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        exam,
+        threshold: minimum,
+        summary: {
+          totalStudents: studentData.length,
+          eligible: studentData.filter(row => row.isEligible).length,
+          ineligible: studentData.filter(row => !row.isEligible).length
+        },
+        students: studentData
+      }
+    });
+  } catch (error) {
+    console.error('Get attendance eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking attendance eligibility'
+    });
+  }
+};
+
 // @desc    Get class attendance report
 // @route   GET /api/attendance/class/:classId/report
 // @access  Private (Admin, Teacher)
@@ -389,7 +763,7 @@ const getClassAttendanceReport = async (req, res) => {
     const { startDate, endDate, section, subject } = req.query;
 
     // Build query
-    let query = { class: classId };
+    let query = { class: new mongoose.Types.ObjectId(classId) };
 
     if (startDate && endDate) {
       query.date = {
@@ -398,8 +772,14 @@ const getClassAttendanceReport = async (req, res) => {
       };
     }
 
-    if (section) query.section = section;
-    if (subject) query.subject = subject;
+    if (section) query.section = new mongoose.Types.ObjectId(section);
+
+    // Without a subject the report counts days; with one it counts that subject's periods
+    if (subject) {
+      query.subject = new mongoose.Types.ObjectId(subject);
+    } else {
+      query = Attendance.dailyQuery(query);
+    }
 
     // Get attendance data
     const attendanceData = await Attendance.aggregate([
@@ -413,7 +793,8 @@ const getClassAttendanceReport = async (req, res) => {
                 format: '%Y-%m-%d',
                 date: '$date'
               }
-            }
+            },
+            period: '$period'
           },
           status: { $first: '$status' },
           subject: { $first: '$subject' }
@@ -510,17 +891,73 @@ const getClassAttendanceReport = async (req, res) => {
   }
 };
 
+// @desc    Get absence alerts sent or queued for parents
+// @route   GET /api/attendance/alerts
+// @access  Private (Admin, Teacher)
+const getAbsenceAlerts = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, student, status, date, escalated } = req.query;
+
+    let query = {};
+    if (student) query.student = student;
+    if (status) query.status = status;
+    if (escalated !== undefined) query.isEscalated = escalated === 'true';
+    if (date) query.date = new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+    const alerts = await AbsenceAlert.find(query)
+      .populate({
+        path: 'student',
+        select: 'admissionNumber rollNumber',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .populate('parent', 'firstName lastName email phone')
+      .populate('entries.subject', 'name code')
+      .sort({ date: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AbsenceAlert.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get absence alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching absence alerts'
+    });
+  }
+};
+
 // @desc    Get attendance statistics
 // @route   GET /api/attendance/stats
 // @access  Private (Admin, Teacher)
 const getAttendanceStats = async (req, res) => {
   try {
-    const { session, class: classId, startDate, endDate } = req.query;
+    const { session, class: classId, subject, startDate, endDate } = req.query;
     let matchQuery = {};
 
     if (session) matchQuery.session = mongoose.Types.ObjectId(session);
     if (classId) matchQuery.class = mongoose.Types.ObjectId(classId);
 
+    // Period records would count a day several times, so stats cover daily attendance unless a subject is given
+    if (subject) {
+      matchQuery.subject = new mongoose.Types.ObjectId(subject);
+    } else {
+      matchQuery = Attendance.dailyQuery(matchQuery);
+    }
+
     if (startDate && endDate) {
       matchQuery.date = {
         $gte: new Date(startDate),
@@ -605,11 +1042,17 @@ const getAttendanceStats = async (req, res) => {
   }
 };
 
+// Helper functions
+const toDay = (date) => new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+
 module.exports = {
   getAttendance,
   markAttendance,
   updateAttendance,
+  getAttendanceAudit,
   getStudentAttendanceSummary,
+  getAttendanceEligibility,
   getClassAttendanceReport,
-  getAttendanceStats
+  getAttendanceStats,
+  getAbsenceAlerts
 };
\ No newline at end of file
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const Attendance = require('../models/Attendance');
+const StaffAttendance = require('../models/StaffAttendance');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const Session = require('../models/Session');
+const { parsePunchLog, groupPunchesByDay } = require('../utils/punchLog');
+const { queueAbsenceAlerts } = require('../utils/absenceAlerts');
+
+// Students whose first punch is after this time are marked Late
+const DEFAULT_LATE_AFTER = process.env.ATTENDANCE_LATE_AFTER || '08:30';
+const LATE_GRACE_MINUTES = Number(process.env.STAFF_LATE_GRACE_MINUTES || 10);
+
+// @desc    Import attendance from a CSV or biometric/RFID punch log
+// @route   POST /api/attendance/import
+// @access  Private (Admin)
+const importAttendance = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Punch log file is required'
+      });
+    }
+
+    const content = fs.readFileSync(req.file.path, 'utf8');
+    fs.unlink(req.file.path, () => {});
+
+    const dryRun = String(req.body.dryRun) === 'true';
+    const overwrite = String(req.body.overwrite) === 'true';
+    let lateAfter = req.body.lateAfter || DEFAULT_LATE_AFTER;
+
+    if (!/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(lateAfter)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Late after must be in HH:MM format'
+      });
+    }
+
+    // Punch times are zero-padded, so compare against a zero-padded time
+    lateAfter = lateAfter.padStart(5, '0');
+
+    const { punches, invalid } = parsePunchLog(content);
+    if (punches.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No punches could be read from the file',
+        data: { invalid: invalid.slice(0, 50) }
+      });
+    }
+
+    const days = groupPunchesByDay(punches);
+    const people = await matchDeviceIds([...new Set(days.map(day => day.deviceId))]);
+
+    const today = StaffAttendance.getToday().toISOString().slice(0, 10);
+    const unmatched = new Map();
+    const skipped = [];
+    const studentDays = [];
+    const teacherDays = [];
+
+    days.forEach(day => {
+      const person = people.get(day.deviceId);
+      if (!person) {
+        unmatched.set(day.deviceId, (unmatched.get(day.deviceId) || 0) + day.punches);
+      } else if (day.date > today) {
+        skipped.push({ deviceId: day.deviceId, date: day.date, reason: 'Future date' });
+      } else if (person.type === 'Ambiguous') {
+        skipped.push({ deviceId: day.deviceId, date: day.date, reason: 'Device ID matches both a student and a teacher' });
+      } else {
+        (person.type === 'Student' ? studentDays : teacherDays).push({ ...day, person });
+      }
+    });
+
+    const studentRows = await planStudentAttendance(studentDays, lateAfter, skipped);
+    const teacherRows = await planStaffAttendance(teacherDays, skipped);
+    const rows = [...studentRows, ...teacherRows];
+
+    // Manually marked records are only replaced when the importer asks for it
+    const conflicts = rows.filter(row => row.conflict);
+    const toSave = rows.filter(row => !row.conflict || overwrite);
+
+    let saved = { students: 0, teachers: 0 };
+    if (!dryRun && toSave.length > 0) {
+      saved = await saveImportedAttendance(toSave, req.user._id);
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? 'Dry run complete. No attendance was saved.'
+        : `Imported attendance for ${saved.students} student and ${saved.teachers} staff days`,
+      data: {
+        dryRun,
+        lateAfter,
+        summary: {
+          lines: punches.length + invalid.length,
+          punches: punches.length,
+          invalid: invalid.length,
+          unmatched: unmatched.size,
+          students: new Set(studentRows.map(row => row.deviceId)).size,
+          teachers: new Set(teacherRows.map(row => row.deviceId)).size,
+          records: toSave.length,
+          conflicts: conflicts.length,
+          skipped: skipped.length
+        },
+        unmatched: [...unmatched.entries()].map(([deviceId, count]) => ({ deviceId, punches: count })),
+        invalid: invalid.slice(0, 50),
+        conflicts: conflicts.map(toPreview),
+        skipped,
+        preview: rows.slice(0, 200).map(toPreview)
+      }
+    });
+  } catch (error) {
+    console.error('Import attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing attendance'
+    });
+  }
+};
+
+// Helper functions
+const toDay = (key) => new Date(`${key}T00:00:00.000Z`);
+
+// Map device IDs to students and teachers. A device ID set on the profile wins over
+// an admission number or employee ID used as the terminal user ID.
+const matchDeviceIds = async (deviceIds) => {
+  const [students, teachers] = await Promise.all([
+    Student.find({
+      status: 'Active',
+      $or: [{ deviceId: { $in: deviceIds } }, { admissionNumber: { $in: deviceIds } }]
+    })
+      .populate('user', 'firstName lastName')
+      .select('user admissionNumber deviceId class section session'),
+    Teacher.find({
+      status: { $ne: 'Terminated' },
+      $or: [{ deviceId: { $in: deviceIds } }, { employeeId: { $in: deviceIds } }]
+    })
+      .populate('user', 'firstName lastName')
+      .select('user employeeId deviceId workingHours')
+  ]);
+
+  const byDeviceId = new Map();
+  const byFallback = new Map();
+  const add = (map, key, person) => {
+    const existing = map.get(key);
+    map.set(key, existing && existing.doc._id.toString() !== person.doc._id.toString()
+      ? { type: 'Ambiguous' }
+      : person);
+  };
+
+  students.forEach(doc => {
+    const person = { type: 'Student', doc, code: doc.admissionNumber };
+    if (doc.deviceId) add(byDeviceId, doc.deviceId, person);
+    add(byFallback, doc.admissionNumber, person);
+  });
+  teachers.forEach(doc => {
+    const person = { type: 'Teacher', doc, code: doc.employeeId };
+    if (doc.deviceId) add(byDeviceId, doc.deviceId, person);
+    add(byFallback, doc.employeeId, person);
+  });
+
+  return new Map(deviceIds
+    .filter(id => byDeviceId.has(id) || byFallback.has(id))
+    .map(id => [id, byDeviceId.get(id) || byFallback.get(id)]));
+};
+
+// Work out each student's daily status and compare with what is already marked
+const planStudentAttendance = async (days, lateAfter, skipped) => {
+  if (days.length === 0) return [];
+
+  const sessions = new Map((await Session.find({
+    _id: { $in: [...new Set(days.map(day => day.person.doc.session.toString()))] }
+  })).map(session => [session._id.toString(), session]));
+
+  const dates = days.map(day => day.date).sort();
+  const existing = await Attendance.find(Attendance.dailyQuery({
+    student: { $in: days.map(day => day.person.doc._id) },
+    date: { $gte: toDay(dates[0]), $lte: toDay(dates[dates.length - 1]) }
+  })).populate('markedBy', 'firstName lastName');
+  const existingByDay = new Map(existing.map(record =>
+    [`${record.student}|${record.date.toISOString().slice(0, 10)}`, record]));
+
+  const rows = [];
+  days.forEach(day => {
+    const student = day.person.doc;
+    const session = sessions.get(student.session.toString());
+    const dayType = session ? session.getDayType(day.date) : null;
+
+    if (dayType && !dayType.isWorkingDay) {
+      skipped.push({ deviceId: day.deviceId, date: day.date, reason: `Not a working day: ${dayType.type}` });
+      return;
+    }
+
+    const status = day.timeIn > lateAfter ? 'Late' : 'Present';
+    const record = existingByDay.get(`${student._id}|${day.date}`);
+
+    // A manual record the import agrees with keeps its origin
+    if (record && record.source !== 'Device' && record.status === status) {
+      skipped.push({ deviceId: day.deviceId, date: day.date, reason: 'Already marked with the same status' });
+      return;
+    }
+
+    rows.push({
+      ...day,
+      status,
+      existing: record,
+      conflict: Boolean(record && record.source !== 'Device')
+    });
+  });
+
+  return rows;
+};
+
+// Work out each teacher's day with the staff schedule, as a check-in would
+const planStaffAttendance = async (days, skipped) => {
+  if (days.length === 0) return [];
+
+  const existing = await StaffAttendance.find({
+    teacher: { $in: days.map(day => day.person.doc._id) },
+    date: { $in: days.map(day => toDay(day.date)) }
+  }).populate('markedBy', 'firstName lastName');
+  const existingByDay = new Map(existing.map(record =>
+    [`${record.teacher}|${record.date.toISOString().slice(0, 10)}`, record]));
+
+  const rows = [];
+  days.forEach(day => {
+    const teacher = day.person.doc;
+    const date = toDay(day.date);
+    const draft = new StaffAttendance({
+      teacher: teacher._id,
+      user: teacher.user._id,
+      date,
+      status: 'Present',
+      checkIn: day.timeIn,
+      checkOut: day.timeOut,
+      source: 'Device'
+    });
+    draft.applySchedule(StaffAttendance.getSchedule(teacher, date), LATE_GRACE_MINUTES);
+
+    const record = existingByDay.get(`${teacher._id}|${day.date}`);
+
+    // A check-in or admin record the import agrees with keeps its origin and times
+    if (record && record.source !== 'Device' && record.status === draft.status) {
+      skipped.push({ deviceId: day.deviceId, date: day.date, reason: 'Already marked with the same status' });
+      return;
+    }
+
+    rows.push({
+      ...day,
+      status: draft.status,
+      draft,
+      existing: record,
+      conflict: Boolean(record && record.source !== 'Device')
+    });
+  });
+
+  return rows;
+};
+
+const saveImportedAttendance = async (rows, userId) => {
+  const studentRows = rows.filter(row => row.person.type === 'Student');
+  const teacherRows = rows.filter(row => row.person.type === 'Teacher');
+
+  // markBulkAttendance upserts one session at a time
+  const bySession = new Map();
+  studentRows.forEach(row => {
+    const sessionId = row.person.doc.session.toString();
+    if (!bySession.has(sessionId)) bySession.set(sessionId, []);
+    bySession.get(sessionId).push({
+      studentId: row.person.doc._id,
+      date: toDay(row.date),
+      classId: row.person.doc.class,
+      sectionId: row.person.doc.section,
+      status: row.status,
+      timeIn: row.timeIn,
+      timeOut: row.timeOut,
+      remarks: row.existing?.remarks,
+      source: 'Device',
+      // A changed status stays in the record's history; past the edit window it is an admin override
+      change: row.existing && row.existing.status !== row.status ? {
+        field: 'status',
+        oldValue: row.existing.status,
+        newValue: row.status,
+        reason: 'Imported from punch log',
+        isOverride: row.existing.isLocked(),
+        changedBy: userId,
+        changedAt: new Date()
+      } : undefined
+    });
+  });
+
+  for (const [sessionId, attendanceData] of bySession) {
+    await Attendance.markBulkAttendance(attendanceData, userId, sessionId);
+  }
+
+  for (const row of teacherRows) {
+    const session = await Session.findByDate(row.draft.date);
+    const { _id, ...fields } = row.draft.toObject();
+    await StaffAttendance.findOneAndUpdate(
+      { teacher: fields.teacher, date: fields.date },
+      { $set: { ...fields, markedBy: userId, session: session?._id } },
+      { upsert: true, runValidators: true }
+    );
+  }
+
+  // Late arrivals are alerted like manually marked ones
+  const late = studentRows.filter(row => row.status === 'Late');
+  if (late.length > 0) {
+    const records = await Attendance.find(Attendance.dailyQuery({
+      $or: late.map(row => ({ student: row.person.doc._id, date: toDay(row.date) }))
+    }));
+    queueAbsenceAlerts(records, userId)
+      .catch(error => console.error('Queue absence alerts error:', error));
+  }
+
+  return { students: studentRows.length, teachers: teacherRows.length };
+};
+
+const toPreview = (row) => ({
+  deviceId: row.deviceId,
+  type: row.person.type,
+  id: row.person.doc._id,
+  code: row.person.code,
+  name: row.person.doc.user ? `${row.person.doc.user.firstName} ${row.person.doc.user.lastName}` : '',
+  date: row.date,
+  timeIn: row.timeIn,
+  timeOut: row.timeOut,
+  punches: row.punches,
+  status: row.status,
+  action: !row.existing ? 'Create' : row.conflict ? 'Overwrite' : 'Update',
+  existing: row.existing ? {
+    status: row.existing.status,
+    source: row.existing.source,
+    markedBy: row.existing.markedBy
+  } : null
+});
+
+module.exports = {
+  importAttendance
+};
@@ -0,0 +1,371 @@
+const ExcelJS = require('exceljs');
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Section = require('../models/Section');
+const Session = require('../models/Session');
+const { createPdfResponse, drawTable } = require('../utils/pdf');
+
+const SCHOOL_NAME = process.env.SCHOOL_NAME || 'School Management System';
+
+const STATUS_CODES = { Present: 'P', Absent: 'A', Late: 'L', Excused: 'E' };
+const WEEKDAY_INITIALS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+// Codes for days without a status: not on roll, holiday or term break, weekend
+const NOT_ON_ROLL = '-';
+const HOLIDAY = 'H';
+const WEEKEND = 'W';
+
+// @desc    Get the monthly attendance register of a class, as JSON, CSV, XLSX or printable PDF
+// @route   GET /api/attendance/class/:classId/register
+// @access  Private (Admin, Teacher)
+const getMonthlyRegister = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { month, section, format } = req.query;
+
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    if (format && !['json', 'csv', 'xlsx', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json, csv, xlsx or pdf'
+      });
+    }
+
+    // Teachers can only export registers for their assigned classes
+    if (req.user.role === 'Teacher') {
+      const Teacher = require('../models/Teacher');
+      const teacher = await Teacher.findOne({ user: req.user._id });
+      const assignedClassIds = teacher ? teacher.assignedClasses.map(ac => ac.class.toString()) : [];
+      if (!assignedClassIds.includes(classId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view registers for your assigned classes.'
+        });
+      }
+    }
+
+    const classData = await Class.findById(classId).select('name session');
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    const sectionData = section ? await Section.findById(section).select('name') : null;
+    if (section && !sectionData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    const register = await buildRegister(classData, sectionData, month);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${registerFilename(register)}.csv"`);
+      return res.send(toCsv(register));
+    }
+
+    if (format === 'xlsx') {
+      const workbook = toWorkbook(register);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${registerFilename(register)}.xlsx"`);
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    if (format === 'pdf') {
+      const doc = createPdfResponse(res, `${registerFilename(register)}.pdf`, { layout: 'landscape', margin: 30 });
+      drawRegister(doc, register);
+      return doc.end();
+    }
+
+    res.json({
+      success: true,
+      data: { register }
+    });
+  } catch (error) {
+    console.error('Get monthly register error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating attendance register'
+    });
+  }
+};
+
+// Helper functions
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const toDay = (key) => new Date(`${key}T00:00:00.000Z`);
+
+// One row per student and one column per day of the month, with totals both ways
+const buildRegister = async (classData, sectionData, month) => {
+  const start = toDay(`${month}-01`);
+  const end = new Date(start);
+  end.setUTCMonth(end.getUTCMonth() + 1);
+  end.setUTCDate(0);
+
+  // Every day of the month, typed by the session calendar where it has one
+  const session = await Session.findById(classData.session);
+  const calendar = new Map(session
+    ? session.getCalendarDays(start, end).map(day => [day.date, day])
+    : []);
+
+  const days = [];
+  for (const date = new Date(start); date <= end; date.setUTCDate(date.getUTCDate() + 1)) {
+    const key = toDateKey(date);
+    const day = calendar.get(key) || { type: session ? 'Outside Session' : 'Working Day', isWorkingDay: !session };
+    days.push({
+      date: key,
+      day: date.getUTCDate(),
+      weekday: WEEKDAY_INITIALS[date.getUTCDay()],
+      type: day.type,
+      isWorkingDay: day.isWorkingDay,
+      event: day.event ? day.event.name : null
+    });
+  }
+
+  const today = toDateKey(new Date());
+  const records = await Attendance.find(Attendance.dailyQuery({
+    class: classData._id,
+    ...(sectionData && { section: sectionData._id }),
+    date: { $gte: start, $lte: end }
+  })).select('student date status');
+
+  // The class roster during the month, plus anyone with a record here who has since moved on
+  const students = await Student.find({
+    $or: [
+      {
+        class: classData._id,
+        ...(sectionData && { section: sectionData._id }),
+        admissionDate: { $lte: end },
+        $or: [{ status: 'Active' }, { leavingDate: { $gte: start } }]
+      },
+      { _id: { $in: [...new Set(records.map(record => record.student.toString()))] } }
+    ]
+  })
+    .populate('user', 'firstName lastName')
+    .select('user admissionNumber rollNumber admissionDate leavingDate status');
+
+  const statuses = new Map();
+  records.forEach(record => {
+    statuses.set(`${record.student}|${toDateKey(record.date)}`, record.status);
+  });
+
+  const rows = students.map(student => {
+    const studentDates = days
+      .map(day => day.date)
+      .filter(date => statuses.has(`${student._id}|${date}`));
+
+    // A student who left without a leaving date is taken to have left after their last record
+    const joined = student.admissionDate ? toDateKey(student.admissionDate) : '';
+    const left = student.leavingDate
+      ? toDateKey(student.leavingDate)
+      : student.status !== 'Active' ? studentDates[studentDates.length - 1] || '' : null;
+
+    const totals = { present: 0, absent: 0, late: 0, excused: 0, unmarked: 0, workingDays: 0 };
+    const cells = days.map(day => {
+      const status = statuses.get(`${student._id}|${day.date}`);
+      if (status) {
+        totals[status.toLowerCase()] += 1;
+        if (day.isWorkingDay) totals.workingDays += 1;
+        return STATUS_CODES[status];
+      }
+
+      if (day.date < joined || (left !== null && day.date > left)) return NOT_ON_ROLL;
+      if (!day.isWorkingDay) {
+        if (['Holiday', 'Term Break'].includes(day.type)) return HOLIDAY;
+        return day.type === 'Weekend' ? WEEKEND : '';
+      }
+      if (day.date > today) return '';
+
+      totals.workingDays += 1;
+      totals.unmarked += 1;
+      return '';
+    });
+
+    // As in the student summary, unmarked working days count as not attended
+    const counted = totals.present + totals.absent + totals.late + totals.excused + totals.unmarked;
+    const attended = totals.present + totals.late + totals.excused;
+
+    return {
+      student: {
+        _id: student._id,
+        name: student.user ? `${student.user.firstName} ${student.user.lastName}` : '',
+        admissionNumber: student.admissionNumber,
+        rollNumber: student.rollNumber,
+        admissionDate: joined || null,
+        leavingDate: left || null,
+        status: student.status
+      },
+      cells,
+      totals: {
+        ...totals,
+        percentage: counted > 0 ? Math.round((attended / counted) * 100) : 0
+      }
+    };
+  });
+
+  rows.sort((a, b) =>
+    (a.student.rollNumber || '').localeCompare(b.student.rollNumber || '', undefined, { numeric: true }) ||
+    a.student.name.localeCompare(b.student.name));
+
+  const dayTotals = days.map((day, index) => {
+    const codes = rows.map(row => row.cells[index]);
+    return {
+      date: day.date,
+      onRoll: codes.filter(code => code !== NOT_ON_ROLL).length,
+      present: codes.filter(code => code === 'P').length,
+      absent: codes.filter(code => code === 'A').length,
+      late: codes.filter(code => code === 'L').length,
+      excused: codes.filter(code => code === 'E').length
+    };
+  });
+
+  return {
+    class: { _id: classData._id, name: classData.name },
+    section: sectionData ? { _id: sectionData._id, name: sectionData.name } : null,
+    month,
+    workingDays: days.filter(day => day.isWorkingDay).length,
+    legend: {
+      P: 'Present',
+      A: 'Absent',
+      L: 'Late',
+      E: 'Excused',
+      [HOLIDAY]: 'Holiday or term break',
+      [WEEKEND]: 'Weekend',
+      [NOT_ON_ROLL]: 'Not on roll'
+    },
+    days,
+    students: rows,
+    dayTotals
+  };
+};
+
+const registerFilename = (register) =>
+  `register-${register.class.name}${register.section ? `-${register.section.name}` : ''}-${register.month}`
+    .replace(/[^\w.-]+/g, '_');
+
+const TOTAL_HEADERS = ['P', 'A', 'L', 'E', 'Working Days', '%'];
+
+// Header, student and day total rows shared by the CSV, XLSX and PDF exports
+const toTableRows = (register) => {
+  const header = ['Roll No', 'Admission No', 'Name', ...register.days.map(day => String(day.day)), ...TOTAL_HEADERS];
+  const students = register.students.map(row => [
+    row.student.rollNumber || '',
+    row.student.admissionNumber,
+    row.student.name,
+    ...row.cells,
+    row.totals.present,
+    row.totals.absent,
+    row.totals.late,
+    row.totals.excused,
+    row.totals.workingDays,
+    row.totals.percentage
+  ]);
+  const totals = [
+    ['', '', 'Present', ...register.dayTotals.map((total, index) => register.days[index].isWorkingDay ? total.present + total.late : '')],
+    ['', '', 'Absent', ...register.dayTotals.map((total, index) => register.days[index].isWorkingDay ? total.absent : '')],
+    ['', '', 'On Roll', ...register.dayTotals.map(total => total.onRoll)]
+  ];
+
+  return { header, students, totals };
+};
+
+const toCsv = (register) => {
+  const { header, students, totals } = toTableRows(register);
+  const escape = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const title = `${register.class.name}${register.section ? ` - ${register.section.name}` : ''} attendance register, ${register.month}`;
+  return [[title], header, ...students, ...totals]
+    .map(cells => cells.map(escape).join(','))
+    .join('\n');
+};
+
+const toWorkbook = (register) => {
+  const { header, students, totals } = toTableRows(register);
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = SCHOOL_NAME;
+
+  const sheet = workbook.addWorksheet(`Register ${register.month}`, {
+    views: [{ state: 'frozen', xSplit: 3, ySplit: 2 }],
+    pageSetup: { orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
+  });
+
+  sheet.addRow([`${register.class.name}${register.section ? ` - ${register.section.name}` : ''} attendance register, ${register.month}`]);
+  sheet.addRow(header).font = { bold: true };
+  students.forEach(cells => sheet.addRow(cells));
+  totals.forEach(cells => {
+    sheet.addRow(cells).font = { bold: true };
+  });
+
+  sheet.getColumn(3).width = 28;
+  register.days.forEach((day, index) => {
+    const column = sheet.getColumn(index + 4);
+    column.width = 4;
+    column.alignment = { horizontal: 'center' };
+
+    // Shade closed days so the register reads like the paper one
+    if (!day.isWorkingDay) {
+      column.eachCell({ includeEmpty: true }, (cell, rowNumber) => {
+        if (rowNumber > 1) {
+          cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+        }
+      });
+    }
+  });
+
+  return workbook;
+};
+
+const drawRegister = (doc, register) => {
+  const { students, totals } = toTableRows(register);
+
+  doc.font('Helvetica-Bold').fontSize(14).text(SCHOOL_NAME, { align: 'center' });
+  doc.fontSize(11).text(
+    `Attendance Register - ${register.class.name}${register.section ? ` ${register.section.name}` : ''} - ${register.month}`,
+    { align: 'center' }
+  );
+  doc.font('Helvetica').fontSize(8).text(
+    `Working days: ${register.workingDays}    ${Object.entries(register.legend).map(([code, label]) => `${code} = ${label}`).join('    ')}`,
+    { align: 'center' }
+  );
+  doc.moveDown(0.5);
+
+  // Fit the day columns into the width left after the name and totals
+  const available = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const fixedWidth = 28 + 90 + TOTAL_HEADERS.length * 20;
+  const dayWidth = Math.floor((available - fixedWidth) / register.days.length);
+
+  const columns = [
+    { header: 'Roll', width: 28 },
+    { header: 'Name', width: 90 },
+    ...register.days.map(day => ({ header: `${day.day}`, width: dayWidth, align: 'center' })),
+    ...TOTAL_HEADERS.map(label => ({ header: label === 'Working Days' ? 'WD' : label, width: 20, align: 'center' }))
+  ];
+
+  // The PDF drops the admission number column to make room for the days
+  const withoutAdmission = (cells) => [cells[0], ...cells.slice(2)];
+  drawTable(doc, columns, [...students, ...totals].map(withoutAdmission), { fontSize: 6, padding: 2 });
+
+  doc.moveDown(2);
+  doc.fontSize(9).text(`Generated on ${toDateKey(new Date())}`, { continued: true });
+  doc.text('Class Teacher: ____________________', { align: 'right' });
+};
+
+module.exports = {
+  getMonthlyRegister
+};
@@ -0,0 +1,375 @@
+const { validationResult } = require('express-validator');
+const Attendance = require('../models/Attendance');
+const AttendanceSyncReceipt = require('../models/AttendanceSyncReceipt');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Subject = require('../models/Subject');
+const Session = require('../models/Session');
+const LeaveApplication = require('../models/LeaveApplication');
+const { queueAbsenceAlerts } = require('../utils/absenceAlerts');
+
+// Most records returned in one delta; the client pages with the returned cursor. A cursor is a
+// timestamp, followed by "_<record ID>" when a page ends among records saved at the same moment
+const SYNC_DELTA_LIMIT = 500;
+// Days of attendance a device gets on its first sync, before it has a cursor
+const SYNC_INITIAL_DAYS = Number(process.env.ATTENDANCE_SYNC_INITIAL_DAYS || 30);
+
+// @desc    Sync attendance changes made offline and fetch server changes since the last sync
+// @route   POST /api/attendance/sync
+// @access  Private (Admin, Teacher)
+const syncAttendance = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { deviceId, cursor, strategy = 'server-wins', changes = [], classes = [] } = req.body;
+    const [cursorTime, cursorId] = cursor ? String(cursor).split('_') : [];
+    const since = cursorTime ? new Date(cursorTime) : null;
+
+    // Teachers sync only their assigned classes
+    let allowedClassIds = null;
+    if (req.user.role === 'Teacher') {
+      const Teacher = require('../models/Teacher');
+      const teacher = await Teacher.findOne({ user: req.user._id });
+      allowedClassIds = teacher ? teacher.assignedClasses.map(ac => ac.class.toString()) : [];
+    }
+
+    const results = await applySyncChanges(changes, {
+      user: req.user,
+      deviceId,
+      since,
+      strategy,
+      allowedClassIds
+    });
+
+    // Server-side changes in the synced classes since the cursor, oldest first
+    const scopeClassIds = [...new Set([...classes, ...changes.map(change => change.class)])]
+      .filter(classId => !allowedClassIds || allowedClassIds.includes(classId));
+    const classIds = scopeClassIds.length > 0 || !allowedClassIds ? scopeClassIds : allowedClassIds;
+
+    const deltaQuery = { class: { $in: classIds } };
+    if (since && cursorId) {
+      // A whole class marked in bulk shares one updatedAt, so the page continues after the last ID
+      deltaQuery.$or = [
+        { updatedAt: { $gt: since } },
+        { updatedAt: since, _id: { $gt: cursorId } }
+      ];
+    } else if (since) {
+      deltaQuery.updatedAt = { $gt: since };
+    } else {
+      const from = new Date();
+      from.setUTCDate(from.getUTCDate() - SYNC_INITIAL_DAYS);
+      deltaQuery.date = { $gte: new Date(`${from.toISOString().slice(0, 10)}T00:00:00.000Z`) };
+    }
+
+    const serverTime = new Date();
+    const delta = await Attendance.find(deltaQuery)
+      .select('student class section subject period date status remarks source markedBy modifiedBy modifiedAt updatedAt')
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(SYNC_DELTA_LIMIT + 1);
+
+    const hasMore = delta.length > SYNC_DELTA_LIMIT;
+    if (hasMore) delta.pop();
+    const last = delta[delta.length - 1];
+
+    const count = (outcome) => results.filter(result => result.outcome === outcome).length;
+
+    res.json({
+      success: true,
+      message: 'Attendance synced successfully',
+      data: {
+        serverTime,
+        cursor: hasMore ? `${last.updatedAt.toISOString()}_${last._id}` : serverTime,
+        hasMore,
+        summary: {
+          received: changes.length,
+          applied: count('Applied'),
+          unchanged: count('Unchanged'),
+          superseded: count('Superseded'),
+          conflicts: count('Conflict'),
+          rejected: count('Rejected'),
+          duplicates: results.filter(result => result.duplicate).length
+        },
+        results,
+        delta
+      }
+    });
+  } catch (error) {
+    console.error('Sync attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while syncing attendance'
+    });
+  }
+};
+
+// Helper functions
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const toDay = (date) => new Date(`${toDateKey(date)}T00:00:00.000Z`);
+
+// The answer a change got when it was first synced
+const fromReceipt = (receipt) => ({
+  outcome: receipt.outcome,
+  duplicate: true,
+  message: receipt.message,
+  attendance: receipt.attendance
+});
+
+const recordKey = (item) =>
+  `${item.student}|${toDateKey(item.date)}|${item.subject || ''}|${item.period || ''}`;
+
+// Work out each change's outcome, apply the ones that stand and keep receipts so a retry is idempotent
+const applySyncChanges = async (changes, { user, deviceId, since, strategy, allowedClassIds }) => {
+  if (changes.length === 0) return [];
+
+  const results = new Map();
+  const setResult = (change, result) => results.set(change.changeId, { changeId: change.changeId, ...result });
+  // Results in the order the client sent the changes
+  const inClientOrder = () => [...new Set(changes.map(change => change.changeId))].map(changeId => results.get(changeId));
+
+  // Changes this device already synced get the answer they got the first time
+  const receipts = await AttendanceSyncReceipt.find({
+    user: user._id,
+    deviceId,
+    changeId: { $in: changes.map(change => change.changeId) }
+  });
+  const receiptsById = new Map(receipts.map(receipt => [receipt.changeId, receipt]));
+
+  const pending = [];
+  const seen = new Set();
+  changes.forEach(change => {
+    const receipt = receiptsById.get(change.changeId);
+    if (receipt) {
+      setResult(change, fromReceipt(receipt));
+    } else if (!seen.has(change.changeId)) {
+      pending.push(change);
+    }
+    seen.add(change.changeId);
+  });
+
+  // Only the latest change to a record in the batch counts
+  const latestByRecord = new Map();
+  pending
+    .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt))
+    .forEach(change => {
+      const previous = latestByRecord.get(recordKey(change));
+      if (previous) {
+        setResult(previous, { outcome: 'Superseded', message: 'A later change to the same record in this batch replaced it' });
+      }
+      latestByRecord.set(recordKey(change), change);
+    });
+  const latest = [...latestByRecord.values()];
+  if (latest.length === 0) return inClientOrder();
+
+  const [classes, students, subjects, existing] = await Promise.all([
+    Class.find({ _id: { $in: [...new Set(latest.map(change => change.class))] } }).select('session'),
+    Student.find({ _id: { $in: [...new Set(latest.map(change => change.student))] } }).select('class section status'),
+    Subject.find({ _id: { $in: [...new Set(latest.filter(change => change.subject).map(change => change.subject))] } }).select('classes'),
+    Attendance.find({
+      $or: latest.map(change => ({
+        student: change.student,
+        date: toDay(change.date),
+        subject: change.subject || null,
+        period: change.period || null
+      }))
+    })
+  ]);
+
+  const classesById = new Map(classes.map(classData => [classData._id.toString(), classData]));
+  const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+  const subjectsById = new Map(subjects.map(subject => [subject._id.toString(), subject]));
+  const existingByKey = new Map(existing.map(record => [recordKey(record), record]));
+  const sessions = new Map((await Session.find({
+    _id: { $in: classes.map(classData => classData.session) }
+  })).map(session => [session._id.toString(), session]));
+
+  // Approved leave turns an Absent into Excused, as when marking online
+  const leavesByDate = new Map();
+  for (const date of new Set(latest.map(change => toDateKey(change.date)))) {
+    leavesByDate.set(date, await LeaveApplication.getApprovedOn(
+      latest.filter(change => toDateKey(change.date) === date).map(change => change.student),
+      date
+    ));
+  }
+
+  const today = toDateKey(new Date());
+  const toApply = [];
+
+  latest.forEach(change => {
+    const reject = (message) => setResult(change, { outcome: 'Rejected', message });
+    const classData = classesById.get(change.class);
+    const student = studentsById.get(change.student);
+    const session = classData ? sessions.get(classData.session.toString()) : null;
+    const day = session ? session.getDayType(change.date) : null;
+
+    if (!classData) return reject('Class not found');
+    if (allowedClassIds && !allowedClassIds.includes(change.class)) {
+      return reject('You can only sync attendance for your assigned classes');
+    }
+    if (!student || student.status !== 'Active' || student.class.toString() !== change.class) {
+      return reject('Student does not belong to the specified class');
+    }
+    if (toDateKey(change.date) > today) return reject('Cannot mark attendance for future dates');
+    if (day && !day.isWorkingDay) return reject(`Cannot mark attendance on ${day.date}: ${day.type.toLowerCase()}`);
+    if (change.period && !change.subject) return reject('Subject is required for period attendance');
+    if (change.subject && !subjectsById.get(change.subject)?.classes.some(id => id.toString() === change.class)) {
+      return reject('Subject is not taught in the specified class');
+    }
+
+    const leave = leavesByDate.get(toDateKey(change.date)).get(change.student);
+    const status = leave && change.status === 'Absent' ? 'Excused' : change.status;
+    const remarks = leave && change.status === 'Absent' ? change.remarks || 'Approved leave' : change.remarks;
+    const record = existingByKey.get(recordKey(change));
+
+    if (record && record.status === status && (remarks === undefined || record.remarks === remarks)) {
+      return setResult(change, { outcome: 'Unchanged', attendance: record._id, message: 'Record already has this status' });
+    }
+
+    // Locked records follow the same rules as online edits
+    const isLocked = record ? record.isLocked() : false;
+    if (isLocked && user.role !== 'Admin') {
+      return reject(`Attendance was locked on ${record.getLockTime().toISOString()}. Ask an admin to change it.`);
+    }
+    if (isLocked && !change.reason) return reject('A reason is required to change locked attendance');
+
+    // Someone else changed the record since this device last synced
+    let resolvedConflict = false;
+    if (record) {
+      const serverChangedAt = record.modifiedAt || record.markedAt;
+      const serverChangedBy = (record.modifiedBy || record.markedBy).toString();
+      const changedByOther = serverChangedBy !== user._id.toString() && (!since || serverChangedAt > since);
+
+      if (changedByOther) {
+        const clientIsNewer = new Date(change.changedAt) > serverChangedAt;
+        if (strategy === 'server-wins' || (strategy === 'latest' && !clientIsNewer)) {
+          return setResult(change, {
+            outcome: 'Conflict',
+            message: 'The record was changed by someone else since your last sync',
+            attendance: record._id,
+            server: {
+              status: record.status,
+              remarks: record.remarks,
+              changedBy: record.modifiedBy || record.markedBy,
+              changedAt: serverChangedAt
+            }
+          });
+        }
+        resolvedConflict = true;
+      }
+    }
+
+    toApply.push({ change, classData, student, status, remarks, record, isLocked, resolvedConflict, leave });
+  });
+
+  // Upsert through markBulkAttendance, one session at a time
+  const bySession = new Map();
+  toApply.forEach(item => {
+    const sessionId = item.classData.session.toString();
+    if (!bySession.has(sessionId)) bySession.set(sessionId, []);
+    bySession.get(sessionId).push({
+      studentId: item.change.student,
+      date: toDay(item.change.date),
+      classId: item.change.class,
+      sectionId: item.change.section || item.student.section,
+      subjectId: item.change.subject,
+      period: item.change.period,
+      status: item.status,
+      remarks: item.remarks,
+      change: item.record && item.record.status !== item.status ? {
+        field: 'status',
+        oldValue: item.record.status,
+        newValue: item.status,
+        reason: item.change.reason || `Synced from device ${deviceId}`,
+        isOverride: item.isLocked,
+        changedBy: user._id,
+        changedAt: new Date()
+      } : undefined
+    });
+  });
+
+  for (const [sessionId, attendanceData] of bySession) {
+    await Attendance.markBulkAttendance(attendanceData, user._id, sessionId);
+  }
+
+  const applied = toApply.length > 0
+    ? await Attendance.find({
+      $or: toApply.map(item => ({
+        student: item.change.student,
+        date: toDay(item.change.date),
+        subject: item.change.subject || null,
+        period: item.change.period || null
+      }))
+    })
+    : [];
+  const appliedByKey = new Map(applied.map(record => [recordKey(record), record]));
+
+  for (const item of toApply) {
+    const record = appliedByKey.get(recordKey(item.change));
+    setResult(item.change, {
+      outcome: 'Applied',
+      attendance: record?._id,
+      status: item.status,
+      resolvedConflict: item.resolvedConflict,
+      message: item.status !== item.change.status ? 'Marked Excused for approved leave' : undefined
+    });
+
+    if (record && item.leave && item.status === 'Excused' && !item.leave.excusedAttendance.some(id => id.equals(record._id))) {
+      item.leave.excusedAttendance.push(record._id);
+      await item.leave.save();
+    }
+  }
+
+  // Receipts for settled outcomes; conflicts and rejections can be retried
+  const changesById = new Map(changes.map(change => [change.changeId, change]));
+  const settled = [...results.values()]
+    .filter(result => !result.duplicate && ['Applied', 'Unchanged', 'Superseded'].includes(result.outcome));
+  if (settled.length > 0) {
+    try {
+      await AttendanceSyncReceipt.insertMany(settled.map(result => {
+        const change = changesById.get(result.changeId);
+        return {
+          user: user._id,
+          deviceId,
+          changeId: result.changeId,
+          outcome: result.outcome,
+          message: result.message,
+          attendance: result.attendance,
+          student: change.student,
+          date: toDay(change.date),
+          status: change.status,
+          clientChangedAt: change.changedAt,
+          resolvedConflict: Boolean(result.resolvedConflict)
+        };
+      }), { ordered: false });
+    } catch (error) {
+      // A retry of the same batch running alongside this one recorded these changes first.
+      // Both wrote the same attendance, so answer with the receipts it stored.
+      // Mongoose copies the driver's write errors, which keeps each one's code under err
+      const writeErrors = error.writeErrors || [error];
+      if (writeErrors.some(writeError => (writeError.err || writeError).code !== 11000)) throw error;
+
+      const duplicateIds = error.writeErrors
+        ? error.writeErrors.map(writeError => settled[writeError.index].changeId)
+        : settled.map(result => result.changeId);
+      const stored = await AttendanceSyncReceipt.find({ user: user._id, deviceId, changeId: { $in: duplicateIds } });
+      stored.forEach(receipt => setResult(changesById.get(receipt.changeId), fromReceipt(receipt)));
+    }
+  }
+
+  queueAbsenceAlerts(applied, user._id)
+    .catch(error => console.error('Queue absence alerts error:', error));
+
+  return inClientOrder();
+};
+
+module.exports = {
+  syncAttendance
+};
@@ -2,7 +2,7 @@ const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const Session = require('../models/Session');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
+const { sendEmail } = require('../utils/mailer');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -363,20 +363,9 @@ const changePassword = async (req, res) => {
 // Helper function to send verification email
 const sendVerificationEmail = async (email, token) => {
   try {
-    const transporter = nodemailer.createTransporter({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: false,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-
     const verificationUrl = `${process.env.FRONTEND_URL}/verify-email/${token}`;
 
-    await transporter.sendMail({
-      from: process.env.EMAIL_FROM,
+    await sendEmail({
       to: email,
       subject: 'Email Verification - School Management System',
       html: `
@@ -394,20 +383,9 @@ const sendVerificationEmail = async (email, token) => {
 // Helper function to send password reset email
 const sendPasswordResetEmail = async (email, token) => {
   try {
-    const transporter = nodemailer.createTransporter({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: false,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${token}`;
 
-    await transporter.sendMail({
-      from: process.env.EMAIL_FROM,
+    await sendEmail({
       to: email,
       subject: 'Password Reset - School Management System',
       html: `
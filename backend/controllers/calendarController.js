@@ -0,0 +1,275 @@
+const { validationResult } = require('express-validator');
+const Session = require('../models/Session');
+const Attendance = require('../models/Attendance');
+
+// @desc    Get the academic calendar of a session
+// @route   GET /api/sessions/:id/calendar
+// @access  Private
+const getCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate } = req.query;
+
+    const session = await Session.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const days = session.getCalendarDays(startDate, endDate);
+
+    // Count of days by type over the requested range (the whole session by default)
+    const summary = days.reduce((counts, day) => {
+      counts[day.type] = (counts[day.type] || 0) + 1;
+      return counts;
+    }, { workingDays: days.filter(day => day.isWorkingDay).length });
+
+    res.json({
+      success: true,
+      data: {
+        session: {
+          _id: session._id,
+          name: session.name,
+          startDate: session.startDate,
+          endDate: session.endDate
+        },
+        workingDays: session.workingDays,
+        events: [...session.calendarEvents].sort((a, b) => a.startDate - b.startDate),
+        summary,
+        ...((startDate || endDate) && { days })
+      }
+    });
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching calendar'
+    });
+  }
+};
+
+// @desc    Set the days of the week the school is open
+// @route   PUT /api/sessions/:id/calendar/working-days
+// @access  Private (Admin)
+const updateWorkingDays = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    session.workingDays = [...new Set(req.body.workingDays.map(Number))].sort();
+    session.updatedBy = req.user._id;
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Working days updated successfully',
+      data: { workingDays: session.workingDays }
+    });
+  } catch (error) {
+    console.error('Update working days error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating working days'
+    });
+  }
+};
+
+// @desc    Add a holiday, term break, exam day or half day
+// @route   POST /api/sessions/:id/calendar/events
+// @access  Private (Admin)
+const addCalendarEvent = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const { name, type, startDate, endDate, description } = req.body;
+    session.calendarEvents.push({
+      name,
+      type,
+      startDate,
+      endDate: endDate || startDate,
+      description
+    });
+    session.updatedBy = req.user._id;
+
+    try {
+      await session.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const event = session.calendarEvents[session.calendarEvents.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar event added successfully',
+      data: {
+        event,
+        attendanceMarked: await countMarkedDays(session, event)
+      }
+    });
+  } catch (error) {
+    console.error('Add calendar event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding calendar event'
+    });
+  }
+};
+
+// @desc    Update a calendar event
+// @route   PUT /api/sessions/:id/calendar/events/:eventId
+// @access  Private (Admin)
+const updateCalendarEvent = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findById(req.params.id);
+    const event = session?.calendarEvents.id(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar event not found'
+      });
+    }
+
+    const { name, type, startDate, endDate, description } = req.body;
+    if (name !== undefined) event.name = name;
+    if (type !== undefined) event.type = type;
+    if (startDate !== undefined) event.startDate = startDate;
+    if (endDate !== undefined) event.endDate = endDate;
+    if (description !== undefined) event.description = description;
+    session.updatedBy = req.user._id;
+
+    try {
+      await session.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar event updated successfully',
+      data: {
+        event,
+        attendanceMarked: await countMarkedDays(session, event)
+      }
+    });
+  } catch (error) {
+    console.error('Update calendar event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating calendar event'
+    });
+  }
+};
+
+// @desc    Delete a calendar event
+// @route   DELETE /api/sessions/:id/calendar/events/:eventId
+// @access  Private (Admin)
+const deleteCalendarEvent = async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id);
+    const event = session?.calendarEvents.id(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar event not found'
+      });
+    }
+
+    event.deleteOne();
+    session.updatedBy = req.user._id;
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Calendar event deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete calendar event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting calendar event'
+    });
+  }
+};
+
+// Helper functions
+
+// Daily attendance already marked on days an event closes, so admins can review it
+const countMarkedDays = async (session, event) => {
+  if (!['Holiday', 'Term Break'].includes(event.type)) return 0;
+
+  const start = new Date(event.startDate);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(event.endDate);
+  end.setUTCHours(23, 59, 59, 999);
+
+  return Attendance.countDocuments(Attendance.dailyQuery({
+    session: session._id,
+    date: { $gte: start, $lte: end }
+  }));
+};
+
+module.exports = {
+  getCalendar,
+  updateWorkingDays,
+  addCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent
+};
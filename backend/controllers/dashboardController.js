@@ -4,8 +4,10 @@ const Teacher = require('../models/Teacher');
 const Class = require('../models/Class');
 const Subject = require('../models/Subject');
 const Exam = require('../models/Exam');
+const ExamMark = require('../models/ExamMark');
 const Attendance = require('../models/Attendance');
 const FeePayment = require('../models/FeePayment');
+const StaffAttendance = require('../models/StaffAttendance');
 
 // @desc    Get dashboard statistics
 // @route   GET /api/dashboard
@@ -56,14 +58,16 @@ const getAdminStats = async () => {
     totalClasses,
     totalSubjects,
     activeStudents,
-    recentActivities
+    recentActivities,
+    staffAttendanceToday
   ] = await Promise.all([
     Student.countDocuments({ status: 'Active' }),
     User.countDocuments({ role: 'Teacher', isActive: true }),
     Class.countDocuments({ isActive: true }),
     Subject.countDocuments(),
     Student.countDocuments({ status: 'Active' }),
-    getRecentActivities()
+    getRecentActivities(),
+    StaffAttendance.getDaySummary(StaffAttendance.getToday())
   ]);
 
   return {
@@ -72,7 +76,8 @@ const getAdminStats = async () => {
     totalClasses,
     totalSubjects,
     activeStudents,
-    recentActivities
+    recentActivities,
+    staffAttendanceToday
   };
 };
 
@@ -232,22 +237,25 @@ const calculateTodayAttendance = async (teacherId) => {
   return Math.round((totalPresent / attendanceRecords.length) * 100);
 };
 
+// Percentage of the session's working days the student was present
 const calculateStudentAttendance = async (studentId) => {
-  const totalRecords = await Attendance.countDocuments({ student: studentId });
-  if (totalRecords === 0) return 0;
+  const student = await Student.findById(studentId).select('session');
+  if (!student) return 0;
 
-  const presentRecords = await Attendance.countDocuments({ 
-    student: studentId, 
-    status: 'Present' 
-  });
-
-  return Math.round((presentRecords / totalRecords) * 100);
+  const summary = await Attendance.getStudentSummary(studentId, null, null, student.session);
+  return summary.attendancePercentage;
 };
 
+// Average percentage over published results only, since this is shown to students
 const calculateAverageMarks = async (studentId) => {
-  // This would calculate from ExamMark model
-  // For now, return a mock value
-  return 85;
+  const query = await ExamMark.publishedQuery({ student: studentId });
+  const attempts = await ExamMark.find(query).select('marksObtained awardedMarks totalMarks originalMark');
+  const marks = ExamMark.countedAttempts(attempts);
+
+  const totalObtained = marks.reduce((sum, mark) => sum + (mark.awardedMarks ?? mark.marksObtained), 0);
+  const totalMarks = marks.reduce((sum, mark) => sum + mark.totalMarks, 0);
+
+  return totalMarks > 0 ? Math.round((totalObtained / totalMarks) * 100) : 0;
 };
 
 const calculatePendingFees = async (studentId) => {
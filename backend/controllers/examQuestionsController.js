@@ -0,0 +1,164 @@
+const { validationResult } = require('express-validator');
+const Exam = require('../models/Exam');
+const ExamMark = require('../models/ExamMark');
+const Teacher = require('../models/Teacher');
+
+// @desc    Define the questions of an exam paper
+// @route   PUT /api/exams/:id/questions
+// @access  Private (Admin, Teacher-own, Head of department)
+const setExamQuestions = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    if (!(await canManageQuestions(exam, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only define questions for your own or your department\'s exams.'
+      });
+    }
+
+    if (exam.marksStatus !== 'Draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Questions cannot be changed while marks are ${exam.marksStatus.toLowerCase()}`
+      });
+    }
+
+    const questions = req.body.questions.map(question => ({
+      number: String(question.number).trim(),
+      section: question.section,
+      maxMarks: Number(question.maxMarks),
+      learningOutcomes: question.learningOutcomes || []
+    }));
+
+    // Marks already entered per question must still fit the new paper
+    const marks = await ExamMark.find({ exam: exam._id, 'questionMarks.0': { $exists: true } })
+      .select('questionMarks');
+    const maxByNumber = new Map(questions.map(question => [question.number, question.maxMarks]));
+    const conflicts = new Set();
+    marks.forEach(mark => {
+      mark.questionMarks.forEach(item => {
+        const maxMarks = maxByNumber.get(item.question);
+        if (maxMarks === undefined || item.marksObtained > maxMarks) conflicts.add(item.question);
+      });
+    });
+
+    if (conflicts.size > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change questions ${[...conflicts].join(', ')}. Marks already entered for them would no longer fit.`
+      });
+    }
+
+    exam.questions = questions;
+    exam.updatedBy = req.user._id;
+
+    try {
+      await exam.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exam questions saved successfully',
+      data: { questions: exam.questions }
+    });
+  } catch (error) {
+    console.error('Set exam questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving exam questions'
+    });
+  }
+};
+
+// @desc    Get item analysis of an exam's question-level marks
+// @route   GET /api/exams/:id/item-analysis
+// @access  Private (Admin, Teacher-own, Head of department)
+const getItemAnalysis = async (req, res) => {
+  try {
+    const { weakThreshold = 50 } = req.query;
+
+    const exam = await Exam.findById(req.params.id)
+      .populate('class', 'name grade')
+      .populate('subject', 'name code');
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    if (!(await canManageQuestions(exam, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only analyse your own or your department\'s exams.'
+      });
+    }
+
+    if (exam.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam has no questions defined'
+      });
+    }
+
+    const marks = await ExamMark.find({ exam: exam._id }).select('marksObtained questionMarks isAbsent');
+    const analysis = exam.analyseQuestions(marks, Number(weakThreshold));
+
+    res.json({
+      success: true,
+      data: {
+        exam: {
+          _id: exam._id,
+          name: exam.name,
+          class: exam.class,
+          subject: exam.subject,
+          totalMarks: exam.totalMarks
+        },
+        marksEntered: marks.length,
+        ...analysis
+      }
+    });
+  } catch (error) {
+    console.error('Get item analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while analysing exam questions'
+    });
+  }
+};
+
+// Helper functions
+const canManageQuestions = async (exam, user) => {
+  if (user.role === 'Admin') return true;
+  if (user.role !== 'Teacher' || !exam.teacher) return false;
+  if (exam.teacher.toString() === user._id.toString()) return true;
+  return Teacher.isHeadOfDepartmentFor(user._id, exam.teacher);
+};
+
+module.exports = {
+  setExamQuestions,
+  getItemAnalysis
+};
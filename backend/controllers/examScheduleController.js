@@ -0,0 +1,431 @@
+const { validationResult } = require('express-validator');
+const Exam = require('../models/Exam');
+const ExamType = require('../models/ExamType');
+const Subject = require('../models/Subject');
+const Class = require('../models/Class');
+
+// @desc    Generate a proposed exam timetable
+// @route   POST /api/exams/schedule/preview
+// @access  Private (Admin)
+const previewSchedule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      examType: examTypeId,
+      startDate,
+      endDate,
+      slots = [{ startTime: '09:00', endTime: '12:00' }],
+      excludeWeekdays = [0],
+      excludeDates = [],
+      maxPapersPerDay = 1,
+      classes
+    } = req.body;
+
+    const examType = await ExamType.findById(examTypeId);
+    if (!examType || !examType.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Exam type not found or inactive'
+      });
+    }
+
+    const invalidSlot = slots.find(slot => toMinutes(slot.startTime) >= toMinutes(slot.endTime));
+    if (invalidSlot) {
+      return res.status(400).json({
+        success: false,
+        message: `Slot ${invalidSlot.startTime}-${invalidSlot.endTime} must end after it starts`
+      });
+    }
+
+    const days = getExamDays(startDate, endDate, excludeWeekdays, excludeDates);
+    if (days.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No exam days available in the given date window'
+      });
+    }
+
+    const lookups = await loadLookups(classes.map(c => c.class), classes.flatMap(c => c.subjects.map(s => s.subject)));
+    const existing = await loadExistingExams(days[0], days[days.length - 1]);
+
+    const plan = [];
+    const unplaced = [];
+    const sortedSlots = [...slots].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+
+    classes.forEach(classPlan => {
+      const classInfo = lookups.classes.get(classPlan.class.toString());
+
+      classPlan.subjects.forEach(subjectPlan => {
+        const subject = lookups.subjects.get(subjectPlan.subject.toString());
+        let placed = null;
+
+        for (const day of days) {
+          const papersToday = plan.filter(entry =>
+            entry.date === day && sameClass(entry, classPlan)
+          ).length;
+          if (papersToday >= maxPapersPerDay) continue;
+
+          for (const slot of sortedSlots) {
+            const slotLength = toMinutes(slot.endTime) - toMinutes(slot.startTime);
+            const duration = Math.min(subjectPlan.duration || examType.duration || slotLength, slotLength);
+
+            const candidate = {
+              name: `${examType.name} - ${subject ? subject.name : 'Subject'}`,
+              examType: examType._id,
+              class: classPlan.class,
+              section: classPlan.section,
+              subject: subjectPlan.subject,
+              teacher: subjectPlan.teacher || subject?.teacher,
+              invigilator: subjectPlan.invigilator,
+              room: subjectPlan.room || classPlan.room,
+              date: day,
+              startTime: slot.startTime,
+              endTime: fromMinutes(toMinutes(slot.startTime) + duration),
+              duration,
+              totalMarks: subjectPlan.totalMarks || examType.totalMarks,
+              passingMarks: subjectPlan.passingMarks || examType.passingMarks
+            };
+
+            if (findClashes(candidate, [...existing, ...plan]).length === 0) {
+              placed = candidate;
+              break;
+            }
+          }
+
+          if (placed) break;
+        }
+
+        if (placed) {
+          plan.push(placed);
+        } else {
+          unplaced.push({
+            class: classPlan.class,
+            className: classInfo?.name,
+            section: classPlan.section,
+            subject: subjectPlan.subject,
+            subjectName: subject?.name,
+            message: 'No free slot in the date window without a class, room, invigilator or teacher clash'
+          });
+        }
+      });
+    });
+
+    plan.sort((a, b) => a.date.localeCompare(b.date) || toMinutes(a.startTime) - toMinutes(b.startTime));
+
+    res.json({
+      success: true,
+      data: {
+        plan,
+        unplaced,
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Preview exam schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating exam schedule'
+    });
+  }
+};
+
+// @desc    Check an exam timetable for clashes
+// @route   POST /api/exams/schedule/check
+// @access  Private (Admin)
+const checkSchedule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const conflicts = await getPlanConflicts(await withSubjectTeachers(req.body.exams));
+
+    res.json({
+      success: true,
+      data: {
+        valid: conflicts.length === 0,
+        conflicts
+      }
+    });
+  } catch (error) {
+    console.error('Check exam schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking exam schedule'
+    });
+  }
+};
+
+// @desc    Commit an accepted exam timetable as Exam documents
+// @route   POST /api/exams/schedule/commit
+// @access  Private (Admin)
+const commitSchedule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { examType: examTypeId, session } = req.body;
+
+    const examType = await ExamType.findById(examTypeId);
+    if (!examType || !examType.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Exam type not found or inactive'
+      });
+    }
+
+    // Papers without a teacher go to the subject's teacher, who enters their marks
+    const exams = await withSubjectTeachers(req.body.exams);
+
+    // Re-check against the database, since other exams may have been scheduled since the preview
+    const conflicts = await getPlanConflicts(exams);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot commit exam schedule. ${conflicts.length} conflict(s) found.`,
+        errors: conflicts
+      });
+    }
+
+    const documents = exams.map(entry => new Exam({
+      name: entry.name || examType.name,
+      examType: examType._id,
+      class: entry.class,
+      section: entry.section,
+      subject: entry.subject,
+      teacher: entry.teacher,
+      invigilator: entry.invigilator,
+      room: entry.room,
+      date: new Date(entry.date),
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      duration: entry.duration || toMinutes(entry.endTime) - toMinutes(entry.startTime),
+      totalMarks: entry.totalMarks || examType.totalMarks,
+      passingMarks: entry.passingMarks || examType.passingMarks,
+      session: session || examType.session,
+      createdBy: req.user._id
+    }));
+
+    // insertMany skips the save hooks, so each exam is held to the same rules as createExam first
+    const invalid = [];
+    for (const [index, exam] of documents.entries()) {
+      try {
+        if (!exam.teacher) {
+          invalid.push({ type: 'Invalid', index, message: 'A teacher is required, and the subject has no teacher assigned' });
+          continue;
+        }
+        if (exam.date < new Date()) {
+          invalid.push({ type: 'Invalid', index, message: 'Exam date cannot be in the past' });
+          continue;
+        }
+
+        await exam.validate();
+        const ruleError = exam.getRuleError();
+        if (ruleError) invalid.push({ type: 'Invalid', index, message: ruleError });
+      } catch (error) {
+        invalid.push({ type: 'Invalid', index, message: error.message });
+      }
+    }
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot commit exam schedule. ${invalid.length} exam(s) are invalid.`,
+        errors: invalid
+      });
+    }
+
+    const created = await Exam.insertMany(documents);
+
+    res.status(201).json({
+      success: true,
+      message: 'Exam schedule committed successfully',
+      data: {
+        created: created.length,
+        exams: created
+      }
+    });
+  } catch (error) {
+    console.error('Commit exam schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while committing exam schedule'
+    });
+  }
+};
+
+// Helper functions
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) => {
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Dates in the window as YYYY-MM-DD, skipping excluded weekdays (0 = Sunday) and dates
+const getExamDays = (startDate, endDate, excludeWeekdays, excludeDates) => {
+  const excluded = new Set(excludeDates.map(toDateKey));
+  const days = [];
+  const current = new Date(`${toDateKey(startDate)}T00:00:00.000Z`);
+  const last = new Date(`${toDateKey(endDate)}T00:00:00.000Z`);
+
+  while (current <= last) {
+    const key = toDateKey(current);
+    if (!excludeWeekdays.includes(current.getUTCDay()) && !excluded.has(key)) {
+      days.push(key);
+    }
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return days;
+};
+
+const loadLookups = async (classIds, subjectIds) => {
+  const [classes, subjects] = await Promise.all([
+    Class.find({ _id: { $in: classIds } }).select('name grade'),
+    Subject.find({ _id: { $in: subjectIds } }).select('name code teacher')
+  ]);
+
+  return {
+    classes: new Map(classes.map(c => [c._id.toString(), c])),
+    subjects: new Map(subjects.map(s => [s._id.toString(), s]))
+  };
+};
+
+// Plan entries with the subject's teacher filled in where no teacher is given
+const withSubjectTeachers = async (exams) => {
+  const subjects = await Subject.find({ _id: { $in: exams.map(entry => entry.subject) } }).select('teacher');
+  const teachers = new Map(subjects.map(subject => [subject._id.toString(), subject.teacher]));
+
+  return exams.map(entry => ({
+    ...entry,
+    teacher: entry.teacher || teachers.get(entry.subject.toString())
+  }));
+};
+
+// Scheduled exams in the window, in the same shape as plan entries
+const loadExistingExams = async (fromDay, toDay) => {
+  const exams = await Exam.find({
+    date: {
+      $gte: new Date(`${fromDay}T00:00:00.000Z`),
+      $lte: new Date(`${toDay}T23:59:59.999Z`)
+    },
+    status: { $ne: 'Cancelled' }
+  }).select('name class section subject teacher invigilator room date startTime endTime');
+
+  return exams.map(exam => ({
+    existing: true,
+    exam: exam._id,
+    name: exam.name,
+    class: exam.class,
+    section: exam.section,
+    subject: exam.subject,
+    teacher: exam.teacher,
+    invigilator: exam.invigilator,
+    room: exam.room,
+    date: toDateKey(exam.date),
+    startTime: exam.startTime,
+    endTime: exam.endTime
+  }));
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// A class-wide paper clashes with every section of that class
+const sameClass = (a, b) => sameId(a.class, b.class) &&
+  (!a.section || !b.section || sameId(a.section, b.section));
+
+const sameRoom = (a, b) => !!a.room && !!b.room &&
+  a.room.trim().toLowerCase() === b.room.trim().toLowerCase();
+
+const overlaps = (a, b) => a.date === b.date &&
+  toMinutes(a.startTime) < toMinutes(b.endTime) &&
+  toMinutes(b.startTime) < toMinutes(a.endTime);
+
+// Returns the clashes between one entry and a list of others
+const findClashes = (entry, others) => {
+  const clashes = [];
+
+  others.forEach(other => {
+    if (other === entry || !overlaps(entry, other)) return;
+
+    if (sameClass(entry, other)) clashes.push({ type: 'Class', with: other });
+    if (sameRoom(entry, other)) clashes.push({ type: 'Room', with: other });
+    if (sameId(entry.invigilator, other.invigilator)) clashes.push({ type: 'Invigilator', with: other });
+    if (sameId(entry.teacher, other.teacher)) clashes.push({ type: 'Teacher', with: other });
+  });
+
+  return clashes;
+};
+
+// Conflicts within a submitted plan and against exams already in the database
+const getPlanConflicts = async (exams) => {
+  const entries = exams.map((entry, index) => ({ ...entry, index, date: toDateKey(entry.date) }));
+  const conflicts = [];
+
+  entries.forEach(entry => {
+    if (toMinutes(entry.startTime) >= toMinutes(entry.endTime)) {
+      conflicts.push({ type: 'Time', index: entry.index, message: 'End time must be after start time' });
+    }
+    if (entry.totalMarks && entry.passingMarks && entry.passingMarks >= entry.totalMarks) {
+      conflicts.push({ type: 'Marks', index: entry.index, message: 'Passing marks must be less than total marks' });
+    }
+  });
+
+  if (entries.length === 0) return conflicts;
+
+  const days = entries.map(entry => entry.date).sort();
+  const existing = await loadExistingExams(days[0], days[days.length - 1]);
+
+  entries.forEach((entry, position) => {
+    // Only compare each pair of plan entries once
+    const laterEntries = entries.slice(position + 1);
+
+    findClashes(entry, [...laterEntries, ...existing]).forEach(clash => {
+      conflicts.push({
+        type: clash.type,
+        index: entry.index,
+        ...(clash.with.existing ? { exam: clash.with.exam } : { withIndex: clash.with.index }),
+        message: clash.with.existing
+          ? `${clash.type} clash with scheduled exam "${clash.with.name}" on ${entry.date} ${clash.with.startTime}-${clash.with.endTime}`
+          : `${clash.type} clash with plan entry ${clash.with.index} on ${entry.date} ${clash.with.startTime}-${clash.with.endTime}`
+      });
+    });
+  });
+
+  return conflicts;
+};
+
+module.exports = {
+  previewSchedule,
+  checkSchedule,
+  commitSchedule
+};
@@ -0,0 +1,320 @@
+const { validationResult } = require('express-validator');
+const ExamType = require('../models/ExamType');
+const Exam = require('../models/Exam');
+const ExamMark = require('../models/ExamMark');
+
+// @desc    Get exam types
+// @route   GET /api/exams/types
+// @access  Private
+const getExamTypes = async (req, res) => {
+  try {
+    const { session, isActive } = req.query;
+
+    let query = {};
+    if (session) query.session = session;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const examTypes = await ExamType.find(query)
+      .populate('session', 'name')
+      .sort({ order: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { examTypes }
+    });
+  } catch (error) {
+    console.error('Get exam types error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exam types'
+    });
+  }
+};
+
+// @desc    Get single exam type
+// @route   GET /api/exams/types/:id
+// @access  Private
+const getExamType = async (req, res) => {
+  try {
+    const examType = await ExamType.findById(req.params.id)
+      .populate('session', 'name')
+      .populate('createdBy', 'firstName lastName')
+      .populate('updatedBy', 'firstName lastName');
+
+    if (!examType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam type not found'
+      });
+    }
+
+    const [exams, marks] = await Promise.all([
+      Exam.countDocuments({ examType: examType._id }),
+      ExamMark.countDocuments({ examType: examType._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        examType,
+        usage: { exams, marks }
+      }
+    });
+  } catch (error) {
+    console.error('Get exam type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exam type'
+    });
+  }
+};
+
+// @desc    Create exam type
+// @route   POST /api/exams/types
+// @access  Private (Admin)
+const createExamType = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      name,
+      description,
+      totalMarks,
+      passingMarks,
+      duration,
+      order,
+      weight,
+      session
+    } = req.body;
+
+    const existingType = await ExamType.findOne({ name, session });
+    if (existingType) {
+      return res.status(400).json({
+        success: false,
+        message: 'An exam type with this name already exists in the session'
+      });
+    }
+
+    // New types go to the end of the session's list unless an order is given
+    let position = order;
+    if (position === undefined) {
+      const last = await ExamType.findOne({ session }).sort({ order: -1 }).select('order');
+      position = last ? last.order + 1 : 0;
+    }
+
+    const examType = new ExamType({
+      name,
+      description,
+      totalMarks,
+      passingMarks,
+      duration,
+      order: position,
+      weight,
+      session,
+      createdBy: req.user._id
+    });
+
+    try {
+      await examType.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Exam type created successfully',
+      data: { examType }
+    });
+  } catch (error) {
+    console.error('Create exam type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating exam type'
+    });
+  }
+};
+
+// @desc    Update exam type
+// @route   PUT /api/exams/types/:id
+// @access  Private (Admin)
+const updateExamType = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const examType = await ExamType.findById(req.params.id);
+    if (!examType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam type not found'
+      });
+    }
+
+    const {
+      name,
+      description,
+      totalMarks,
+      passingMarks,
+      duration,
+      order,
+      weight,
+      isActive
+    } = req.body;
+
+    if (name && name !== examType.name) {
+      const existingType = await ExamType.findOne({ name, session: examType.session });
+      if (existingType) {
+        return res.status(400).json({
+          success: false,
+          message: 'An exam type with this name already exists in the session'
+        });
+      }
+    }
+
+    // Defaults only prefill new exams; existing exams keep their own marks
+    if (name !== undefined) examType.name = name;
+    if (description !== undefined) examType.description = description;
+    if (totalMarks !== undefined) examType.totalMarks = totalMarks;
+    if (passingMarks !== undefined) examType.passingMarks = passingMarks;
+    if (duration !== undefined) examType.duration = duration;
+    if (order !== undefined) examType.order = order;
+    if (weight !== undefined) examType.weight = weight;
+    if (isActive !== undefined) examType.isActive = isActive;
+    examType.updatedBy = req.user._id;
+
+    try {
+      await examType.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exam type updated successfully',
+      data: { examType }
+    });
+  } catch (error) {
+    console.error('Update exam type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating exam type'
+    });
+  }
+};
+
+// @desc    Reorder the exam types of a session
+// @route   PUT /api/exams/types/reorder
+// @access  Private (Admin)
+const reorderExamTypes = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session, examTypes } = req.body; // examTypes: Array of IDs in the new order
+
+    const count = await ExamType.countDocuments({ _id: { $in: examTypes }, session });
+    if (count !== examTypes.length || new Set(examTypes.map(String)).size !== examTypes.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each exam type must be listed once and belong to the session'
+      });
+    }
+
+    await ExamType.bulkWrite(examTypes.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { order: index, updatedBy: req.user._id } }
+      }
+    })));
+
+    const reordered = await ExamType.find({ session }).sort({ order: 1, name: 1 });
+
+    res.json({
+      success: true,
+      message: 'Exam types reordered successfully',
+      data: { examTypes: reordered }
+    });
+  } catch (error) {
+    console.error('Reorder exam types error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering exam types'
+    });
+  }
+};
+
+// @desc    Delete exam type
+// @route   DELETE /api/exams/types/:id
+// @access  Private (Admin)
+const deleteExamType = async (req, res) => {
+  try {
+    const examType = await ExamType.findById(req.params.id);
+    if (!examType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam type not found'
+      });
+    }
+
+    // Check if exam type has any exams or marks
+    const hasExams = await Exam.countDocuments({ examType: examType._id });
+    const hasMarks = await ExamMark.countDocuments({ examType: examType._id });
+
+    if (hasExams > 0 || hasMarks > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete exam type. It has ${hasExams} exams and ${hasMarks} mark entries. Deactivate it instead.`
+      });
+    }
+
+    await examType.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Exam type deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete exam type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting exam type'
+    });
+  }
+};
+
+module.exports = {
+  getExamTypes,
+  getExamType,
+  createExamType,
+  updateExamType,
+  reorderExamTypes,
+  deleteExamType
+};
@@ -4,6 +4,7 @@ const ExamMark = require('../models/ExamMark');
 const Class = require('../models/Class');
 const Subject = require('../models/Subject');
 const Student = require('../models/Student');
+const ExamType = require('../models/ExamType');
 const mongoose = require('mongoose');
 
 // @desc    Get all exams
@@ -19,7 +20,8 @@ const getExams = async (req, res) => {
       subject: subjectId,
       examType,
       status,
-      session
+      session,
+      originalExam
     } = req.query;
 
     // Build query based on user role
@@ -59,6 +61,7 @@ const getExams = async (req, res) => {
     if (examType) query.examType = examType;
     if (status) query.status = status;
     if (session) query.session = session;
+    if (originalExam) query.originalExam = originalExam;
 
     // Execute query with pagination
     const exams = await Exam.find(query)
@@ -138,7 +141,10 @@ const getExam = async (req, res) => {
       failCount: 0
     };
 
-    if (exam.class) {
+    // Mark statistics are withheld from students and parents until results are published
+    const canSeeMarks = !['Student', 'Parent'].includes(req.user.role) || exam.resultsVisible;
+
+    if (exam.class && canSeeMarks) {
       stats.totalStudents = await Student.countDocuments({
         class: exam.class._id,
         status: 'Active'
@@ -205,6 +211,24 @@ const createExam = async (req, res) => {
       teacher
     } = req.body;
 
+    const examTypeInfo = await ExamType.findById(examType);
+    if (!examTypeInfo || !examTypeInfo.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Exam type not found or inactive'
+      });
+    }
+
+    // Marks and duration left out of the request are prefilled from the exam type
+    const examTotalMarks = totalMarks || examTypeInfo.totalMarks;
+    const examPassingMarks = passMarks || examTypeInfo.passingMarks;
+    if (examPassingMarks >= examTotalMarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pass marks must be less than total marks'
+      });
+    }
+
     // Validate exam date is not in the past
     if (new Date(examDate) < new Date()) {
       return res.status(400).json({
@@ -224,7 +248,7 @@ const createExam = async (req, res) => {
     // Check for conflicting exams
     const conflictingExam = await Exam.findOne({
       class: classId,
-      examDate: new Date(examDate),
+      date: new Date(examDate),
       $or: [
         {
           startTime: { $lte: startTime },
@@ -256,14 +280,14 @@ const createExam = async (req, res) => {
       class: classId,
       subject: subjectId,
       examType,
-      examDate: new Date(examDate),
+      date: new Date(examDate),
       startTime,
       endTime,
-      duration,
-      totalMarks,
-      passMarks,
-      instructions: instructions || [],
-      session: session || req.user.session,
+      duration: duration || examTypeInfo.duration || minutesBetween(startTime, endTime),
+      totalMarks: examTotalMarks,
+      passingMarks: examPassingMarks,
+      instructions,
+      session: session || examTypeInfo.session,
       teacher: teacher || req.user._id,
       createdBy: req.user._id
     });
@@ -461,6 +485,14 @@ const getExamResults = async (req, res) => {
       }
     }
 
+    // Students and parents only see results once they are published
+    if (['Student', 'Parent'].includes(req.user.role) && !exam.resultsVisible) {
+      return res.status(403).json({
+        success: false,
+        message: 'Results for this exam have not been published yet.'
+      });
+    }
+
     let query = { exam: req.params.id };
 
     // If student, only show their own result
@@ -469,6 +501,10 @@ const getExamResults = async (req, res) => {
       if (student) {
         query.student = student._id;
       }
+    } else if (req.user.role === 'Parent') {
+      // Parents only see their own children's results
+      const children = await Student.find({ parent: req.user._id }).select('_id');
+      query.student = { $in: children.map(child => child._id) };
     }
 
     const results = await ExamMark.find(query)
@@ -503,12 +539,19 @@ const getExamResults = async (req, res) => {
       stats.passPercentage = Math.round((stats.passCount / results.length) * 100);
     }
 
+    // Question-level breakdown; students and parents get their own question marks in results,
+    // class-wide item analysis is for staff only
+    const itemAnalysis = exam.questions.length > 0 && !['Student', 'Parent'].includes(req.user.role)
+      ? exam.analyseQuestions(results)
+      : undefined;
+
     res.json({
       success: true,
       data: {
         exam,
         results,
-        stats
+        stats,
+        ...(itemAnalysis && { itemAnalysis })
       }
     });
   } catch (error) {
@@ -525,6 +568,16 @@ const getExamResults = async (req, res) => {
 // @access  Private (Admin, Teacher-own)
 const publishResults = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const exam = await Exam.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({
@@ -541,32 +594,58 @@ const publishResults = async (req, res) => {
       });
     }
 
-    // Check if all marks are entered
-    const totalStudents = await Student.countDocuments({
-      class: exam.class,
-      status: 'Active'
-    });
+    if (exam.resultsPublished) {
+      return res.status(400).json({
+        success: false,
+        message: exam.resultsVisible
+          ? 'Results for this exam are already published. Withdraw them first to republish.'
+          : 'Results for this exam are already scheduled for publication. Withdraw them first to reschedule.'
+      });
+    }
 
-    const marksEntered = await ExamMark.countDocuments({ exam: req.params.id });
+    // Results can only be published from moderated marks
+    if (!['Approved', 'Locked'].includes(exam.marksStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot publish results. Marks are ${exam.marksStatus.toLowerCase()} and must be approved first.`
+      });
+    }
 
-    if (marksEntered < totalStudents) {
+    // Check if all marks are entered
+    const missing = await exam.countMissingMarks();
+    if (missing > 0) {
       return res.status(400).json({
         success: false,
-        message: `Cannot publish results. Marks entered for ${marksEntered} out of ${totalStudents} students.`
+        message: `Cannot publish results. ${missing} student(s) have no marks entered.`
       });
     }
 
-    // Update exam status
-    await Exam.findByIdAndUpdate(req.params.id, {
-      status: 'Completed',
-      resultsPublished: true,
-      resultsPublishedAt: new Date(),
-      updatedBy: req.user._id
-    });
+    // A future publishAt schedules the publication; results stay hidden until then
+    const publishAt = req.body.publishAt ? new Date(req.body.publishAt) : new Date();
+    const isScheduled = publishAt > new Date();
+
+    // Update exam status; published marks are locked against further edits
+    exam.status = 'Completed';
+    exam.resultsPublished = true;
+    exam.resultsPublishedAt = publishAt;
+    exam.resultsPublishedBy = req.user._id;
+    exam.resultsWithdrawnAt = undefined;
+    exam.resultsWithdrawnBy = undefined;
+    exam.resultsWithdrawalReason = undefined;
+    if (exam.marksStatus !== 'Locked') {
+      await exam.setMarksStatus('Locked', req.user._id, isScheduled ? 'Results scheduled for publication' : 'Results published');
+    } else {
+      exam.updatedBy = req.user._id;
+      await exam.save();
+    }
 
     res.json({
       success: true,
-      message: 'Exam results published successfully'
+      message: isScheduled ? 'Exam results scheduled for publication' : 'Exam results published successfully',
+      data: {
+        resultsPublishedAt: exam.resultsPublishedAt,
+        resultsVisible: exam.resultsVisible
+      }
     });
   } catch (error) {
     console.error('Publish results error:', error);
@@ -577,6 +656,67 @@ const publishResults = async (req, res) => {
   }
 };
 
+// @desc    Withdraw published or scheduled exam results
+// @route   POST /api/exams/:id/unpublish
+// @access  Private (Admin, Teacher-own)
+const withdrawResults = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role === 'Teacher' && exam.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only withdraw results for your own exams.'
+      });
+    }
+
+    if (!exam.resultsPublished) {
+      return res.status(400).json({
+        success: false,
+        message: 'Results for this exam are not published'
+      });
+    }
+
+    // Marks stay locked; an admin unlocks them separately if they need correcting
+    exam.resultsPublished = false;
+    exam.resultsPublishedAt = undefined;
+    exam.resultsPublishedBy = undefined;
+    exam.resultsWithdrawnAt = new Date();
+    exam.resultsWithdrawnBy = req.user._id;
+    exam.resultsWithdrawalReason = req.body.reason;
+    exam.updatedBy = req.user._id;
+    await exam.save();
+
+    res.json({
+      success: true,
+      message: 'Exam results withdrawn successfully'
+    });
+  } catch (error) {
+    console.error('Withdraw results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while withdrawing results'
+    });
+  }
+};
+
 // @desc    Get exam statistics
 // @route   GET /api/exams/stats
 // @access  Private (Admin, Teacher)
@@ -643,6 +783,13 @@ const getExamStats = async (req, res) => {
   }
 };
 
+// Helper functions
+const minutesBetween = (startTime, endTime) => {
+  const [startHours, startMinutes] = startTime.split(':').map(Number);
+  const [endHours, endMinutes] = endTime.split(':').map(Number);
+  return (endHours * 60 + endMinutes) - (startHours * 60 + startMinutes);
+};
+
 module.exports = {
   getExams,
   getExam,
@@ -651,5 +798,6 @@ module.exports = {
   deleteExam,
   getExamResults,
   publishResults,
+  withdrawResults,
   getExamStats
 };
\ No newline at end of file
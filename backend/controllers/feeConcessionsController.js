@@ -0,0 +1,397 @@
+const { validationResult } = require('express-validator');
+const FeeConcession = require('../models/FeeConcession');
+const FeeInvoice = require('../models/FeeInvoice');
+const Student = require('../models/Student');
+const mongoose = require('mongoose');
+
+// @desc    Get fee concessions
+// @route   GET /api/fees/concessions
+// @access  Private (Admin, Student-own, Parent-own)
+const getConcessions = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      student: studentId,
+      category,
+      status,
+      session
+    } = req.query;
+
+    let query = {};
+
+    if (studentId) query.student = studentId;
+    if (category) query.category = category;
+    if (status) query.status = status;
+    if (session) query.session = session;
+
+    // Students and parents only see approved concessions of their own
+    if (req.user.role === 'Student') {
+      const student = await Student.findOne({ user: req.user._id });
+      query.student = student ? student._id : null;
+      query.status = 'Approved';
+    } else if (req.user.role === 'Parent') {
+      const children = await Student.find({ parent: req.user._id });
+      query.student = { $in: children.map(child => child._id) };
+      query.status = 'Approved';
+    }
+
+    const concessions = await FeeConcession.find(query)
+      .populate({
+        path: 'student',
+        select: 'admissionNumber class',
+        populate: [
+          { path: 'user', select: 'firstName lastName' },
+          { path: 'class', select: 'name grade' }
+        ]
+      })
+      .populate('feeTypes', 'name code')
+      .populate('requestedBy', 'firstName lastName')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await FeeConcession.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        concessions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get concessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching concessions'
+    });
+  }
+};
+
+// @desc    Request a concession for a student
+// @route   POST /api/fees/concessions
+// @access  Private (Admin)
+const createConcession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      student: studentId,
+      category,
+      type,
+      value,
+      feeTypes,
+      validFrom,
+      validTo,
+      reason,
+      session
+    } = req.body;
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (type === 'Percentage' && Number(value) > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Concession percentage cannot exceed 100%'
+      });
+    }
+
+    if (validTo && new Date(validTo) < new Date(validFrom)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid to date cannot be before valid from date'
+      });
+    }
+
+    const concession = await FeeConcession.create({
+      student: student._id,
+      category,
+      type,
+      value,
+      feeTypes: feeTypes || [],
+      validFrom: new Date(validFrom),
+      validTo: validTo ? new Date(validTo) : undefined,
+      reason,
+      requestedBy: req.user._id,
+      session: session || student.session
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Concession requested successfully. It applies once approved.',
+      data: { concession }
+    });
+  } catch (error) {
+    console.error('Create concession error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating concession'
+    });
+  }
+};
+
+// @desc    Approve or reject a concession
+// @route   PUT /api/fees/concessions/:id/review
+// @access  Private (Admin)
+const reviewConcession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, remarks } = req.body;
+
+    const concession = await FeeConcession.findById(req.params.id);
+    if (!concession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Concession not found'
+      });
+    }
+
+    if (concession.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Concession is already ${concession.status.toLowerCase()}`
+      });
+    }
+
+    concession.status = status;
+    concession.reviewedBy = req.user._id;
+    concession.reviewedAt = new Date();
+    concession.reviewRemarks = remarks;
+    await concession.save();
+
+    // Invoices the student has not paid anything on yet pick up the concession
+    const invoicesUpdated = status === 'Approved'
+      ? await refreshOpenInvoices(concession.student, concession.session)
+      : 0;
+
+    res.json({
+      success: true,
+      message: `Concession ${status.toLowerCase()} successfully`,
+      data: {
+        concession,
+        invoicesUpdated
+      }
+    });
+  } catch (error) {
+    console.error('Review concession error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing concession'
+    });
+  }
+};
+
+// @desc    Revoke an approved concession
+// @route   PUT /api/fees/concessions/:id/revoke
+// @access  Private (Admin)
+const revokeConcession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const concession = await FeeConcession.findById(req.params.id);
+    if (!concession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Concession not found'
+      });
+    }
+
+    if (concession.status !== 'Approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved concessions can be revoked'
+      });
+    }
+
+    concession.status = 'Revoked';
+    concession.revokedBy = req.user._id;
+    concession.revokedAt = new Date();
+    concession.revokeReason = req.body.reason;
+    await concession.save();
+
+    // Invoices already paid against keep the concession they were billed with
+    const invoicesUpdated = await refreshOpenInvoices(concession.student, concession.session);
+
+    res.json({
+      success: true,
+      message: 'Concession revoked successfully',
+      data: {
+        concession,
+        invoicesUpdated
+      }
+    });
+  } catch (error) {
+    console.error('Revoke concession error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking concession'
+    });
+  }
+};
+
+// @desc    Get revenue forgone through concessions per category
+// @route   GET /api/fees/concessions/report
+// @access  Private (Admin)
+const getConcessionReport = async (req, res) => {
+  try {
+    const { session, class: classId, startDate, endDate } = req.query;
+
+    const match = {
+      status: { $ne: 'Cancelled' },
+      'concessions.0': { $exists: true }
+    };
+
+    if (session) match.session = new mongoose.Types.ObjectId(session);
+    if (classId) match.class = new mongoose.Types.ObjectId(classId);
+    if (startDate || endDate) {
+      match.dueDate = {};
+      if (startDate) match.dueDate.$gte = new Date(startDate);
+      if (endDate) match.dueDate.$lte = new Date(endDate);
+    }
+
+    const byCategory = await FeeInvoice.aggregate([
+      { $match: match },
+      { $unwind: '$concessions' },
+      {
+        $group: {
+          _id: '$concessions.category',
+          revenueForgone: { $sum: '$concessions.amount' },
+          invoices: { $sum: 1 },
+          students: { $addToSet: '$student' },
+          concessions: { $addToSet: '$concessions.concession' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          category: '$_id',
+          revenueForgone: 1,
+          invoices: 1,
+          students: { $size: '$students' },
+          concessions: { $size: '$concessions' }
+        }
+      },
+      { $sort: { revenueForgone: -1 } }
+    ]);
+
+    const byFeeType = await FeeInvoice.aggregate([
+      { $match: match },
+      { $unwind: '$concessions' },
+      {
+        $group: {
+          _id: { feeType: '$feeType', category: '$concessions.category' },
+          revenueForgone: { $sum: '$concessions.amount' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'feetypes',
+          localField: '_id.feeType',
+          foreignField: '_id',
+          as: 'feeType'
+        }
+      },
+      { $unwind: '$feeType' },
+      {
+        $project: {
+          _id: 0,
+          feeType: { _id: '$feeType._id', name: '$feeType.name', code: '$feeType.code' },
+          category: '$_id.category',
+          revenueForgone: 1
+        }
+      },
+      { $sort: { 'feeType.name': 1, category: 1 } }
+    ]);
+
+    const statusCounts = await FeeConcession.aggregate([
+      { $match: session ? { session: new mongoose.Types.ObjectId(session) } : {} },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          revenueForgone: Math.round(byCategory.reduce((sum, row) => sum + row.revenueForgone, 0) * 100) / 100,
+          invoices: await FeeInvoice.countDocuments(match),
+          pending: statusCounts.find(row => row._id === 'Pending')?.count || 0,
+          approved: statusCounts.find(row => row._id === 'Approved')?.count || 0
+        },
+        byCategory,
+        byFeeType
+      }
+    });
+  } catch (error) {
+    console.error('Get concession report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating concession report'
+    });
+  }
+};
+
+// Helper functions
+
+// Reapply a student's approved concessions to invoices nothing has been paid on
+const refreshOpenInvoices = async (studentId, sessionId) => {
+  const [invoices, concessions] = await Promise.all([
+    FeeInvoice.find({ student: studentId, session: sessionId, status: 'Open', allocations: { $size: 0 } }),
+    FeeConcession.getApproved([studentId], sessionId)
+  ]);
+
+  let updated = 0;
+  for (const invoice of invoices) {
+    const before = invoice.totalAmount;
+    invoice.applyConcessions(concessions);
+    if (invoice.totalAmount !== before) {
+      await invoice.save();
+      updated++;
+    }
+  }
+
+  return updated;
+};
+
+module.exports = {
+  getConcessions,
+  createConcession,
+  reviewConcession,
+  revokeConcession,
+  getConcessionReport
+};
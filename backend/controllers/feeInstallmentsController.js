@@ -0,0 +1,309 @@
+const { validationResult } = require('express-validator');
+const FeeStructure = require('../models/FeeStructure');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeePlanAssignment = require('../models/FeePlanAssignment');
+const FeeConcession = require('../models/FeeConcession');
+const Student = require('../models/Student');
+
+// Only fees billed once for the session can be split into instalments
+const INSTALLMENT_FREQUENCIES = ['Yearly', 'One-Time'];
+
+// @desc    Add an instalment plan to a fee structure
+// @route   POST /api/fees/structures/:id/installment-plans
+// @access  Private (Admin)
+const addInstallmentPlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const feeStructure = await FeeStructure.findById(req.params.id).populate('feeType', 'name frequency');
+    if (!feeStructure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee structure not found'
+      });
+    }
+
+    if (!INSTALLMENT_FREQUENCIES.includes(feeStructure.feeType.frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Instalment plans are only for yearly or one-time fees, not ${feeStructure.feeType.frequency}`
+      });
+    }
+
+    const { name, installments } = req.body;
+
+    if (feeStructure.installmentPlans.some(plan => plan.name.toLowerCase() === name.trim().toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'An instalment plan with this name already exists for this fee structure'
+      });
+    }
+
+    const plan = {
+      name,
+      installments: installments.map(installment => ({
+        percentage: installment.percentage != null ? Number(installment.percentage) : undefined,
+        amount: installment.amount != null ? Number(installment.amount) : undefined,
+        dueDate: new Date(installment.dueDate)
+      }))
+    };
+
+    const planError = feeStructure.getInstallmentPlanError(plan);
+    if (planError) {
+      return res.status(400).json({
+        success: false,
+        message: planError
+      });
+    }
+
+    feeStructure.installmentPlans.push(plan);
+    feeStructure.updatedBy = req.user._id;
+    await feeStructure.save();
+
+    const added = feeStructure.installmentPlans[feeStructure.installmentPlans.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: 'Instalment plan added successfully',
+      data: {
+        plan: added,
+        schedule: feeStructure.splitInstallments(added._id)
+      }
+    });
+  } catch (error) {
+    console.error('Add instalment plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding instalment plan'
+    });
+  }
+};
+
+// @desc    Remove an instalment plan no student is on
+// @route   DELETE /api/fees/structures/:id/installment-plans/:planId
+// @access  Private (Admin)
+const deleteInstallmentPlan = async (req, res) => {
+  try {
+    const feeStructure = await FeeStructure.findById(req.params.id);
+    if (!feeStructure || !feeStructure.installmentPlans.id(req.params.planId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instalment plan not found'
+      });
+    }
+
+    const assigned = await FeePlanAssignment.countDocuments({
+      feeStructure: feeStructure._id,
+      plan: req.params.planId
+    });
+
+    if (assigned > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot remove a plan assigned to ${assigned} students`
+      });
+    }
+
+    feeStructure.installmentPlans.pull(req.params.planId);
+    feeStructure.updatedBy = req.user._id;
+    await feeStructure.save();
+
+    res.json({
+      success: true,
+      message: 'Instalment plan removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete instalment plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing instalment plan'
+    });
+  }
+};
+
+// @desc    Put students on an instalment plan and invoice each instalment
+// @route   POST /api/fees/installment-plans/assign
+// @access  Private (Admin)
+const assignInstallmentPlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { feeStructure: feeStructureId, plan: planId, students: studentIds, remarks } = req.body;
+
+    const feeStructure = await FeeStructure.findById(feeStructureId).populate('feeType', 'name frequency');
+    if (!feeStructure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee structure not found'
+      });
+    }
+
+    const plan = feeStructure.installmentPlans.id(planId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instalment plan not found'
+      });
+    }
+
+    const schedule = feeStructure.splitInstallments(plan._id);
+    const students = await Student.find({ _id: { $in: studentIds } }).select('class section status');
+    const byId = new Map(students.map(student => [student._id.toString(), student]));
+
+    const results = [];
+    for (const studentId of [...new Set(studentIds.map(String))]) {
+      const student = byId.get(studentId);
+
+      if (!student) {
+        results.push({ student: studentId, outcome: 'Rejected', message: 'Student not found' });
+      } else if (student.class.toString() !== feeStructure.class.toString()) {
+        results.push({ student: studentId, outcome: 'Rejected', message: 'Student is not in the class of this fee structure' });
+      } else {
+        results.push({
+          student: studentId,
+          ...await applyInstallmentPlan(student, feeStructure, plan, schedule, req.user._id, remarks)
+        });
+      }
+    }
+
+    const assigned = results.filter(result => result.outcome === 'Assigned').length;
+
+    res.json({
+      success: true,
+      message: `Assigned ${assigned} students to plan "${plan.name}"`,
+      data: {
+        plan: { _id: plan._id, name: plan.name },
+        schedule,
+        summary: {
+          assigned,
+          unchanged: results.filter(result => result.outcome === 'Unchanged').length,
+          rejected: results.filter(result => result.outcome === 'Rejected').length
+        },
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Assign instalment plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning instalment plan'
+    });
+  }
+};
+
+// Helper functions
+
+// Replace a student's unpaid invoices for the fee with one invoice per instalment.
+// Invoices that already have payments allocated are never touched.
+const applyInstallmentPlan = async (student, feeStructure, plan, schedule, userId, remarks) => {
+  const assignment = await FeePlanAssignment.findOne({ student: student._id, feeStructure: feeStructure._id });
+  if (assignment && assignment.plan.toString() === plan._id.toString()) {
+    return { outcome: 'Unchanged', message: 'Student is already on this plan' };
+  }
+
+  const invoices = await FeeInvoice.find({
+    student: student._id,
+    feeStructure: feeStructure._id,
+    status: { $ne: 'Cancelled' }
+  });
+
+  if (invoices.some(invoice => invoice.allocations.length > 0)) {
+    return { outcome: 'Rejected', message: 'Payments have already been made against this fee' };
+  }
+
+  const concessions = await FeeConcession.getApproved([student._id], feeStructure.session);
+
+  // Instalment invoices of a previous plan, cancelled ones included, never had money against
+  // them, so they are reused for the same instalment numbers
+  const previous = await FeeInvoice.find({
+    student: student._id,
+    feeStructure: feeStructure._id,
+    'installment.plan': { $exists: true }
+  });
+
+  // The new instalments are saved before anything is cancelled or removed, so a failure part-way
+  // never leaves the fee unbilled, and assigning the plan again finishes the switch
+  for (const installment of schedule) {
+    const key = `I${installment.number}`;
+    const invoice = previous.find(row => row.period.key === key) || new FeeInvoice({
+      student: student._id,
+      class: feeStructure.class,
+      section: student.section,
+      feeStructure: feeStructure._id,
+      feeType: feeStructure.feeType._id,
+      session: feeStructure.session,
+      generatedBy: userId
+    });
+
+    invoice.set({
+      period: {
+        key,
+        label: `Instalment ${installment.number} of ${schedule.length}`,
+        startDate: installment.dueDate,
+        endDate: installment.dueDate
+      },
+      installment: {
+        plan: plan._id,
+        number: installment.number,
+        count: schedule.length
+      },
+      dueDate: installment.dueDate,
+      amount: installment.amount,
+      discount: installment.discount,
+      lateFee: 0,
+      status: 'Open',
+      remarks: undefined,
+      cancelledBy: undefined,
+      cancelledAt: undefined
+    });
+    invoice.applyConcessions(concessions);
+    await invoice.saveWithNumber();
+  }
+
+  await FeeInvoice.deleteMany({
+    _id: { $in: previous.filter(invoice => invoice.installment.number > schedule.length).map(invoice => invoice._id) }
+  });
+
+  for (const invoice of invoices.filter(invoice => !invoice.installment?.plan)) {
+    invoice.status = 'Cancelled';
+    invoice.remarks = `Replaced by instalment plan "${plan.name}"`;
+    invoice.cancelledBy = userId;
+    invoice.cancelledAt = new Date();
+    await invoice.save();
+  }
+
+  await FeePlanAssignment.findOneAndUpdate(
+    { student: student._id, feeStructure: feeStructure._id },
+    {
+      $set: {
+        plan: plan._id,
+        remarks,
+        assignedBy: userId,
+        session: feeStructure.session
+      }
+    },
+    { upsert: true, runValidators: true }
+  );
+
+  return { outcome: 'Assigned', installments: schedule.length };
+};
+
+module.exports = {
+  addInstallmentPlan,
+  deleteInstallmentPlan,
+  assignInstallmentPlan
+};
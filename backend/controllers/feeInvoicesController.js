@@ -0,0 +1,599 @@
+const { validationResult } = require('express-validator');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeeStructure = require('../models/FeeStructure');
+const FeePlanAssignment = require('../models/FeePlanAssignment');
+const FeeConcession = require('../models/FeeConcession');
+const Student = require('../models/Student');
+const Session = require('../models/Session');
+const { applyLateFees, allocateInOrder, createInvoicePayment } = require('../utils/feePayments');
+const mongoose = require('mongoose');
+
+// Day of the month recurring fees fall due when the fee structure has no due date
+const DEFAULT_DUE_DAY = Number(process.env.FEE_DUE_DAY || 10);
+
+// @desc    Get fee invoices
+// @route   GET /api/fees/invoices
+// @access  Private (Admin, Student-own, Parent-own)
+const getFeeInvoices = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      student: studentId,
+      class: classId,
+      section,
+      feeType,
+      status,
+      session,
+      overdue
+    } = req.query;
+
+    let query = {};
+
+    if (classId) query.class = classId;
+    if (section) query.section = section;
+    if (feeType) query.feeType = feeType;
+    if (session) query.session = session;
+    if (studentId) query.student = studentId;
+
+    // Students and parents only see their own invoices
+    const ownStudents = await getOwnStudentIds(req.user);
+    if (ownStudents) {
+      if (studentId && !ownStudents.some(id => id.toString() === studentId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own invoices.'
+        });
+      }
+      if (!studentId) query.student = { $in: ownStudents };
+    }
+
+    if (status) {
+      query.status = status;
+    } else {
+      query.status = { $ne: 'Cancelled' };
+    }
+
+    if (String(overdue) === 'true') {
+      query.status = { $in: ['Open', 'Partial'] };
+      query.dueDate = { $lt: new Date() };
+    }
+
+    const invoices = await FeeInvoice.find(query)
+      .populate({
+        path: 'student',
+        select: 'admissionNumber rollNumber',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .populate('class', 'name grade')
+      .populate('feeType', 'name code frequency')
+      .sort({ dueDate: 1, invoiceNumber: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await FeeInvoice.countDocuments(query);
+
+    // Aggregation does not cast, so ID filters are converted here
+    const match = { ...query };
+    ['student', 'class', 'section', 'feeType', 'session'].forEach(field => {
+      if (typeof match[field] === 'string') match[field] = new mongoose.Types.ObjectId(match[field]);
+    });
+
+    const [totals] = await FeeInvoice.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          billed: { $sum: '$totalAmount' },
+          paid: { $sum: '$paidAmount' },
+          balance: { $sum: '$balance' },
+          overdue: {
+            $sum: {
+              $cond: [{ $lt: ['$dueDate', new Date()] }, '$balance', 0]
+            }
+          }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        summary: {
+          billed: totals?.billed || 0,
+          paid: totals?.paid || 0,
+          balance: totals?.balance || 0,
+          overdue: totals?.overdue || 0
+        },
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get fee invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching fee invoices'
+    });
+  }
+};
+
+// @desc    Get a fee invoice with its payments
+// @route   GET /api/fees/invoices/:id
+// @access  Private (Admin, Student-own, Parent-own)
+const getFeeInvoice = async (req, res) => {
+  try {
+    const invoice = await FeeInvoice.findById(req.params.id)
+      .populate({
+        path: 'student',
+        select: 'admissionNumber rollNumber',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .populate('class', 'name grade')
+      .populate('section', 'name')
+      .populate('feeType', 'name code category frequency')
+      .populate('session', 'name')
+      .populate('allocations.payment', 'receiptNumber paymentDate paymentMethod transactionId paidAmount')
+      .populate('generatedBy', 'firstName lastName')
+      .populate('cancelledBy', 'firstName lastName');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const ownStudents = await getOwnStudentIds(req.user);
+    if (ownStudents && !ownStudents.some(id => id.toString() === invoice.student._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your own invoices.'
+      });
+    }
+
+    // Late fee is shown as it would be charged if paid today
+    const feeStructure = await FeeStructure.findById(invoice.feeStructure);
+    if (feeStructure) invoice.accrueLateFee(feeStructure);
+
+    res.json({
+      success: true,
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Get fee invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching fee invoice'
+    });
+  }
+};
+
+// @desc    Generate invoices from fee structures for a class or the whole session
+// @route   POST /api/fees/invoices/generate
+// @access  Private (Admin)
+const generateFeeInvoices = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { class: classId, section, session: sessionId, upTo } = req.body;
+    const dryRun = String(req.body.dryRun) === 'true';
+    const includeOptional = String(req.body.includeOptional) === 'true';
+
+    const session = sessionId ? await Session.findById(sessionId) : await Session.getActiveSession();
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Periods that have started by this date are billed
+    const billUpTo = upTo ? new Date(upTo) : new Date();
+
+    const structureQuery = { session: session._id, isActive: true };
+    if (classId) structureQuery.class = classId;
+
+    const structures = (await FeeStructure.find(structureQuery).populate('feeType'))
+      .filter(structure => structure.feeType && structure.feeType.isActive)
+      .filter(structure => includeOptional || !structure.feeType.isOptional);
+
+    if (structures.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active fee structures found to invoice'
+      });
+    }
+
+    const studentQuery = {
+      class: { $in: [...new Set(structures.map(structure => structure.class.toString()))] },
+      status: 'Active'
+    };
+    if (section) studentQuery.section = section;
+
+    const students = await Student.find(studentQuery)
+      .populate('user', 'firstName lastName')
+      .select('user admissionNumber class section admissionDate');
+
+    const existing = new Set((await FeeInvoice.find({
+      feeStructure: { $in: structures.map(structure => structure._id) },
+      student: { $in: students.map(student => student._id) }
+    }).select('student feeStructure period.key')).map(invoice =>
+      `${invoice.student}|${invoice.feeStructure}|${invoice.period.key}`));
+
+    // Students on an instalment plan are invoiced per instalment when the plan is assigned
+    const onPlan = new Set((await FeePlanAssignment.find({
+      feeStructure: { $in: structures.map(structure => structure._id) },
+      student: { $in: students.map(student => student._id) }
+    }).select('student feeStructure')).map(assignment => `${assignment.student}|${assignment.feeStructure}`));
+
+    const concessions = await FeeConcession.getApproved(students.map(student => student._id), session._id);
+
+    const planned = [];
+    let alreadyInvoiced = 0;
+    let onInstallmentPlan = 0;
+
+    structures.forEach(structure => {
+      const periods = structure.feeType.getBillingPeriods(session)
+        .filter(period => period.startDate <= billUpTo);
+      const classStudents = students.filter(student => student.class.toString() === structure.class.toString());
+
+      periods.forEach(period => {
+        classStudents.forEach(student => {
+          // Students are not billed for periods that ended before they joined
+          if (student.admissionDate && period.endDate < toDay(student.admissionDate)) return;
+
+          if (onPlan.has(`${student._id}|${structure._id}`)) {
+            onInstallmentPlan++;
+            return;
+          }
+
+          if (existing.has(`${student._id}|${structure._id}|${period.key}`)) {
+            alreadyInvoiced++;
+            return;
+          }
+
+          const invoice = new FeeInvoice({
+            student: student._id,
+            class: structure.class,
+            section: student.section,
+            feeStructure: structure._id,
+            feeType: structure.feeType._id,
+            period,
+            dueDate: getDueDate(structure, period),
+            amount: structure.amount,
+            discount: round(structure.amount - structure.netAmount),
+            session: session._id,
+            generatedBy: req.user._id
+          });
+          invoice.applyConcessions(concessions);
+
+          planned.push({ student, invoice, feeType: structure.feeType });
+        });
+      });
+    });
+
+    let created = 0;
+    if (!dryRun) {
+      // Saved one at a time so each invoice gets the next number
+      for (const row of planned) {
+        try {
+          await row.invoice.saveWithNumber();
+          created++;
+        } catch (error) {
+          // Another run may have invoiced the same period meanwhile
+          if (error.code === 11000 && error.keyPattern?.['period.key']) {
+            alreadyInvoiced++;
+          } else {
+            throw error;
+          }
+        }
+      }
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run complete. ${planned.length} invoices would be generated.`
+        : `Generated ${created} invoices`,
+      data: {
+        dryRun,
+        session: { _id: session._id, name: session.name },
+        upTo: billUpTo,
+        summary: {
+          structures: structures.length,
+          students: students.length,
+          generated: dryRun ? 0 : created,
+          planned: planned.length,
+          alreadyInvoiced,
+          onInstallmentPlan,
+          totalAmount: round(planned.reduce((sum, row) => sum + row.invoice.totalAmount, 0)),
+          concession: round(planned.reduce((sum, row) => sum + row.invoice.concession, 0))
+        },
+        preview: planned.slice(0, 200).map(row => ({
+          student: row.student._id,
+          admissionNumber: row.student.admissionNumber,
+          name: row.student.user ? `${row.student.user.firstName} ${row.student.user.lastName}` : '',
+          feeType: row.feeType.name,
+          period: row.invoice.period.label,
+          dueDate: row.invoice.dueDate,
+          amount: row.invoice.amount,
+          discount: row.invoice.discount,
+          concession: row.invoice.concession,
+          totalAmount: row.invoice.totalAmount
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Generate fee invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating fee invoices'
+    });
+  }
+};
+
+// @desc    Record a payment and allocate it against open invoices
+// @route   POST /api/fees/invoices/payments
+// @access  Private (Admin)
+const recordInvoicePayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      student: studentId,
+      amount,
+      paymentMethod,
+      transactionId,
+      paymentDate,
+      remarks,
+      allocations,
+      waiveLateFee,
+      lateFeeWaiverReason
+    } = req.body;
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const paid = round(Number(amount));
+    const date = paymentDate ? new Date(paymentDate) : new Date();
+    const paymentId = new mongoose.Types.ObjectId();
+    const waiver = String(waiveLateFee) === 'true'
+      ? { userId: req.user._id, reason: lateFeeWaiverReason, paymentId }
+      : null;
+    let plan;
+
+    if (allocations && allocations.length > 0) {
+      const invoiceIds = allocations.map(allocation => allocation.invoice.toString());
+      if (new Set(invoiceIds).size !== invoiceIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each invoice can only be allocated once per payment'
+        });
+      }
+
+      const invoices = await FeeInvoice.getOpenInvoices(student._id, { _id: { $in: invoiceIds } });
+      await applyLateFees(invoices, date, waiver);
+      const byId = new Map(invoices.map(invoice => [invoice._id.toString(), invoice]));
+
+      const missing = invoiceIds.filter(id => !byId.has(id));
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some invoices are not open invoices of this student',
+          data: { invoices: missing }
+        });
+      }
+
+      plan = allocations.map(allocation => ({
+        invoice: byId.get(allocation.invoice.toString()),
+        amount: round(Number(allocation.amount))
+      }));
+
+      const exceeding = plan.filter(row => row.amount > row.invoice.balance);
+      if (exceeding.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Allocated amount exceeds the invoice balance',
+          data: {
+            invoices: exceeding.map(row => ({
+              invoice: row.invoice._id,
+              invoiceNumber: row.invoice.invoiceNumber,
+              balance: row.invoice.balance,
+              allocated: row.amount
+            }))
+          }
+        });
+      }
+
+      if (round(plan.reduce((sum, row) => sum + row.amount, 0)) !== paid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Allocations must add up to the payment amount'
+        });
+      }
+    } else {
+      // Without allocations the payment settles the oldest dues first
+      const invoices = await FeeInvoice.getOpenInvoices(student._id);
+      await applyLateFees(invoices, date, waiver);
+      const outstanding = round(invoices.reduce((sum, invoice) => sum + invoice.balance, 0));
+
+      if (paid > outstanding) {
+        return res.status(400).json({
+          success: false,
+          message: `Payment exceeds the outstanding balance of ${outstanding}`
+        });
+      }
+
+      plan = allocateInOrder(invoices, paid).plan;
+    }
+
+    plan = plan.filter(row => row.amount > 0);
+    if (plan.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount must be greater than zero'
+      });
+    }
+
+    const payment = await createInvoicePayment({
+      student,
+      plan,
+      amount: paid,
+      paymentDate: date,
+      paymentMethod,
+      transactionId,
+      remarks,
+      collectedBy: req.user._id,
+      waiver,
+      paymentId
+    });
+
+    await payment.populate([
+      { path: 'student', select: 'admissionNumber rollNumber', populate: { path: 'user', select: 'firstName lastName' } },
+      { path: 'allocations.invoice', select: 'invoiceNumber period feeType lateFee lateFeeWaiver totalAmount paidAmount balance status' },
+      { path: 'collectedBy', select: 'firstName lastName' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee payment recorded successfully',
+      data: { payment }
+    });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Record invoice payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording fee payment'
+    });
+  }
+};
+
+// @desc    Cancel an unpaid invoice
+// @route   PUT /api/fees/invoices/:id/cancel
+// @access  Private (Admin)
+const cancelFeeInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await FeeInvoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'Cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is already cancelled'
+      });
+    }
+
+    if (invoice.allocations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot cancel an invoice that has payments allocated to it'
+      });
+    }
+
+    invoice.status = 'Cancelled';
+    invoice.remarks = req.body.reason;
+    invoice.cancelledBy = req.user._id;
+    invoice.cancelledAt = new Date();
+    await invoice.save();
+
+    res.json({
+      success: true,
+      message: 'Invoice cancelled successfully',
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Cancel fee invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling fee invoice'
+    });
+  }
+};
+
+// Helper functions
+const round = (value) => Math.round(value * 100) / 100;
+
+const toDay = (date) => new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+// Students a student or parent may see; null for staff, who see everyone
+const getOwnStudentIds = async (user) => {
+  if (user.role === 'Student') {
+    const student = await Student.findOne({ user: user._id }).select('_id');
+    return student ? [student._id] : [];
+  }
+  if (user.role === 'Parent') {
+    const children = await Student.find({ parent: user._id }).select('_id');
+    return children.map(child => child._id);
+  }
+  return null;
+};
+
+// Yearly and one-time fees are due on the structure's due date. Recurring fees fall due
+// on the same day of each period's first month, never before the period starts.
+const getDueDate = (structure, period) => {
+  if (['Yearly', 'One-Time'].includes(structure.feeType.frequency) && structure.dueDate) {
+    return structure.dueDate;
+  }
+
+  const dueDay = structure.dueDate ? new Date(structure.dueDate).getUTCDate() : DEFAULT_DUE_DAY;
+  const start = period.startDate;
+  const lastDay = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)).getUTCDate();
+  const dueDate = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), Math.min(dueDay, lastDay)));
+
+  return dueDate < start ? start : dueDate;
+};
+
+module.exports = {
+  getFeeInvoices,
+  getFeeInvoice,
+  generateFeeInvoices,
+  recordInvoicePayment,
+  cancelFeeInvoice
+};
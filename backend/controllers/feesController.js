@@ -2,6 +2,9 @@ const { validationResult } = require('express-validator');
 const FeeStructure = require('../models/FeeStructure');
 const FeePayment = require('../models/FeePayment');
 const FeeType = require('../models/FeeType');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeePlanAssignment = require('../models/FeePlanAssignment');
+const FeeConcession = require('../models/FeeConcession');
 const Student = require('../models/Student');
 const Class = require('../models/Class');
 const mongoose = require('mongoose');
@@ -83,7 +86,7 @@ const createFeeStructure = async (req, res) => {
       feeType,
       amount,
       dueDate,
-      lateFeePenalty,
+      lateFee,
       discountPercentage,
       isOptional,
       session
@@ -111,7 +114,12 @@ const createFeeStructure = async (req, res) => {
       feeType,
       amount,
       dueDate: new Date(dueDate),
-      lateFeePenalty: lateFeePenalty || 0,
+      lateFee: lateFee ? {
+        amount: lateFee.amount || 0,
+        afterDays: lateFee.afterDays || 0,
+        mode: lateFee.mode || 'Flat',
+        maxAmount: lateFee.maxAmount || 0
+      } : undefined,
       discountPercentage: discountPercentage || 0,
       isOptional: isOptional || false,
       session: session || req.user.session,
@@ -259,8 +267,8 @@ const recordFeePayment = async (req, res) => {
       transactionId,
       paymentDate,
       remarks,
-      lateFee,
-      discount
+      waiveLateFee,
+      lateFeeWaiverReason
     } = req.body;
 
     // Verify student exists
@@ -276,7 +284,7 @@ const recordFeePayment = async (req, res) => {
     const feeStructure = await FeeStructure.findOne({
       class: student.class,
       feeType,
-      status: 'Active'
+      isActive: true
     });
 
     if (!feeStructure) {
@@ -286,6 +294,19 @@ const recordFeePayment = async (req, res) => {
       });
     }
 
+    // Invoiced fees are paid against their invoices, or the invoices would stay open
+    const [invoiceCount, planAssignment] = await Promise.all([
+      FeeInvoice.countDocuments({ student: studentId, feeStructure: feeStructure._id, status: { $ne: 'Cancelled' } }),
+      FeePlanAssignment.findOne({ student: studentId, feeStructure: feeStructure._id })
+    ]);
+
+    if (invoiceCount > 0 || planAssignment) {
+      return res.status(400).json({
+        success: false,
+        message: 'This fee is billed by invoice. Record the payment against the student\'s invoices instead.'
+      });
+    }
+
     // Check if payment already exists for this fee type
     const existingPayment = await FeePayment.findOne({
       student: studentId,
@@ -300,26 +321,43 @@ const recordFeePayment = async (req, res) => {
       });
     }
 
+    // Late fee comes from the fee structure's rules; an admin may waive it with a reason
+    const date = paymentDate ? new Date(paymentDate) : new Date();
+    const lateFeeDue = feeStructure.calculateLateFee(feeStructure.dueDate, date);
+    const waived = String(waiveLateFee) === 'true' ? lateFeeDue : 0;
+
+    // The discount is the fee structure's discount plus the student's approved concessions
+    const concessions = await FeeConcession.getApproved([student._id], feeStructure.session);
+    const discountAmount = Math.round(
+      (feeStructure.amount - feeStructure.netAmount + getConcessionAmount(concessions, student, feeStructure)) * 100
+    ) / 100;
+
     // Calculate total amount
     const baseAmount = amount || feeStructure.amount;
-    const lateFeeAmount = lateFee || 0;
-    const discountAmount = discount || 0;
+    const lateFeeAmount = lateFeeDue - waived;
     const totalAmount = baseAmount + lateFeeAmount - discountAmount;
 
     // Create payment record
     const payment = await FeePayment.create({
       student: studentId,
+      feeStructure: feeStructure._id,
       feeType,
-      amount: baseAmount,
+      month: date.getMonth() + 1,
+      year: date.getFullYear(),
+      dueAmount: feeStructure.amount,
+      paidAmount: baseAmount,
       lateFee: lateFeeAmount,
+      lateFeeWaiver: waived > 0 ? { amount: waived, reason: lateFeeWaiverReason, waivedBy: req.user._id } : undefined,
       discount: discountAmount,
       totalAmount,
+      dueDate: feeStructure.dueDate,
       paymentMethod,
       transactionId,
-      paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+      paymentDate: date,
       remarks,
       status: 'Paid',
-      collectedBy: req.user._id
+      collectedBy: req.user._id,
+      session: feeStructure.session
     });
 
     // Populate the response
@@ -386,17 +424,61 @@ const getStudentFeeStatus = async (req, res) => {
     const feeStructures = await FeeStructure.find({
       class: student.class._id,
       session: session || student.session,
-      status: 'Active'
+      isActive: true
     }).populate('feeType', 'name description');
 
+    // Fees paid under an instalment plan are followed instalment by instalment
+    const assignments = await FeePlanAssignment.find({
+      student: studentId,
+      feeStructure: { $in: feeStructures.map(structure => structure._id) }
+    });
+    const invoices = await FeeInvoice.find({
+      student: studentId,
+      feeStructure: { $in: feeStructures.map(structure => structure._id) },
+      status: { $ne: 'Cancelled' }
+    }).populate('feeType', 'name description').sort({ dueDate: 1 });
+
+    // Late fees are shown as they would be charged if paid today
+    invoices.forEach(invoice => {
+      const structure = feeStructures.find(s => s._id.toString() === invoice.feeStructure.toString());
+      invoice.accrueLateFee(structure);
+    });
+    const installmentInvoices = invoices.filter(invoice => invoice.installment?.plan);
+    const concessions = await FeeConcession.getApproved([student._id], session || student.session);
+
     // Get payments for this student
     const payments = await FeePayment.find({
       student: studentId,
       status: 'Paid'
     }).populate('feeType', 'name description');
 
+    const installments = assignments.map(assignment => {
+      const structure = feeStructures.find(s => s._id.toString() === assignment.feeStructure.toString());
+      const plan = structure.installmentPlans.id(assignment.plan);
+      const planInvoices = installmentInvoices.filter(invoice =>
+        invoice.feeStructure.toString() === structure._id.toString());
+
+      return {
+        feeType: structure.feeType,
+        plan: { _id: assignment.plan, name: plan ? plan.name : null },
+        totalAmount: planInvoices.reduce((sum, invoice) => sum + invoice.totalAmount, 0),
+        paidAmount: planInvoices.reduce((sum, invoice) => sum + invoice.paidAmount, 0),
+        balance: planInvoices.reduce((sum, invoice) => sum + invoice.balance, 0),
+        schedule: planInvoices.map(invoice => ({
+          ...toInvoiceStatus(invoice),
+          number: invoice.installment.number,
+          count: invoice.installment.count
+        }))
+      };
+    });
+
+    // Other fees that have been invoiced are followed invoice by invoice
+    const invoiced = invoices.filter(invoice => !invoice.installment?.plan).map(toInvoiceStatus);
+
     // Build fee status
-    const feeStatus = feeStructures.map(structure => {
+    const onInvoice = new Set(invoices.map(invoice => invoice.feeStructure.toString()));
+    assignments.forEach(assignment => onInvoice.add(assignment.feeStructure.toString()));
+    const feeStatus = feeStructures.filter(structure => !onInvoice.has(structure._id.toString())).map(structure => {
       const payment = payments.find(p => 
         p.feeType._id.toString() === structure.feeType._id.toString()
       );
@@ -405,10 +487,12 @@ const getStudentFeeStatus = async (req, res) => {
       const isOverdue = !isPaid && new Date() > structure.dueDate;
       const daysOverdue = isOverdue ? 
         Math.floor((new Date() - structure.dueDate) / (1000 * 60 * 60 * 24)) : 0;
+      const concession = getConcessionAmount(concessions, student, structure);
 
       return {
         feeType: structure.feeType,
-        amount: structure.amount,
+        amount: Math.round((structure.netAmount - concession) * 100) / 100,
+        concession,
         dueDate: structure.dueDate,
         isPaid,
         isOverdue,
@@ -416,7 +500,7 @@ const getStudentFeeStatus = async (req, res) => {
         paymentDate: payment?.paymentDate || null,
         amountPaid: payment?.totalAmount || 0,
         receiptNumber: payment?.receiptNumber || null,
-        lateFee: isOverdue ? structure.lateFeePenalty * daysOverdue : 0
+        lateFee: isOverdue ? structure.calculateLateFee(structure.dueDate) : 0
       };
     });
 
@@ -439,12 +523,22 @@ const getStudentFeeStatus = async (req, res) => {
       }
     });
 
+    [...installments.flatMap(fee => fee.schedule), ...invoiced].forEach(invoice => {
+      summary.totalPending += invoice.balance;
+      if (invoice.isOverdue) {
+        summary.totalOverdue += invoice.balance;
+        summary.overdueCount++;
+      }
+    });
+
     res.json({
       success: true,
       data: {
         student,
         summary,
-        feeStatus
+        feeStatus,
+        invoices: invoiced,
+        installments
       }
     });
   } catch (error) {
@@ -624,6 +718,31 @@ const getFeeStats = async (req, res) => {
   }
 };
 
+// Helper functions
+
+// Total of the student's approved concessions on a fee that is not invoiced
+const getConcessionAmount = (concessions, student, feeStructure) => Math.round(FeeConcession
+  .calculate(concessions, { student: student._id, feeType: feeStructure.feeType, dueDate: feeStructure.dueDate }, feeStructure.netAmount)
+  .reduce((sum, concession) => sum + concession.amount, 0) * 100) / 100;
+
+const toInvoiceStatus = (invoice) => ({
+  invoice: invoice._id,
+  invoiceNumber: invoice.invoiceNumber,
+  feeType: invoice.feeType,
+  period: invoice.period.label,
+  dueDate: invoice.dueDate,
+  amount: Math.max(0, invoice.amount - invoice.discount - invoice.concession),
+  lateFee: invoice.lateFee,
+  lateFeeWaived: invoice.lateFeeWaiver?.amount || 0,
+  totalAmount: invoice.totalAmount,
+  paidAmount: invoice.paidAmount,
+  balance: invoice.balance,
+  status: invoice.status,
+  isOverdue: invoice.isOverdue,
+  daysOverdue: invoice.isOverdue ?
+    Math.floor((new Date() - invoice.dueDate) / (1000 * 60 * 60 * 24)) : 0
+});
+
 module.exports = {
   getFeeStructures,
   createFeeStructure,
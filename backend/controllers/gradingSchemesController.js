@@ -0,0 +1,264 @@
+const { validationResult } = require('express-validator');
+const GradingScheme = require('../models/GradingScheme');
+const ExamMark = require('../models/ExamMark');
+
+// @desc    Get grading schemes
+// @route   GET /api/grading-schemes
+// @access  Private (Admin, Teacher)
+const getGradingSchemes = async (req, res) => {
+  try {
+    const { session, class: classId, examType, isActive } = req.query;
+
+    let query = {};
+    if (session) query.session = session;
+    if (classId) query.classes = classId;
+    if (examType) query.examTypes = examType;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const gradingSchemes = await GradingScheme.find(query)
+      .populate('classes', 'name grade')
+      .populate('examTypes', 'name')
+      .populate('session', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        gradingSchemes,
+        defaultBands: GradingScheme.DEFAULT_BANDS
+      }
+    });
+  } catch (error) {
+    console.error('Get grading schemes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching grading schemes'
+    });
+  }
+};
+
+// @desc    Get single grading scheme
+// @route   GET /api/grading-schemes/:id
+// @access  Private (Admin, Teacher)
+const getGradingScheme = async (req, res) => {
+  try {
+    const gradingScheme = await GradingScheme.findById(req.params.id)
+      .populate('classes', 'name grade')
+      .populate('examTypes', 'name')
+      .populate('session', 'name')
+      .populate('createdBy', 'firstName lastName')
+      .populate('updatedBy', 'firstName lastName');
+
+    if (!gradingScheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grading scheme not found'
+      });
+    }
+
+    const marksGraded = await ExamMark.countDocuments({ gradingScheme: gradingScheme._id });
+
+    res.json({
+      success: true,
+      data: {
+        gradingScheme,
+        marksGraded
+      }
+    });
+  } catch (error) {
+    console.error('Get grading scheme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching grading scheme'
+    });
+  }
+};
+
+// @desc    Create grading scheme
+// @route   POST /api/grading-schemes
+// @access  Private (Admin)
+const createGradingScheme = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      name,
+      description,
+      bands,
+      classes,
+      examTypes,
+      maxGradePoint,
+      session
+    } = req.body;
+
+    const gradingScheme = new GradingScheme({
+      name,
+      description,
+      bands,
+      classes: classes || [],
+      examTypes: examTypes || [],
+      maxGradePoint,
+      session: session || req.user.session,
+      createdBy: req.user._id
+    });
+
+    try {
+      await gradingScheme.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { regraded: marksRegraded, skipped: marksSkipped } = await ExamMark.regrade(regradeFilter(gradingScheme));
+
+    res.status(201).json({
+      success: true,
+      message: 'Grading scheme created successfully',
+      data: {
+        gradingScheme,
+        marksRegraded,
+        marksSkipped
+      }
+    });
+  } catch (error) {
+    console.error('Create grading scheme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating grading scheme'
+    });
+  }
+};
+
+// @desc    Update grading scheme and regrade affected marks
+// @route   PUT /api/grading-schemes/:id
+// @access  Private (Admin)
+const updateGradingScheme = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const gradingScheme = await GradingScheme.findById(req.params.id);
+    if (!gradingScheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grading scheme not found'
+      });
+    }
+
+    const {
+      name,
+      description,
+      bands,
+      classes,
+      examTypes,
+      maxGradePoint,
+      isActive
+    } = req.body;
+
+    if (name !== undefined) gradingScheme.name = name;
+    if (description !== undefined) gradingScheme.description = description;
+    if (bands !== undefined) gradingScheme.bands = bands;
+    if (classes !== undefined) gradingScheme.classes = classes;
+    if (examTypes !== undefined) gradingScheme.examTypes = examTypes;
+    if (maxGradePoint !== undefined) gradingScheme.maxGradePoint = maxGradePoint;
+    if (isActive !== undefined) gradingScheme.isActive = isActive;
+    gradingScheme.updatedBy = req.user._id;
+
+    try {
+      await gradingScheme.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { regraded: marksRegraded, skipped: marksSkipped } = await ExamMark.regrade(regradeFilter(gradingScheme));
+
+    res.json({
+      success: true,
+      message: 'Grading scheme updated successfully',
+      data: {
+        gradingScheme,
+        marksRegraded,
+        marksSkipped
+      }
+    });
+  } catch (error) {
+    console.error('Update grading scheme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating grading scheme'
+    });
+  }
+};
+
+// @desc    Delete grading scheme and regrade the marks it graded
+// @route   DELETE /api/grading-schemes/:id
+// @access  Private (Admin)
+const deleteGradingScheme = async (req, res) => {
+  try {
+    const gradingScheme = await GradingScheme.findById(req.params.id);
+    if (!gradingScheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grading scheme not found'
+      });
+    }
+
+    await gradingScheme.deleteOne();
+
+    // Marks fall back to the next matching scheme or the default ladder
+    const { regraded: marksRegraded, skipped: marksSkipped } = await ExamMark.regrade({ gradingScheme: gradingScheme._id });
+
+    res.json({
+      success: true,
+      message: 'Grading scheme deleted successfully',
+      data: { marksRegraded, marksSkipped }
+    });
+  } catch (error) {
+    console.error('Delete grading scheme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting grading scheme'
+    });
+  }
+};
+
+// Helper functions
+
+// Marks the scheme may now apply to, plus marks it graded before its scope changed
+const regradeFilter = (gradingScheme) => {
+  const scope = { session: gradingScheme.session };
+  if (gradingScheme.classes.length > 0) scope.class = { $in: gradingScheme.classes };
+  if (gradingScheme.examTypes.length > 0) scope.examType = { $in: gradingScheme.examTypes };
+
+  return {
+    $or: [scope, { gradingScheme: gradingScheme._id }]
+  };
+};
+
+module.exports = {
+  getGradingSchemes,
+  getGradingScheme,
+  createGradingScheme,
+  updateGradingScheme,
+  deleteGradingScheme
+};
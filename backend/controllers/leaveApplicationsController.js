@@ -0,0 +1,372 @@
+const { validationResult } = require('express-validator');
+const LeaveApplication = require('../models/LeaveApplication');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Session = require('../models/Session');
+const { queueAbsenceAlerts } = require('../utils/absenceAlerts');
+
+// @desc    Get leave applications
+// @route   GET /api/leave-applications
+// @access  Private (Admin, Teacher-class, Student-own, Parent-own)
+const getLeaveApplications = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      student,
+      class: classId,
+      section,
+      onDate
+    } = req.query;
+
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (student) filters.student = student;
+    if (classId) filters.class = classId;
+    if (section) filters.section = section;
+    if (onDate) {
+      const day = new Date(`${toDateKey(onDate)}T00:00:00.000Z`);
+      filters.fromDate = { $lte: day };
+      filters.toDate = { $gte: day };
+    }
+
+    // Filters narrow, but never widen, what the user may see
+    const query = { $and: [await getAccessQuery(req.user), filters] };
+
+    const leaveApplications = await LeaveApplication.find(query)
+      .populate({
+        path: 'student',
+        select: 'admissionNumber rollNumber',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .populate('class', 'name')
+      .populate('section', 'name')
+      .populate('appliedBy', 'firstName lastName role')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ fromDate: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await LeaveApplication.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        leaveApplications,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get leave applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching leave applications'
+    });
+  }
+};
+
+// @desc    Get single leave application
+// @route   GET /api/leave-applications/:id
+// @access  Private (Admin, Teacher-class, Student-own, Parent-own)
+const getLeaveApplication = async (req, res) => {
+  try {
+    const query = await getAccessQuery(req.user);
+    const leaveApplication = await LeaveApplication.findOne({ ...query, _id: req.params.id })
+      .populate({
+        path: 'student',
+        select: 'admissionNumber rollNumber',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .populate('class', 'name')
+      .populate('section', 'name')
+      .populate('appliedBy', 'firstName lastName role')
+      .populate('reviewedBy', 'firstName lastName');
+
+    if (!leaveApplication) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave application not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { leaveApplication }
+    });
+  } catch (error) {
+    console.error('Get leave application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching leave application'
+    });
+  }
+};
+
+// @desc    Apply for leave for a student
+// @route   POST /api/leave-applications
+// @access  Private (Admin, Student-own, Parent-own)
+const applyForLeave = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, fromDate, toDate, reason } = req.body;
+
+    // Students apply for themselves; parents for one of their children
+    let student;
+    if (req.user.role === 'Student') {
+      student = await Student.findOne({ user: req.user._id });
+    } else if (req.user.role === 'Parent') {
+      student = await Student.findOne({ _id: req.body.student, parent: req.user._id });
+    } else {
+      student = await Student.findById(req.body.student);
+    }
+
+    if (!student || student.status !== 'Active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const from = new Date(`${toDateKey(fromDate)}T00:00:00.000Z`);
+    const to = new Date(`${toDateKey(toDate || fromDate)}T00:00:00.000Z`);
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must be on or after from date'
+      });
+    }
+
+    const overlapping = await LeaveApplication.findOne({
+      student: student._id,
+      status: { $in: ['Pending', 'Approved'] },
+      fromDate: { $lte: to },
+      toDate: { $gte: from }
+    });
+
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${overlapping.status.toLowerCase()} leave application already covers some of these dates`
+      });
+    }
+
+    const session = await Session.findById(student.session);
+    const totalDays = session
+      ? session.getWorkingDates(from, to).length
+      : Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+
+    const leaveApplication = await LeaveApplication.create({
+      student: student._id,
+      class: student.class,
+      section: student.section,
+      type,
+      fromDate: from,
+      toDate: to,
+      totalDays,
+      reason,
+      document: req.file ? {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        mimetype: req.file.mimetype,
+        size: req.file.size,
+        path: req.file.path
+      } : undefined,
+      appliedBy: req.user._id,
+      session: student.session
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave application submitted successfully',
+      data: { leaveApplication }
+    });
+  } catch (error) {
+    console.error('Apply for leave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting leave application'
+    });
+  }
+};
+
+// @desc    Approve or reject a leave application
+// @route   PUT /api/leave-applications/:id/review
+// @access  Private (Admin, Class teacher)
+const reviewLeaveApplication = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, remarks } = req.body;
+
+    const leaveApplication = await LeaveApplication.findById(req.params.id);
+    if (!leaveApplication) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave application not found'
+      });
+    }
+
+    if (!(await isClassTeacher(leaveApplication, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the class teacher can review this leave application.'
+      });
+    }
+
+    if (leaveApplication.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Leave application is already ${leaveApplication.status.toLowerCase()}`
+      });
+    }
+
+    leaveApplication.status = status;
+    leaveApplication.reviewedBy = req.user._id;
+    leaveApplication.reviewedAt = new Date();
+    leaveApplication.reviewRemarks = remarks;
+
+    // Attendance already marked Absent during the leave becomes Excused
+    let excused = [];
+    if (status === 'Approved') {
+      excused = await leaveApplication.excuseAttendance(req.user._id);
+    }
+
+    await leaveApplication.save();
+
+    if (excused.length > 0) {
+      queueAbsenceAlerts(excused, req.user._id)
+        .catch(error => console.error('Queue absence alerts error:', error));
+    }
+
+    res.json({
+      success: true,
+      message: `Leave application ${status.toLowerCase()} successfully`,
+      data: {
+        leaveApplication,
+        attendanceExcused: excused.length
+      }
+    });
+  } catch (error) {
+    console.error('Review leave application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing leave application'
+    });
+  }
+};
+
+// @desc    Cancel a leave application
+// @route   PUT /api/leave-applications/:id/cancel
+// @access  Private (Admin, Student-own, Parent-own)
+const cancelLeaveApplication = async (req, res) => {
+  try {
+    const query = await getAccessQuery(req.user);
+    const leaveApplication = await LeaveApplication.findOne({ ...query, _id: req.params.id });
+
+    if (!leaveApplication) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave application not found'
+      });
+    }
+
+    // Families can withdraw a request until it is reviewed; an admin can also cancel approved leave
+    const cancellable = req.user.role === 'Admin'
+      ? ['Pending', 'Approved']
+      : ['Pending'];
+
+    if (!cancellable.includes(leaveApplication.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${leaveApplication.status.toLowerCase()} leave application cannot be cancelled`
+      });
+    }
+
+    let restored = [];
+    if (leaveApplication.status === 'Approved') {
+      restored = await leaveApplication.restoreAttendance(req.user._id);
+    }
+
+    leaveApplication.status = 'Cancelled';
+    await leaveApplication.save();
+
+    res.json({
+      success: true,
+      message: 'Leave application cancelled successfully',
+      data: {
+        leaveApplication,
+        attendanceRestored: restored.length
+      }
+    });
+  } catch (error) {
+    console.error('Cancel leave application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling leave application'
+    });
+  }
+};
+
+// Helper functions
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Leave applications a user may see
+const getAccessQuery = async (user) => {
+  if (user.role === 'Student') {
+    const student = await Student.findOne({ user: user._id });
+    return { student: student ? student._id : null };
+  }
+
+  if (user.role === 'Parent') {
+    const children = await Student.find({ parent: user._id }).select('_id');
+    return { student: { $in: children.map(child => child._id) } };
+  }
+
+  if (user.role === 'Teacher') {
+    const classIds = await Class.find({ classTeacher: user._id }).distinct('_id');
+    return { class: { $in: classIds } };
+  }
+
+  return {};
+};
+
+const isClassTeacher = async (leaveApplication, user) => {
+  if (user.role === 'Admin') return true;
+  if (user.role !== 'Teacher') return false;
+
+  const classData = await Class.findById(leaveApplication.class).select('classTeacher');
+  return classData?.classTeacher?.toString() === user._id.toString();
+};
+
+module.exports = {
+  getLeaveApplications,
+  getLeaveApplication,
+  applyForLeave,
+  reviewLeaveApplication,
+  cancelLeaveApplication
+};
@@ -0,0 +1,862 @@
+const { validationResult } = require('express-validator');
+const ExamMark = require('../models/ExamMark');
+const Exam = require('../models/Exam');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const mongoose = require('mongoose');
+
+// @desc    Get exam marks
+// @route   GET /api/marks
+// @access  Private (Admin, Teacher)
+const getMarks = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      exam: examId,
+      student: studentId,
+      class: classId,
+      section: sectionId,
+      subject: subjectId,
+      examType,
+      session
+    } = req.query;
+
+    let query = {};
+
+    // Teachers only see marks for exams they own
+    if (req.user.role === 'Teacher') {
+      const ownExams = await Exam.find({ teacher: req.user._id }).select('_id');
+      query.exam = { $in: ownExams.map(exam => exam._id) };
+    }
+
+    if (examId) {
+      if (query.exam && !query.exam.$in.some(id => id.toString() === examId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view marks for your own exams.'
+        });
+      }
+      query.exam = examId;
+    }
+    if (studentId) query.student = studentId;
+    if (classId) query.class = classId;
+    if (sectionId) query.section = sectionId;
+    if (subjectId) query.subject = subjectId;
+    if (examType) query.examType = examType;
+    if (session) query.session = session;
+
+    const marks = await ExamMark.find(query)
+      .populate({
+        path: 'student',
+        select: 'admissionNumber rollNumber',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .populate('exam', 'name date totalMarks passingMarks')
+      .populate('subject', 'name code')
+      .populate('examType', 'name')
+      .sort({ exam: 1, marksObtained: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ExamMark.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        marks,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get marks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching marks'
+    });
+  }
+};
+
+// @desc    Enter marks for a single student
+// @route   POST /api/marks
+// @access  Private (Admin, Teacher-own)
+const createMark = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { exam: examId, student: studentId, marksObtained, questionMarks, isAbsent, remarks } = req.body;
+
+    const exam = await Exam.findById(examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const editError = await getMarkEditError(exam, req.user);
+    if (editError) {
+      return res.status(editError.status).json({
+        success: false,
+        message: editError.message
+      });
+    }
+
+    const row = { student: studentId, marksObtained, questionMarks, isAbsent, remarks };
+    const rowErrors = await validateMarkRows(exam, [row]);
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: rowErrors[0].message,
+        errors: rowErrors
+      });
+    }
+
+    const existingMark = await ExamMark.findOne({ exam: exam._id, student: studentId });
+    if (existingMark) {
+      return res.status(400).json({
+        success: false,
+        message: 'Marks already entered for this student. Use update endpoint to modify.'
+      });
+    }
+
+    const mark = await ExamMark.create({
+      ...markFieldsFromExam(exam),
+      ...markValuesFromRow(row),
+      student: studentId,
+      enteredBy: req.user._id
+    });
+
+    await mark.populate([
+      { path: 'student', select: 'admissionNumber rollNumber', populate: { path: 'user', select: 'firstName lastName' } },
+      { path: 'subject', select: 'name code' },
+      { path: 'exam', select: 'name date totalMarks passingMarks' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Marks entered successfully',
+      data: { mark }
+    });
+  } catch (error) {
+    console.error('Create mark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while entering marks'
+    });
+  }
+};
+
+// @desc    Update marks for a single student
+// @route   PUT /api/marks/:id
+// @access  Private (Admin, Teacher-own)
+const updateMark = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const mark = await ExamMark.findById(req.params.id);
+    if (!mark) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mark entry not found'
+      });
+    }
+
+    const exam = await Exam.findById(mark.exam);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const editError = await getMarkEditError(exam, req.user);
+    if (editError) {
+      return res.status(editError.status).json({
+        success: false,
+        message: editError.message
+      });
+    }
+
+    const { marksObtained, questionMarks, isAbsent, remarks, reason } = req.body;
+
+    // Changes made while marks are under moderation must be explained
+    if (exam.marksStatus === 'Submitted' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to change marks that are awaiting approval'
+      });
+    }
+
+    // A new total without a breakdown replaces the question marks; otherwise the breakdown is kept
+    const row = {
+      student: mark.student.toString(),
+      marksObtained: marksObtained !== undefined ? marksObtained : mark.marksObtained,
+      questionMarks: questionMarks !== undefined || marksObtained !== undefined
+        ? questionMarks
+        : mark.questionMarks.toObject(),
+      isAbsent: isAbsent !== undefined ? isAbsent : mark.isAbsent,
+      remarks
+    };
+
+    const rowErrors = await validateMarkRows(exam, [row]);
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: rowErrors[0].message,
+        errors: rowErrors
+      });
+    }
+
+    mark.set(markFieldsFromExam(exam));
+    mark.applyChanges(markValuesFromRow(row), req.user._id, reason);
+
+    await mark.save();
+
+    await mark.populate([
+      { path: 'student', select: 'admissionNumber rollNumber', populate: { path: 'user', select: 'firstName lastName' } },
+      { path: 'subject', select: 'name code' },
+      { path: 'exam', select: 'name date totalMarks passingMarks' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Marks updated successfully',
+      data: { mark }
+    });
+  } catch (error) {
+    console.error('Update mark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating marks'
+    });
+  }
+};
+
+// @desc    Enter or update marks for a whole class roster of one exam
+// @route   POST /api/marks/bulk
+// @access  Private (Admin, Teacher-own)
+const bulkUpsertMarks = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { exam: examId, marks, reason } = req.body; // marks: Array of { student, marksObtained, isAbsent, remarks }
+
+    const exam = await Exam.findById(examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const editError = await getMarkEditError(exam, req.user);
+    if (editError) {
+      return res.status(editError.status).json({
+        success: false,
+        message: editError.message
+      });
+    }
+
+    // Changes made while marks are under moderation must be explained
+    if (exam.marksStatus === 'Submitted' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to change marks that are awaiting approval'
+      });
+    }
+
+    // The whole grid is rejected if any row is invalid, so teachers can fix and resubmit it as-is
+    const rowErrors = await validateMarkRows(exam, marks);
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Marks could not be saved. ${rowErrors.length} row(s) have errors.`,
+        errors: rowErrors
+      });
+    }
+
+    const existingMarks = await ExamMark.find({
+      exam: exam._id,
+      student: { $in: marks.map(item => item.student) }
+    });
+    const existingByStudent = new Map(existingMarks.map(mark => [mark.student.toString(), mark]));
+
+    const examFields = markFieldsFromExam(exam);
+    const resolveScheme = ExamMark.gradingSchemeResolver();
+    const pending = [];
+    let created = 0;
+    let updated = 0;
+
+    for (const item of marks) {
+      let mark = existingByStudent.get(item.student.toString());
+
+      const values = markValuesFromRow(item);
+
+      if (mark) {
+        mark.set(examFields);
+        if (mark.applyChanges(values, req.user._id, reason)) updated++;
+      } else {
+        mark = new ExamMark({
+          ...examFields,
+          ...values,
+          student: item.student,
+          enteredBy: req.user._id
+        });
+        created++;
+      }
+
+      await resolveScheme(mark);
+      pending.push(mark);
+    }
+
+    // Every mark is validated before any is written, so a bad row cannot leave a half-saved roster
+    const invalidRows = [];
+    for (const mark of pending) {
+      try {
+        await mark.validate();
+      } catch (error) {
+        invalidRows.push({ student: mark.student, message: error.message });
+      }
+    }
+
+    if (invalidRows.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Marks could not be saved. ${invalidRows.length} row(s) have errors.`,
+        errors: invalidRows
+      });
+    }
+
+    const operations = pending
+      .map(mark => (mark.isNew
+        ? { insertOne: { document: mark.toObject(), skipValidation: true } }
+        : { updateOne: { filter: { _id: mark._id }, update: mark.getChanges() } }))
+      .filter(operation => operation.insertOne || Object.keys(operation.updateOne.update).length > 0);
+
+    if (operations.length > 0) {
+      await ExamMark.bulkWrite(operations);
+    }
+
+    res.json({
+      success: true,
+      message: 'Marks saved successfully',
+      data: {
+        exam: exam._id,
+        created,
+        updated
+      }
+    });
+  } catch (error) {
+    console.error('Bulk upsert marks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving marks'
+    });
+  }
+};
+
+// @desc    Get marks of a student
+// @route   GET /api/marks/student/:studentId
+// @access  Private (Admin, Teacher-own, Student-own, Parent-own)
+const getStudentMarks = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { session, examType, subject } = req.query;
+
+    // Check permissions
+    if (req.user.role === 'Student') {
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student || student._id.toString() !== studentId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own marks.'
+        });
+      }
+    } else if (req.user.role === 'Parent') {
+      const student = await Student.findOne({ _id: studentId, parent: req.user._id });
+      if (!student) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your child\'s marks.'
+        });
+      }
+    }
+
+    let query = { student: studentId };
+
+    // Teachers only see marks for exams they own
+    if (req.user.role === 'Teacher') {
+      const ownExams = await Exam.find({ teacher: req.user._id }).select('_id');
+      query.exam = { $in: ownExams.map(exam => exam._id) };
+    }
+
+    if (session) query.session = session;
+    if (examType) query.examType = examType;
+    if (subject) query.subject = subject;
+
+    // Students and parents only see marks of published results
+    if (['Student', 'Parent'].includes(req.user.role)) {
+      query = await ExamMark.publishedQuery(query);
+    }
+
+    const marks = await ExamMark.find(query)
+      .populate('exam', 'name date totalMarks passingMarks isSupplementary')
+      .populate('examType', 'name')
+      .populate('subject', 'name code')
+      .populate('originalMark', 'exam marksObtained percentage grade isPassed isAbsent')
+      .sort({ createdAt: -1 });
+
+    // Every attempt is listed, but a replaced attempt does not count towards the summary
+    const counted = ExamMark.countedAttempts(marks);
+
+    const summary = {
+      totalExams: counted.length,
+      passed: counted.filter(mark => mark.isPassed).length,
+      failed: counted.filter(mark => !mark.isPassed).length,
+      absent: counted.filter(mark => mark.isAbsent).length,
+      supplementaryAttempts: marks.filter(mark => mark.isSupplementary).length,
+      averagePercentage: 0
+    };
+
+    if (counted.length > 0) {
+      summary.averagePercentage = Math.round(
+        counted.reduce((sum, mark) => sum + (mark.percentage || 0), 0) / counted.length
+      );
+    }
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        marks
+      }
+    });
+  } catch (error) {
+    console.error('Get student marks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching student marks'
+    });
+  }
+};
+
+// @desc    Get the mark-entry grid of a class for one exam
+// @route   GET /api/marks/class/:classId/exam/:examId
+// @access  Private (Admin, Teacher)
+const getClassExamMarks = async (req, res) => {
+  try {
+    const { classId, examId } = req.params;
+    const { section } = req.query;
+
+    const exam = await Exam.findById(examId)
+      .populate('subject', 'name code')
+      .populate('examType', 'name');
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    if (exam.class.toString() !== classId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Exam does not belong to this class'
+      });
+    }
+
+    if (!(await canViewExamMarks(exam, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view marks for your own exams.'
+      });
+    }
+
+    const sectionId = exam.section || section;
+    const students = await Student.find(exam.isSupplementary ? exam.getRosterQuery() : {
+      class: classId,
+      ...(sectionId && { section: sectionId }),
+      status: 'Active'
+    })
+      .populate('user', 'firstName lastName')
+      .select('admissionNumber rollNumber user section')
+      .sort({ rollNumber: 1 });
+
+    const marks = await ExamMark.find({ exam: exam._id });
+    const marksByStudent = new Map(marks.map(mark => [mark.student.toString(), mark]));
+
+    // One row per student on the roster, whether or not marks are entered yet
+    const roster = students.map(student => ({
+      student,
+      mark: marksByStudent.get(student._id.toString()) || null
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        exam,
+        marksStatus: exam.marksStatus,
+        roster,
+        stats: {
+          totalStudents: students.length,
+          marksEntered: roster.filter(row => row.mark).length,
+          pending: roster.filter(row => !row.mark).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get class exam marks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching class marks'
+    });
+  }
+};
+
+// @desc    Get the change history of a mark entry
+// @route   GET /api/marks/:id/history
+// @access  Private (Admin, Teacher-own, Head of department)
+const getMarkHistory = async (req, res) => {
+  try {
+    const mark = await ExamMark.findById(req.params.id)
+      .populate('enteredBy', 'firstName lastName')
+      .populate('modifiedBy', 'firstName lastName')
+      .populate('changeHistory.changedBy', 'firstName lastName');
+
+    if (!mark) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mark entry not found'
+      });
+    }
+
+    const exam = await Exam.findById(mark.exam);
+    if (!exam || !(await canViewExamMarks(exam, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view marks for your own exams.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        mark: mark._id,
+        enteredBy: mark.enteredBy,
+        enteredAt: mark.enteredAt,
+        modifiedBy: mark.modifiedBy,
+        modifiedAt: mark.modifiedAt,
+        history: mark.changeHistory
+      }
+    });
+  } catch (error) {
+    console.error('Get mark history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching mark history'
+    });
+  }
+};
+
+// @desc    Move an exam's marks through the moderation workflow
+// @route   POST /api/marks/exam/:examId/(submit|approve|return|lock|unlock)
+// @access  Private (see each transition)
+const transitionMarks = ({ from, to, canTransition, requireReason, action }) => async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    if (!(await canTransition(exam, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. You are not allowed to ${action} marks for this exam.`
+      });
+    }
+
+    if (!from.includes(exam.marksStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ${action} marks that are ${exam.marksStatus.toLowerCase()}`
+      });
+    }
+
+    const { reason } = req.body;
+    if (requireReason && !(reason && reason.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason is required to ${action} marks`
+      });
+    }
+
+    // Marks can only leave draft once every student on the roster has an entry
+    if (to === 'Submitted') {
+      const missing = await exam.countMissingMarks();
+      if (missing > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot submit marks. ${missing} student(s) have no marks entered.`
+        });
+      }
+    }
+
+    await exam.setMarksStatus(to, req.user._id, reason);
+
+    res.json({
+      success: true,
+      message: `Marks ${to === 'Draft' ? 'returned to draft' : to.toLowerCase()} successfully`,
+      data: {
+        exam: exam._id,
+        marksStatus: exam.marksStatus
+      }
+    });
+  } catch (error) {
+    console.error(`Marks ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while trying to ${action} marks`
+    });
+  }
+};
+
+const submitMarks = transitionMarks({
+  from: ['Draft'],
+  to: 'Submitted',
+  action: 'submit',
+  canTransition: async (exam, user) => isAdmin(user) || isExamOwner(exam, user)
+});
+
+const approveMarks = transitionMarks({
+  from: ['Submitted'],
+  to: 'Approved',
+  action: 'approve',
+  canTransition: async (exam, user) => isAdmin(user) || await isHeadOfDepartmentFor(exam, user)
+});
+
+const returnMarks = transitionMarks({
+  from: ['Submitted'],
+  to: 'Draft',
+  action: 'return',
+  requireReason: true,
+  canTransition: async (exam, user) => isAdmin(user) || await isHeadOfDepartmentFor(exam, user)
+});
+
+const lockMarks = transitionMarks({
+  from: ['Approved'],
+  to: 'Locked',
+  action: 'lock',
+  canTransition: async (exam, user) => isAdmin(user)
+});
+
+const unlockMarks = transitionMarks({
+  from: ['Approved', 'Locked'],
+  to: 'Draft',
+  action: 'unlock',
+  requireReason: true,
+  canTransition: async (exam, user) => isAdmin(user)
+});
+
+// Helper functions
+const isAdmin = (user) => user.role === 'Admin';
+
+const isExamOwner = (exam, user) => user.role === 'Teacher' &&
+  !!exam.teacher && exam.teacher.toString() === user._id.toString();
+
+// A head of department moderates exams set by other teachers of their department
+const isHeadOfDepartmentFor = async (exam, user) =>
+  user.role === 'Teacher' && await Teacher.isHeadOfDepartmentFor(user._id, exam.teacher);
+
+const canViewExamMarks = async (exam, user) =>
+  isAdmin(user) || isExamOwner(exam, user) || await isHeadOfDepartmentFor(exam, user);
+
+// Fields every mark row copies from its exam
+const markFieldsFromExam = (exam) => ({
+  exam: exam._id,
+  examType: exam.examType?._id || exam.examType,
+  subject: exam.subject?._id || exam.subject,
+  class: exam.class?._id || exam.class,
+  section: exam.section?._id || exam.section,
+  session: exam.session?._id || exam.session,
+  totalMarks: exam.totalMarks,
+  passingMarks: exam.passingMarks,
+  isSupplementary: !!exam.isSupplementary
+});
+
+const hasQuestionMarks = (row) => Array.isArray(row.questionMarks) && row.questionMarks.length > 0;
+
+// Values a validated row writes to its mark; when marks are entered per question they make up the total
+const markValuesFromRow = (row) => {
+  if (row.isAbsent) {
+    return { isAbsent: true, marksObtained: 0, questionMarks: [], remarks: row.remarks };
+  }
+
+  if (!hasQuestionMarks(row)) {
+    return { isAbsent: false, marksObtained: Number(row.marksObtained), questionMarks: [], remarks: row.remarks };
+  }
+
+  const questionMarks = row.questionMarks.map(item => ({
+    question: String(item.question).trim(),
+    marksObtained: Number(item.marksObtained)
+  }));
+  const total = questionMarks.reduce((sum, item) => sum + item.marksObtained, 0);
+
+  return {
+    isAbsent: false,
+    marksObtained: Math.round(total * 100) / 100,
+    questionMarks,
+    remarks: row.remarks
+  };
+};
+
+// Returns messages for question marks that do not fit the exam's questions
+const getQuestionMarkErrors = (exam, questionMarks) => {
+  if (!exam.questions || exam.questions.length === 0) {
+    return ['This exam has no questions defined, so marks cannot be entered per question'];
+  }
+
+  const questions = new Map(exam.questions.map(question => [question.number, question]));
+  const seen = new Set();
+  const messages = [];
+
+  questionMarks.forEach(item => {
+    const number = String(item.question).trim();
+    const question = questions.get(number);
+    const value = Number(item.marksObtained);
+
+    if (!question) {
+      messages.push(`Question ${number} is not part of this exam`);
+    } else if (seen.has(number)) {
+      messages.push(`Question ${number} appears more than once`);
+    } else if (Number.isNaN(value) || value < 0) {
+      messages.push(`Marks for question ${number} must be a non-negative number`);
+    } else if (value > question.maxMarks) {
+      messages.push(`Marks for question ${number} cannot exceed ${question.maxMarks}`);
+    }
+    seen.add(number);
+  });
+
+  return messages;
+};
+
+// Returns a list of { student, message } for rows that cannot be saved against this exam
+const validateMarkRows = async (exam, rows) => {
+  const rowErrors = [];
+  const seen = new Set();
+
+  rows.forEach(row => {
+    const studentKey = row.student?.toString();
+
+    if (seen.has(studentKey)) {
+      rowErrors.push({ student: row.student, message: 'Student appears more than once' });
+    }
+    seen.add(studentKey);
+
+    if (!row.isAbsent && hasQuestionMarks(row)) {
+      getQuestionMarkErrors(exam, row.questionMarks).forEach(message => {
+        rowErrors.push({ student: row.student, message });
+      });
+    } else if (!row.isAbsent) {
+      if (row.marksObtained === undefined || row.marksObtained === null || row.marksObtained === '') {
+        rowErrors.push({ student: row.student, message: 'Marks obtained is required unless the student is absent' });
+      } else if (Number(row.marksObtained) < 0) {
+        rowErrors.push({ student: row.student, message: 'Marks cannot be negative' });
+      } else if (Number(row.marksObtained) > exam.totalMarks) {
+        rowErrors.push({ student: row.student, message: `Marks cannot exceed the exam total of ${exam.totalMarks}` });
+      }
+    }
+  });
+
+  const studentIds = [...seen].filter(id => mongoose.Types.ObjectId.isValid(id));
+  const students = await Student.find({
+    $and: [exam.getRosterQuery(), { _id: { $in: studentIds } }]
+  }).select('_id');
+  const enrolled = new Set(students.map(student => student._id.toString()));
+
+  [...seen].forEach(studentKey => {
+    if (!enrolled.has(studentKey)) {
+      rowErrors.push({
+        student: studentKey,
+        message: exam.isSupplementary
+          ? 'Student is not a candidate for this supplementary exam'
+          : 'Student does not belong to the exam class/section'
+      });
+    }
+  });
+
+  return rowErrors;
+};
+
+// Returns { status, message } when the user may not change marks of this exam in its current state
+const getMarkEditError = async (exam, user) => {
+  switch (exam.marksStatus) {
+    case 'Approved':
+    case 'Locked':
+      return {
+        status: 400,
+        message: `Marks for this exam are ${exam.marksStatus.toLowerCase()}. They must be unlocked before they can be changed.`
+      };
+    case 'Submitted':
+      if (isAdmin(user) || await isHeadOfDepartmentFor(exam, user)) return null;
+      return {
+        status: 403,
+        message: 'Marks have been submitted for approval and can only be changed by a head of department or admin.'
+      };
+    default:
+      if (isAdmin(user) || isExamOwner(exam, user)) return null;
+      return {
+        status: 403,
+        message: 'Access denied. You can only enter marks for your own exams.'
+      };
+  }
+};
+
+module.exports = {
+  getMarks,
+  createMark,
+  updateMark,
+  bulkUpsertMarks,
+  getStudentMarks,
+  getClassExamMarks,
+  getMarkHistory,
+  submitMarks,
+  approveMarks,
+  returnMarks,
+  lockMarks,
+  unlockMarks
+};
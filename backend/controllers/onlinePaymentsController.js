@@ -0,0 +1,338 @@
+const { validationResult } = require('express-validator');
+const PaymentTransaction = require('../models/PaymentTransaction');
+const FeeInvoice = require('../models/FeeInvoice');
+const Student = require('../models/Student');
+const { getPaymentProvider } = require('../utils/paymentGateway');
+const { applyLateFees } = require('../utils/feePayments');
+const { processWebhook, applyProviderStatus, reconcileTransactions } = require('../utils/onlinePayments');
+
+// @desc    Start an online payment for a student's open invoices
+// @route   POST /api/payments/orders
+// @access  Private (Admin, Student-own, Parent-own)
+const createPaymentOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { student: studentId, invoices: invoiceIds } = req.body;
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (!canPayFor(req.user, student)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only pay your own fees.'
+      });
+    }
+
+    const invoices = await FeeInvoice.getOpenInvoices(
+      student._id,
+      invoiceIds && invoiceIds.length > 0 ? { _id: { $in: invoiceIds } } : {}
+    );
+
+    if (invoiceIds && invoiceIds.length > 0 && invoices.length !== new Set(invoiceIds.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some invoices are not open invoices of this student'
+      });
+    }
+
+    // The amount includes late fees as they stand now
+    await applyLateFees(invoices, new Date());
+    const payable = invoices.filter(invoice => invoice.balance > 0);
+    const amount = Math.round(payable.reduce((sum, invoice) => sum + invoice.balance, 0) * 100) / 100;
+
+    if (amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing is due on these invoices'
+      });
+    }
+
+    let gateway;
+    try {
+      gateway = getPaymentProvider();
+    } catch (error) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const transaction = await PaymentTransaction.create({
+      provider: gateway.name,
+      student: student._id,
+      allocations: payable.map(invoice => ({ invoice: invoice._id, amount: invoice.balance })),
+      amount,
+      currency: process.env.PAYMENT_CURRENCY || 'INR',
+      initiatedBy: req.user._id,
+      session: payable[0].session
+    });
+
+    try {
+      const order = await gateway.provider.createOrder({
+        orderId: transaction.orderId,
+        amount,
+        currency: transaction.currency,
+        description: `Fees for ${student.admissionNumber}`,
+        customer: { id: req.user._id.toString(), email: req.user.email }
+      });
+
+      transaction.providerOrderId = order.providerOrderId;
+      transaction.checkoutUrl = order.checkoutUrl;
+      transaction.status = 'Pending';
+      await transaction.save();
+    } catch (error) {
+      console.error('Create provider order error:', error);
+      transaction.status = 'Failed';
+      transaction.failureReason = 'Payment provider could not create the order';
+      await transaction.save();
+
+      return res.status(502).json({
+        success: false,
+        message: 'Payment provider could not create the order. Please try again.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment order created successfully',
+      data: { transaction }
+    });
+  } catch (error) {
+    console.error('Create payment order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating payment order'
+    });
+  }
+};
+
+// @desc    Get online payment orders
+// @route   GET /api/payments/orders
+// @access  Private (Admin, Student-own, Parent-own)
+const getPaymentOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, student: studentId, status, provider } = req.query;
+
+    let query = {};
+
+    if (studentId) query.student = studentId;
+    if (status) query.status = status;
+    if (provider) query.provider = provider;
+
+    if (req.user.role === 'Student') {
+      const student = await Student.findOne({ user: req.user._id });
+      query.student = student ? student._id : null;
+    } else if (req.user.role === 'Parent') {
+      const children = await Student.find({ parent: req.user._id });
+      query.student = { $in: children.map(child => child._id) };
+    }
+
+    const transactions = await PaymentTransaction.find(query)
+      .populate({
+        path: 'student',
+        select: 'admissionNumber',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .populate('feePayment', 'receiptNumber paidAmount paymentDate')
+      .populate('initiatedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PaymentTransaction.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payment orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment orders'
+    });
+  }
+};
+
+// @desc    Get an online payment order, optionally checking its status with the provider
+// @route   GET /api/payments/orders/:id
+// @access  Private (Admin, Student-own, Parent-own)
+const getPaymentOrder = async (req, res) => {
+  try {
+    let transaction = await PaymentTransaction.findById(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment order not found'
+      });
+    }
+
+    const student = await Student.findById(transaction.student);
+    if (!student || !canPayFor(req.user, student)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your own payments.'
+      });
+    }
+
+    // A client returning from checkout can ask for the latest status before the webhook lands
+    if (String(req.query.refresh) === 'true' && transaction.providerOrderId &&
+        ['Created', 'Pending'].includes(transaction.status)) {
+      const { provider } = getPaymentProvider(transaction.provider);
+      transaction = await applyProviderStatus(transaction, await provider.getStatus(transaction.providerOrderId));
+    }
+
+    await transaction.populate([
+      { path: 'allocations.invoice', select: 'invoiceNumber period dueDate balance status' },
+      { path: 'feePayment', select: 'receiptNumber paidAmount paymentDate transactionId' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { transaction }
+    });
+  } catch (error) {
+    console.error('Get payment order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment order'
+    });
+  }
+};
+
+// @desc    Receive a payment provider webhook
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (signed by the provider)
+const handlePaymentWebhook = async (req, res) => {
+  try {
+    const result = await processWebhook(req.params.provider, req.rawBody, req.headers, req.body);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing payment webhook'
+    });
+  }
+};
+
+// @desc    Check pending and failed payments with their providers
+// @route   POST /api/payments/reconcile
+// @access  Private (Admin)
+const reconcilePayments = async (req, res) => {
+  try {
+    const summary = await reconcileTransactions();
+
+    res.json({
+      success: true,
+      message: `Checked ${summary.checked} payments`,
+      data: { summary }
+    });
+  } catch (error) {
+    console.error('Reconcile payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reconciling payments'
+    });
+  }
+};
+
+// @desc    Settle a mock provider order and deliver its webhook
+// @route   POST /api/payments/mock/:providerOrderId/complete
+// @access  Private (not available in production)
+const completeMockPayment = async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const transaction = await PaymentTransaction.findOne({
+      provider: 'mock',
+      providerOrderId: req.params.providerOrderId
+    });
+
+    if (!transaction || !canPayFor(req.user, await Student.findById(transaction.student))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock order not found'
+      });
+    }
+
+    let gateway;
+    try {
+      gateway = getPaymentProvider('mock');
+    } catch (error) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const webhook = gateway.provider
+      .createWebhook(req.params.providerOrderId, req.body.outcome || 'success');
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock order not found. Mock orders are forgotten when the server restarts.'
+      });
+    }
+
+    // Delivered in-process exactly as the provider would send it
+    const result = await processWebhook('mock', webhook.rawBody, webhook.headers, JSON.parse(webhook.rawBody));
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Complete mock payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while completing mock payment'
+    });
+  }
+};
+
+// Helper functions
+
+// Admins pay for anyone; students for themselves and parents for their children
+const canPayFor = (user, student) => {
+  if (!student) return false;
+  if (user.role === 'Admin') return true;
+  if (user.role === 'Student') return student.user?.toString() === user._id.toString();
+  if (user.role === 'Parent') return student.parent?.toString() === user._id.toString();
+  return false;
+};
+
+module.exports = {
+  createPaymentOrder,
+  getPaymentOrders,
+  getPaymentOrder,
+  handlePaymentWebhook,
+  reconcilePayments,
+  completeMockPayment
+};
@@ -0,0 +1,287 @@
+const { validationResult } = require('express-validator');
+const ReportCard = require('../models/ReportCard');
+const ExamType = require('../models/ExamType');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+
+// @desc    Generate term report cards for a class
+// @route   POST /api/report-cards/generate
+// @access  Private (Admin)
+const generateReportCards = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { class: classId, session: sessionId, term, components } = req.body;
+
+    const classInfo = await Class.findById(classId);
+    if (!classInfo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    const examTypes = await ExamType.find({
+      _id: { $in: components.map(component => component.examType) },
+      session: sessionId
+    });
+
+    if (examTypes.length !== components.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each component must be a distinct exam type of the session'
+      });
+    }
+
+    // Components without a weight use the exam type's default weight
+    const typesById = new Map(examTypes.map(examType => [examType._id.toString(), examType]));
+    const normalizedComponents = components.map(component => {
+      const examType = typesById.get(component.examType.toString());
+      return {
+        examType: component.examType,
+        name: examType.name,
+        weight: component.weight !== undefined ? Number(component.weight) : examType.weight
+      };
+    });
+
+    const weightTotal = normalizedComponents.reduce((sum, component) => sum + component.weight, 0);
+    if (weightTotal <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Component weights must add up to more than zero'
+      });
+    }
+
+    // Published report cards are snapshots; they must be withdrawn before being recomputed
+    const publishedCount = await ReportCard.countDocuments({
+      class: classId,
+      session: sessionId,
+      term,
+      status: 'Published'
+    });
+
+    if (publishedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot regenerate. ${publishedCount} report card(s) for this term are published. Unpublish them first.`
+      });
+    }
+
+    const { generated, pendingExams } = await ReportCard.generateForClass({
+      classId,
+      sessionId,
+      term,
+      components: normalizedComponents,
+      generatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Report cards generated successfully',
+      data: {
+        class: classId,
+        term,
+        components: normalizedComponents,
+        generated,
+        // Exams left out because their marks are not approved yet
+        pendingExams: pendingExams.map(exam => ({
+          _id: exam._id,
+          name: exam.name,
+          marksStatus: exam.marksStatus
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Generate report cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating report cards'
+    });
+  }
+};
+
+// @desc    Get report cards of a class
+// @route   GET /api/report-cards
+// @access  Private (Admin, Teacher)
+const getReportCards = async (req, res) => {
+  try {
+    const { class: classId, section, session, term, status } = req.query;
+
+    let query = {};
+    if (classId) query.class = classId;
+    if (section) query.section = section;
+    if (session) query.session = session;
+    if (term) query.term = term;
+    if (status) query.status = status;
+
+    const reportCards = await ReportCard.find(query)
+      .populate({
+        path: 'student',
+        select: 'admissionNumber rollNumber',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .populate('class', 'name grade')
+      .populate('section', 'name')
+      .sort({ classRank: 1 });
+
+    const summary = {
+      total: reportCards.length,
+      passed: reportCards.filter(card => card.isPassed).length,
+      failed: reportCards.filter(card => !card.isPassed).length,
+      averagePercentage: 0
+    };
+
+    if (reportCards.length > 0) {
+      summary.averagePercentage = Math.round(
+        reportCards.reduce((sum, card) => sum + (card.percentage || 0), 0) / reportCards.length * 100
+      ) / 100;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        reportCards
+      }
+    });
+  } catch (error) {
+    console.error('Get report cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching report cards'
+    });
+  }
+};
+
+// @desc    Get report cards of a student
+// @route   GET /api/report-cards/student/:studentId
+// @access  Private (Admin, Teacher, Student-own, Parent-own)
+const getStudentReportCards = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { session, term } = req.query;
+
+    // Check permissions
+    if (req.user.role === 'Student') {
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student || student._id.toString() !== studentId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own report cards.'
+        });
+      }
+    } else if (req.user.role === 'Parent') {
+      const student = await Student.findOne({ _id: studentId, parent: req.user._id });
+      if (!student) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your child\'s report cards.'
+        });
+      }
+    }
+
+    let query = { student: studentId };
+    if (session) query.session = session;
+    if (term) query.term = term;
+
+    // Students and parents only see published report cards
+    if (['Student', 'Parent'].includes(req.user.role)) {
+      query.status = 'Published';
+    }
+
+    const reportCards = await ReportCard.find(query)
+      .populate('class', 'name grade')
+      .populate('section', 'name')
+      .populate('session', 'name')
+      .populate('components.examType', 'name')
+      .sort({ generatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { reportCards }
+    });
+  } catch (error) {
+    console.error('Get student report cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching report cards'
+    });
+  }
+};
+
+// @desc    Publish or unpublish term report cards of a class
+// @route   POST /api/report-cards/publish
+// @route   POST /api/report-cards/unpublish
+// @access  Private (Admin)
+const setReportCardsPublished = (publish) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { class: classId, session: sessionId, term } = req.body;
+
+    if (publish) {
+      const publishError = await ReportCard.getPublishError({ classId, sessionId, term });
+      if (publishError) {
+        return res.status(400).json({
+          success: false,
+          message: publishError
+        });
+      }
+    }
+
+    const update = publish
+      ? { $set: { status: 'Published', publishedAt: new Date(), publishedBy: req.user._id } }
+      : { $set: { status: 'Draft' }, $unset: { publishedAt: 1, publishedBy: 1 } };
+
+    const result = await ReportCard.updateMany(
+      { class: classId, session: sessionId, term, status: publish ? 'Draft' : 'Published' },
+      update
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: publish ? 'No draft report cards found for this term' : 'No published report cards found for this term'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: publish ? 'Report cards published successfully' : 'Report cards unpublished successfully',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Set report cards published error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating report cards'
+    });
+  }
+};
+
+const publishReportCards = setReportCardsPublished(true);
+const unpublishReportCards = setReportCardsPublished(false);
+
+module.exports = {
+  generateReportCards,
+  getReportCards,
+  getStudentReportCards,
+  publishReportCards,
+  unpublishReportCards
+};
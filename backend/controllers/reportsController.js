@@ -2,7 +2,10 @@ const Student = require('../models/Student');
 const Teacher = require('../models/Teacher');
 const Attendance = require('../models/Attendance');
 const ExamMark = require('../models/ExamMark');
+const GradingScheme = require('../models/GradingScheme');
+const ReportCard = require('../models/ReportCard');
 const FeePayment = require('../models/FeePayment');
+const LeaveApplication = require('../models/LeaveApplication');
 const Class = require('../models/Class');
 const Subject = require('../models/Subject');
 const mongoose = require('mongoose');
@@ -59,10 +62,10 @@ const getStudentReport = async (req, res) => {
     // Get attendance summary
     const attendanceStats = await Attendance.aggregate([
       {
-        $match: {
+        $match: Attendance.dailyQuery({
           student: new mongoose.Types.ObjectId(studentId),
           ...dateFilter
-        }
+        })
       },
       {
         $group: {
@@ -72,15 +75,30 @@ const getStudentReport = async (req, res) => {
       }
     ]);
 
-    // Get exam results
-    const examResults = await ExamMark.find({
-      student: studentId,
-      ...dateFilter
-    })
-    .populate('exam', 'name type date')
+    // Get exam results; students and parents only see published ones
+    let examQuery = { student: studentId, ...dateFilter };
+    if (['Student', 'Parent'].includes(req.user.role)) {
+      examQuery = await ExamMark.publishedQuery(examQuery);
+    }
+
+    const examResults = await ExamMark.find(examQuery)
+    .populate('exam', 'name type date isSupplementary')
     .populate('subject', 'name code')
+    .populate('originalMark', 'exam marksObtained percentage grade isPassed isAbsent')
     .sort({ 'exam.date': -1 });
 
+    // Both attempts are listed; only the one that counts goes into the averages
+    const countedResults = ExamMark.countedAttempts(examResults);
+
+    // Get term report cards; students and parents only see published ones
+    const reportCards = await ReportCard.find({
+      student: studentId,
+      ...(session && { session }),
+      ...(['Student', 'Parent'].includes(req.user.role) && { status: 'Published' })
+    })
+    .select('term percentage grade gpa isPassed classRank sectionRank classSize status publishedAt')
+    .sort({ generatedAt: -1 });
+
     // Get fee payment status
     const feePayments = await FeePayment.find({
       student: studentId,
@@ -89,14 +107,22 @@ const getStudentReport = async (req, res) => {
     .populate('feeType', 'name')
     .sort({ paymentDate: -1 });
 
+    // Get leave history
+    const leaveApplications = await LeaveApplication.find({
+      student: studentId,
+      ...(session && { session })
+    })
+    .select('type fromDate toDate totalDays reason status reviewedAt reviewRemarks')
+    .sort({ fromDate: -1 });
+
     // Calculate attendance percentage
     const totalAttendance = attendanceStats.reduce((sum, stat) => sum + stat.count, 0);
     const presentDays = attendanceStats.find(stat => stat._id === 'Present')?.count || 0;
     const attendancePercentage = totalAttendance > 0 ? (presentDays / totalAttendance) * 100 : 0;
 
     // Calculate average marks
-    const totalMarks = examResults.reduce((sum, result) => sum + result.marksObtained, 0);
-    const totalMaxMarks = examResults.reduce((sum, result) => sum + result.maxMarks, 0);
+    const totalMarks = countedResults.reduce((sum, result) => sum + (result.awardedMarks ?? result.marksObtained), 0);
+    const totalMaxMarks = countedResults.reduce((sum, result) => sum + result.totalMarks, 0);
     const averagePercentage = totalMaxMarks > 0 ? (totalMarks / totalMaxMarks) * 100 : 0;
 
     const report = {
@@ -107,12 +133,24 @@ const getStudentReport = async (req, res) => {
         presentDays,
         absentDays: attendanceStats.find(stat => stat._id === 'Absent')?.count || 0,
         averageMarks: Math.round(averagePercentage * 100) / 100,
-        totalExams: examResults.length,
-        totalFeesPaid: feePayments.reduce((sum, payment) => sum + payment.totalAmount, 0)
+        totalExams: countedResults.length,
+        supplementaryAttempts: examResults.filter(result => result.isSupplementary).length,
+        totalFeesPaid: feePayments.reduce((sum, payment) => sum + payment.totalAmount, 0),
+        leave: {
+          applications: leaveApplications.length,
+          approved: leaveApplications.filter(leave => leave.status === 'Approved').length,
+          rejected: leaveApplications.filter(leave => leave.status === 'Rejected').length,
+          pending: leaveApplications.filter(leave => leave.status === 'Pending').length,
+          approvedDays: leaveApplications
+            .filter(leave => leave.status === 'Approved')
+            .reduce((sum, leave) => sum + leave.totalDays, 0)
+        }
       },
       attendanceStats,
       examResults,
-      feePayments
+      reportCards,
+      feePayments,
+      leaveApplications
     };
 
     res.json({
@@ -170,10 +208,10 @@ const getClassReport = async (req, res) => {
         }
       },
       {
-        $match: {
+        $match: Attendance.dailyQuery({
           'studentInfo.class': new mongoose.Types.ObjectId(classId),
           ...dateFilter
-        }
+        })
       },
       {
         $group: {
@@ -301,7 +339,7 @@ const getAttendanceReport = async (req, res) => {
     }
 
     const attendanceReport = await Attendance.aggregate([
-      { $match: matchQuery },
+      { $match: Attendance.dailyQuery(matchQuery) },
       {
         $lookup: {
           from: 'students',
@@ -425,17 +463,18 @@ const getExamReport = async (req, res) => {
             $push: {
               subject: { $arrayElemAt: ['$subjectInfo.name', 0] },
               marksObtained: '$marksObtained',
-              maxMarks: '$maxMarks',
-              percentage: {
-                $multiply: [
-                  { $divide: ['$marksObtained', '$maxMarks'] },
-                  100
-                ]
-              }
+              maxMarks: '$totalMarks',
+              percentage: '$percentage',
+              grade: '$grade',
+              gradePoint: '$gradePoint',
+              isPassed: '$isPassed'
             }
           },
+          session: { $first: '$session' },
+          class: { $first: '$class' },
+          examType: { $first: '$examType' },
           totalMarks: { $sum: '$marksObtained' },
-          totalMaxMarks: { $sum: '$maxMarks' }
+          totalMaxMarks: { $sum: '$totalMarks' }
         }
       },
       {
@@ -451,6 +490,17 @@ const getExamReport = async (req, res) => {
       { $sort: { overallPercentage: -1 } }
     ]);
 
+    // Grade overall results with the scheme that applies to the exam
+    if (examReport.length > 0) {
+      const { session, class: classId, examType } = examReport[0];
+      const scheme = await GradingScheme.resolve({ session, class: classId, examType });
+      examReport.forEach(row => {
+        const band = GradingScheme.gradeFor(scheme, row.overallPercentage);
+        row.overallGrade = band.label;
+        row.overallGradePoint = band.gradePoint;
+      });
+    }
+
     res.json({
       success: true,
       data: { examReport }
@@ -586,9 +636,9 @@ const getDashboardStats = async (req, res) => {
 
     const todayAttendance = await Attendance.aggregate([
       {
-        $match: {
+        $match: Attendance.dailyQuery({
           date: { $gte: today, $lt: tomorrow }
-        }
+        })
       },
       {
         $group: {
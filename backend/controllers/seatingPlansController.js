@@ -0,0 +1,640 @@
+const { validationResult } = require('express-validator');
+const SeatingPlan = require('../models/SeatingPlan');
+const Exam = require('../models/Exam');
+const Student = require('../models/Student');
+const Section = require('../models/Section');
+const { createPdfResponse, drawTable } = require('../utils/pdf');
+
+const SCHOOL_NAME = process.env.SCHOOL_NAME || 'School Management System';
+
+// @desc    Get seating plans
+// @route   GET /api/seating-plans
+// @access  Private (Admin, Teacher)
+const getSeatingPlans = async (req, res) => {
+  try {
+    const { session, date, exam } = req.query;
+
+    let query = {};
+    if (session) query.session = session;
+    if (exam) query.exams = exam;
+    if (date) {
+      query.date = {
+        $gte: new Date(`${toDateKey(date)}T00:00:00.000Z`),
+        $lte: new Date(`${toDateKey(date)}T23:59:59.999Z`)
+      };
+    }
+
+    const seatingPlans = await SeatingPlan.find(query)
+      .select('-rooms.seats')
+      .populate('exams', 'name class section subject')
+      .sort({ date: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: { seatingPlans }
+    });
+  } catch (error) {
+    console.error('Get seating plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching seating plans'
+    });
+  }
+};
+
+// @desc    Get single seating plan with seats
+// @route   GET /api/seating-plans/:id
+// @access  Private (Admin, Teacher)
+const getSeatingPlan = async (req, res) => {
+  try {
+    const seatingPlan = await loadPlan(req.params.id);
+    if (!seatingPlan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { seatingPlan }
+    });
+  } catch (error) {
+    console.error('Get seating plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching seating plan'
+    });
+  }
+};
+
+// @desc    Allocate the students of one sitting into rooms
+// @route   POST /api/seating-plans
+// @access  Private (Admin)
+const createSeatingPlan = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, exams: examIds, rooms: requestedRooms, pattern = 'Alternate' } = req.body;
+
+    const exams = await Exam.find({ _id: { $in: examIds }, status: { $ne: 'Cancelled' } })
+      .populate('class', 'name')
+      .populate('subject', 'name code');
+
+    if (exams.length !== new Set(examIds.map(String)).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more exams not found or cancelled'
+      });
+    }
+
+    // Papers of one sitting share a date; the sitting spans from the earliest start to the latest end
+    const dates = new Set(exams.map(exam => toDateKey(exam.date)));
+    if (dates.size > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'All exams of a seating plan must be on the same date'
+      });
+    }
+
+    const existingPlan = await SeatingPlan.findOne({ exams: { $in: examIds } }).select('name');
+    if (existingPlan) {
+      return res.status(409).json({
+        success: false,
+        message: `One or more exams are already seated in "${existingPlan.name}". Delete that plan first.`
+      });
+    }
+
+    const date = exams[0].date;
+    const startTime = exams.map(exam => exam.startTime).sort()[0];
+    const endTime = exams.map(exam => exam.endTime).sort().reverse()[0];
+
+    // One group per paper, in roll number order
+    const groups = [];
+    for (const exam of exams) {
+      const students = await Student.find(exam.getRosterQuery())
+        .select('rollNumber section')
+        .sort({ rollNumber: 1 });
+      groups.push({ exam: exam._id, class: exam.class._id, students });
+    }
+
+    const seen = new Set();
+    const duplicates = [];
+    groups.forEach(group => {
+      group.students.forEach(student => {
+        const key = student._id.toString();
+        if (seen.has(key)) duplicates.push(key);
+        seen.add(key);
+      });
+    });
+
+    if (duplicates.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${duplicates.length} student(s) sit more than one of these exams. A student can only sit one paper per sitting.`,
+        errors: duplicates.map(student => ({ student }))
+      });
+    }
+
+    const rooms = requestedRooms || await getSectionRooms(exams);
+    if (rooms.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No rooms given and none of the sections have a room assigned'
+      });
+    }
+
+    const totalStudents = seen.size;
+    const totalCapacity = rooms.reduce((sum, room) => sum + Number(room.capacity), 0);
+    if (totalCapacity < totalStudents) {
+      return res.status(400).json({
+        success: false,
+        message: `Rooms seat ${totalCapacity} but ${totalStudents} students sit these exams. Add ${totalStudents - totalCapacity} more seat(s).`
+      });
+    }
+
+    const roomClash = await findRoomClash(date, startTime, endTime, rooms);
+    if (roomClash) {
+      return res.status(409).json({
+        success: false,
+        message: `Room ${roomClash.room} is already used by seating plan "${roomClash.plan}" at this time`
+      });
+    }
+
+    const allocation = SeatingPlan.allocateSeats(groups, rooms.map(room => ({
+      room: room.room,
+      capacity: Number(room.capacity),
+      columns: room.columns ? Number(room.columns) : undefined,
+      invigilator: room.invigilator
+    })), pattern);
+
+    const seatingPlan = await SeatingPlan.create({
+      name: name || `${exams[0].name} seating`,
+      exams: exams.map(exam => exam._id),
+      date,
+      startTime,
+      endTime,
+      pattern,
+      rooms: allocation.rooms,
+      totalStudents,
+      session: req.body.session || exams[0].session,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Seating plan created successfully',
+      data: {
+        seatingPlan,
+        rooms: seatingPlan.rooms.map(room => ({
+          room: room.room,
+          capacity: room.capacity,
+          seated: room.seats.length
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Create seating plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating seating plan'
+    });
+  }
+};
+
+// @desc    Delete seating plan
+// @route   DELETE /api/seating-plans/:id
+// @access  Private (Admin)
+const deleteSeatingPlan = async (req, res) => {
+  try {
+    const seatingPlan = await SeatingPlan.findById(req.params.id);
+    if (!seatingPlan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating plan not found'
+      });
+    }
+
+    await seatingPlan.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Seating plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete seating plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting seating plan'
+    });
+  }
+};
+
+// @desc    Get the seating chart of each room, as JSON or printable PDF
+// @route   GET /api/seating-plans/:id/chart
+// @access  Private (Admin, Teacher)
+const getSeatingChart = async (req, res) => {
+  try {
+    const { room, format } = req.query;
+
+    const seatingPlan = await loadPlan(req.params.id);
+    if (!seatingPlan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating plan not found'
+      });
+    }
+
+    const rooms = room
+      ? seatingPlan.rooms.filter(entry => entry.room.toLowerCase() === room.toLowerCase())
+      : seatingPlan.rooms;
+
+    if (rooms.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found in this seating plan'
+      });
+    }
+
+    const papers = new Map(seatingPlan.exams.map(exam => [exam._id.toString(), exam]));
+    const charts = rooms.map(entry => ({
+      room: entry.room,
+      capacity: entry.capacity,
+      columns: entry.columns,
+      rows: Math.ceil(entry.seats.length / entry.columns),
+      invigilator: entry.invigilator,
+      seats: entry.seats.map(seat => {
+        const exam = papers.get(seat.exam.toString());
+        return {
+          seatNumber: seat.seatNumber,
+          row: seat.row,
+          column: seat.column,
+          rollNumber: seat.rollNumber,
+          admissionNumber: seat.student?.admissionNumber,
+          studentName: studentName(seat.student),
+          class: exam?.class?.name,
+          paper: exam?.subject?.code || exam?.subject?.name
+        };
+      })
+    }));
+
+    if (format !== 'pdf') {
+      return res.json({
+        success: true,
+        data: {
+          seatingPlan: {
+            _id: seatingPlan._id,
+            name: seatingPlan.name,
+            date: seatingPlan.date,
+            startTime: seatingPlan.startTime,
+            endTime: seatingPlan.endTime
+          },
+          charts
+        }
+      });
+    }
+
+    const doc = createPdfResponse(res, `seating-${toDateKey(seatingPlan.date)}.pdf`, { layout: 'landscape' });
+    charts.forEach((chart, index) => {
+      if (index > 0) doc.addPage();
+      drawSeatingChart(doc, seatingPlan, chart);
+    });
+    doc.end();
+  } catch (error) {
+    console.error('Get seating chart error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating seating chart'
+    });
+  }
+};
+
+// @desc    Get the admit card of a student, as JSON or printable PDF
+// @route   GET /api/seating-plans/admit-cards/student/:studentId
+// @access  Private (Admin, Teacher, Student-own, Parent-own)
+const getStudentAdmitCard = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { examType, session, format } = req.query;
+
+    // Check permissions
+    if (req.user.role === 'Student') {
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student || student._id.toString() !== studentId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own admit card.'
+        });
+      }
+    } else if (req.user.role === 'Parent') {
+      const student = await Student.findOne({ _id: studentId, parent: req.user._id });
+      if (!student) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your child\'s admit card.'
+        });
+      }
+    }
+
+    const student = await Student.findById(studentId)
+      .populate('user', 'firstName lastName')
+      .populate('class', 'name')
+      .populate('section', 'name');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const admitCard = await buildAdmitCard(student, { examType, session });
+
+    if (format !== 'pdf') {
+      return res.json({
+        success: true,
+        data: { admitCard }
+      });
+    }
+
+    const doc = createPdfResponse(res, `admit-card-${student.admissionNumber}.pdf`);
+    drawAdmitCard(doc, admitCard);
+    doc.end();
+  } catch (error) {
+    console.error('Get student admit card error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating admit card'
+    });
+  }
+};
+
+// @desc    Get admit cards of a class, as JSON or printable PDF (one card per page)
+// @route   GET /api/seating-plans/admit-cards
+// @access  Private (Admin, Teacher)
+const getClassAdmitCards = async (req, res) => {
+  try {
+    const { class: classId, section, examType, session, format } = req.query;
+
+    if (!classId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Class is required'
+      });
+    }
+
+    const students = await Student.find({
+      class: classId,
+      ...(section && { section }),
+      status: 'Active'
+    })
+      .populate('user', 'firstName lastName')
+      .populate('class', 'name')
+      .populate('section', 'name')
+      .sort({ rollNumber: 1 });
+
+    const admitCards = [];
+    for (const student of students) {
+      admitCards.push(await buildAdmitCard(student, { examType, session }));
+    }
+
+    if (format !== 'pdf') {
+      return res.json({
+        success: true,
+        data: { admitCards }
+      });
+    }
+
+    const doc = createPdfResponse(res, 'admit-cards.pdf');
+    admitCards.forEach((admitCard, index) => {
+      if (index > 0) doc.addPage();
+      drawAdmitCard(doc, admitCard);
+    });
+    doc.end();
+  } catch (error) {
+    console.error('Get class admit cards error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating admit cards'
+    });
+  }
+};
+
+// Helper functions
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const studentName = (student) => student?.user
+  ? `${student.user.firstName} ${student.user.lastName}`
+  : '';
+
+const loadPlan = (id) => SeatingPlan.findById(id)
+  .populate({
+    path: 'exams',
+    select: 'name class section subject date startTime endTime',
+    populate: [
+      { path: 'class', select: 'name' },
+      { path: 'subject', select: 'name code' }
+    ]
+  })
+  .populate({
+    path: 'rooms.seats.student',
+    select: 'admissionNumber rollNumber user',
+    populate: { path: 'user', select: 'firstName lastName' }
+  })
+  .populate('rooms.invigilator', 'firstName lastName');
+
+// Default rooms are the home rooms of the sections sitting the exams
+const getSectionRooms = async (exams) => {
+  const sections = await Section.find({
+    class: { $in: exams.map(exam => exam.class._id) },
+    isActive: true,
+    room: { $exists: true, $ne: '' }
+  }).select('room capacity');
+
+  const rooms = new Map();
+  sections.forEach(section => {
+    const key = section.room.toLowerCase();
+    if (!rooms.has(key) || rooms.get(key).capacity < section.capacity) {
+      rooms.set(key, { room: section.room, capacity: section.capacity });
+    }
+  });
+
+  return [...rooms.values()];
+};
+
+// Returns { room, plan } if a room is already used by another plan in an overlapping sitting
+const findRoomClash = async (date, startTime, endTime, rooms) => {
+  const dateKey = toDateKey(date);
+  const plans = await SeatingPlan.find({
+    date: {
+      $gte: new Date(`${dateKey}T00:00:00.000Z`),
+      $lte: new Date(`${dateKey}T23:59:59.999Z`)
+    },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  }).select('name rooms.room');
+
+  const wanted = new Set(rooms.map(room => room.room.trim().toLowerCase()));
+  for (const plan of plans) {
+    const clash = plan.rooms.find(room => wanted.has(room.room.trim().toLowerCase()));
+    if (clash) return { room: clash.room, plan: plan.name };
+  }
+
+  return null;
+};
+
+// Papers a student sits, with the room and seat from any seating plan
+const buildAdmitCard = async (student, { examType, session }) => {
+  const exams = await Exam.find({
+    status: { $ne: 'Cancelled' },
+    ...(examType && { examType }),
+    ...(session && { session }),
+    $or: [
+      { class: student.class._id, section: { $in: [null, student.section?._id] }, isSupplementary: { $ne: true } },
+      { candidates: student._id }
+    ]
+  })
+    .populate('subject', 'name code')
+    .populate('examType', 'name')
+    .sort({ date: 1, startTime: 1 });
+
+  const plans = await SeatingPlan.find({
+    'rooms.seats.student': student._id,
+    exams: { $in: exams.map(exam => exam._id) }
+  }).select('rooms');
+
+  const seats = new Map();
+  plans.forEach(plan => {
+    plan.rooms.forEach(room => {
+      room.seats
+        .filter(seat => seat.student.toString() === student._id.toString())
+        .forEach(seat => seats.set(seat.exam.toString(), { room: room.room, seatNumber: seat.seatNumber }));
+    });
+  });
+
+  return {
+    student: {
+      _id: student._id,
+      name: studentName(student),
+      admissionNumber: student.admissionNumber,
+      rollNumber: student.rollNumber,
+      class: student.class?.name,
+      section: student.section?.name
+    },
+    exams: exams.map(exam => {
+      const seat = seats.get(exam._id.toString());
+      return {
+        exam: exam._id,
+        name: exam.name,
+        examType: exam.examType?.name,
+        subject: exam.subject?.name,
+        subjectCode: exam.subject?.code,
+        date: exam.date,
+        startTime: exam.startTime,
+        endTime: exam.endTime,
+        room: seat ? seat.room : exam.room,
+        seatNumber: seat ? seat.seatNumber : null
+      };
+    })
+  };
+};
+
+const drawSeatingChart = (doc, seatingPlan, chart) => {
+  const left = doc.page.margins.left;
+  const usableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(SCHOOL_NAME, { align: 'center' });
+  doc.fontSize(13).text(`Seating Chart - ${seatingPlan.name}`, { align: 'center' });
+  doc.font('Helvetica').fontSize(10).text(
+    `Room ${chart.room}  |  ${toDateKey(seatingPlan.date)}  ${seatingPlan.startTime}-${seatingPlan.endTime}  |  ${chart.seats.length}/${chart.capacity} seats` +
+    (chart.invigilator ? `  |  Invigilator: ${chart.invigilator.firstName} ${chart.invigilator.lastName}` : ''),
+    { align: 'center' }
+  );
+  doc.moveDown();
+
+  // Seats as a grid, front of the room at the top
+  const cellWidth = usableWidth / chart.columns;
+  const cellHeight = 46;
+  let top = doc.y;
+
+  for (let row = 1; row <= chart.rows; row++) {
+    if (top + cellHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      top = doc.page.margins.top;
+    }
+
+    for (let column = 1; column <= chart.columns; column++) {
+      const x = left + (column - 1) * cellWidth;
+      const seat = chart.seats.find(entry => entry.row === row && entry.column === column);
+      doc.rect(x, top, cellWidth, cellHeight).stroke();
+      if (!seat) continue;
+
+      doc.font('Helvetica-Bold').fontSize(8)
+        .text(`${seat.seatNumber}  Roll ${seat.rollNumber || '-'}`, x + 3, top + 3, { width: cellWidth - 6, lineBreak: false, ellipsis: true });
+      doc.font('Helvetica').fontSize(8)
+        .text(seat.studentName, x + 3, top + 15, { width: cellWidth - 6, lineBreak: false, ellipsis: true })
+        .text(`${seat.class || ''} ${seat.paper ? `- ${seat.paper}` : ''}`, x + 3, top + 27, { width: cellWidth - 6, lineBreak: false, ellipsis: true });
+    }
+
+    top += cellHeight;
+  }
+};
+
+const drawAdmitCard = (doc, admitCard) => {
+  const { student, exams } = admitCard;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(SCHOOL_NAME, { align: 'center' });
+  doc.fontSize(13).text('Admit Card', { align: 'center' });
+  doc.moveDown();
+
+  doc.font('Helvetica').fontSize(11)
+    .text(`Name: ${student.name}`)
+    .text(`Admission No: ${student.admissionNumber || '-'}    Roll No: ${student.rollNumber || '-'}`)
+    .text(`Class: ${student.class || '-'}${student.section ? `    Section: ${student.section}` : ''}`);
+  doc.moveDown();
+
+  if (exams.length === 0) {
+    doc.text('No exams scheduled.');
+  } else {
+    drawTable(doc, [
+      { header: 'Date', width: 70 },
+      { header: 'Time', width: 75 },
+      { header: 'Paper', width: 170 },
+      { header: 'Code', width: 60 },
+      { header: 'Room', width: 80 },
+      { header: 'Seat', width: 60 }
+    ], exams.map(exam => [
+      toDateKey(exam.date),
+      `${exam.startTime}-${exam.endTime}`,
+      exam.subject || exam.name,
+      exam.subjectCode || '',
+      exam.room || '-',
+      exam.seatNumber || '-'
+    ]));
+  }
+
+  doc.moveDown(3);
+  doc.fontSize(10).text('Student signature', doc.page.margins.left, doc.y, { continued: true })
+    .text('Principal signature', { align: 'right' });
+};
+
+module.exports = {
+  getSeatingPlans,
+  getSeatingPlan,
+  createSeatingPlan,
+  deleteSeatingPlan,
+  getSeatingChart,
+  getStudentAdmitCard,
+  getClassAdmitCards
+};
@@ -0,0 +1,385 @@
+const { validationResult } = require('express-validator');
+const StaffAttendance = require('../models/StaffAttendance');
+const Teacher = require('../models/Teacher');
+const Session = require('../models/Session');
+
+// Minutes after the scheduled start before a check-in counts as late
+const LATE_GRACE_MINUTES = Number(process.env.STAFF_LATE_GRACE_MINUTES || 10);
+
+// @desc    Get staff attendance records
+// @route   GET /api/staff-attendance
+// @access  Private (Admin, Teacher-own)
+const getStaffAttendance = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      teacher,
+      date,
+      startDate,
+      endDate,
+      status
+    } = req.query;
+
+    let query = {};
+
+    // Teachers only see their own attendance
+    if (req.user.role === 'Teacher') {
+      query.user = req.user._id;
+    } else if (teacher) {
+      query.teacher = teacher;
+    }
+
+    if (status) query.status = status;
+
+    if (date) {
+      query.date = toDay(date);
+    } else if (startDate && endDate) {
+      query.date = {
+        $gte: toDay(startDate),
+        $lte: toDay(endDate)
+      };
+    }
+
+    const records = await StaffAttendance.find(query)
+      .populate({
+        path: 'teacher',
+        select: 'employeeId department designation',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .populate('markedBy', 'firstName lastName')
+      .sort({ date: -1, checkIn: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await StaffAttendance.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        attendance: records,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get staff attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching staff attendance'
+    });
+  }
+};
+
+// @desc    Check in for today
+// @route   POST /api/staff-attendance/check-in
+// @access  Private (Teacher)
+const checkIn = async (req, res) => {
+  try {
+    const teacher = await Teacher.findOne({ user: req.user._id });
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teacher profile not found'
+      });
+    }
+
+    const now = new Date();
+    const date = StaffAttendance.getToday();
+
+    const existing = await StaffAttendance.findOne({ teacher: teacher._id, date });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: existing.checkIn
+          ? `Already checked in today at ${existing.checkIn}`
+          : `Attendance for today is already recorded as ${existing.status}`
+      });
+    }
+
+    // Staff can only check in on working days of the session calendar
+    const session = await Session.findByDate(date);
+    const day = session ? session.getDayType(date) : null;
+    if (day && !day.isWorkingDay) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in on ${day.date}: ${day.event ? `${day.type} (${day.event.name})` : day.type.toLowerCase()}`,
+        data: { day }
+      });
+    }
+
+    const record = new StaffAttendance({
+      teacher: teacher._id,
+      user: req.user._id,
+      date,
+      status: 'Present',
+      checkIn: localTime(now),
+      source: 'Self',
+      markedBy: req.user._id,
+      session: session?._id
+    });
+    record.applySchedule(StaffAttendance.getSchedule(teacher, date), LATE_GRACE_MINUTES);
+    await record.save();
+
+    res.status(201).json({
+      success: true,
+      message: record.status === 'Late'
+        ? `Checked in ${record.lateByMinutes} minutes late`
+        : 'Checked in successfully',
+      data: { attendance: record }
+    });
+  } catch (error) {
+    console.error('Check in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking in'
+    });
+  }
+};
+
+// @desc    Check out for today
+// @route   POST /api/staff-attendance/check-out
+// @access  Private (Teacher)
+const checkOut = async (req, res) => {
+  try {
+    const teacher = await Teacher.findOne({ user: req.user._id });
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teacher profile not found'
+      });
+    }
+
+    const now = new Date();
+    const date = StaffAttendance.getToday();
+
+    const record = await StaffAttendance.findOne({ teacher: teacher._id, date });
+    if (!record || !record.checkIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have not checked in today'
+      });
+    }
+
+    if (record.checkOut) {
+      return res.status(400).json({
+        success: false,
+        message: `Already checked out today at ${record.checkOut}`
+      });
+    }
+
+    record.checkOut = localTime(now);
+    record.applySchedule(StaffAttendance.getSchedule(teacher, date), LATE_GRACE_MINUTES);
+    await record.save();
+
+    res.json({
+      success: true,
+      message: 'Checked out successfully',
+      data: { attendance: record }
+    });
+  } catch (error) {
+    console.error('Check out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking out'
+    });
+  }
+};
+
+// @desc    Record or correct a teacher's attendance for a day
+// @route   POST /api/staff-attendance
+// @access  Private (Admin)
+const markStaffAttendance = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { teacher: teacherId, date, status, checkIn: checkInTime, checkOut: checkOutTime, remarks } = req.body;
+
+    const teacher = await Teacher.findById(teacherId);
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teacher not found'
+      });
+    }
+
+    const day = toDay(date);
+    if (day > StaffAttendance.getToday()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot mark attendance for future dates'
+      });
+    }
+
+    if (['Present', 'Late', 'Half Day'].includes(status) && !checkInTime) {
+      return res.status(400).json({
+        success: false,
+        message: `Check-in time is required for ${status}`
+      });
+    }
+
+    const session = await Session.findByDate(day);
+    const record = await StaffAttendance.findOne({ teacher: teacher._id, date: day }) ||
+      new StaffAttendance({ teacher: teacher._id, user: teacher.user, date: day });
+
+    record.status = status || 'Present';
+    if (checkInTime !== undefined) record.checkIn = checkInTime;
+    if (checkOutTime !== undefined) record.checkOut = checkOutTime;
+    if (['Absent', 'On Leave'].includes(record.status)) {
+      record.checkIn = undefined;
+      record.checkOut = undefined;
+    }
+    if (remarks !== undefined) record.remarks = remarks;
+    record.source = 'Admin';
+    record.markedBy = req.user._id;
+    record.session = session?._id;
+
+    record.applySchedule(StaffAttendance.getSchedule(teacher, day), LATE_GRACE_MINUTES);
+
+    // An explicit half day stands even if the times alone would not make it one
+    if (status === 'Half Day') record.status = 'Half Day';
+
+    await record.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff attendance recorded successfully',
+      data: { attendance: record }
+    });
+  } catch (error) {
+    console.error('Mark staff attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording staff attendance'
+    });
+  }
+};
+
+// @desc    Get monthly staff attendance report
+// @route   GET /api/staff-attendance/report/monthly
+// @access  Private (Admin)
+const getMonthlyStaffReport = async (req, res) => {
+  try {
+    const { month = StaffAttendance.getToday().toISOString().slice(0, 7), department } = req.query;
+
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const start = toDay(`${month}-01`);
+    const end = new Date(start);
+    end.setUTCMonth(end.getUTCMonth() + 1);
+    end.setUTCDate(0);
+
+    // Working days of the month so far, from the session calendar
+    const today = StaffAttendance.getToday();
+    const session = await Session.findByDate(start) || await Session.findByDate(end);
+    const lastDay = end < today ? end : today;
+    const workingDates = session && start <= lastDay ? session.getWorkingDates(start, lastDay) : [];
+
+    const teachers = await Teacher.find({
+      status: { $ne: 'Terminated' },
+      ...(department && { department })
+    })
+      .populate('user', 'firstName lastName')
+      .select('employeeId department designation user joiningDate')
+      .sort({ employeeId: 1 });
+
+    const records = await StaffAttendance.find({
+      teacher: { $in: teachers.map(teacher => teacher._id) },
+      date: { $gte: start, $lte: end }
+    }).select('teacher date status lateByMinutes earlyLeaveMinutes workedMinutes');
+
+    const recordsByTeacher = new Map();
+    records.forEach(record => {
+      const key = record.teacher.toString();
+      if (!recordsByTeacher.has(key)) recordsByTeacher.set(key, []);
+      recordsByTeacher.get(key).push(record);
+    });
+
+    const staff = teachers.map(teacher => {
+      const teacherRecords = recordsByTeacher.get(teacher._id.toString()) || [];
+      const count = (status) => teacherRecords.filter(record => record.status === status).length;
+      const markedDates = new Set(teacherRecords.map(record => record.date.toISOString().slice(0, 10)));
+
+      // Days before joining are not expected
+      const joined = teacher.joiningDate ? teacher.joiningDate.toISOString().slice(0, 10) : null;
+      const expectedDates = workingDates.filter(day => !joined || day >= joined);
+      const attended = count('Present') + count('Late') + count('Half Day') * 0.5;
+      const countedDays = new Set([...expectedDates, ...markedDates]).size;
+
+      return {
+        teacher: {
+          _id: teacher._id,
+          employeeId: teacher.employeeId,
+          name: teacher.user ? `${teacher.user.firstName} ${teacher.user.lastName}` : '',
+          department: teacher.department,
+          designation: teacher.designation
+        },
+        workingDays: expectedDates.length,
+        present: count('Present'),
+        late: count('Late'),
+        halfDay: count('Half Day'),
+        absent: count('Absent'),
+        onLeave: count('On Leave'),
+        unmarkedDays: expectedDates.filter(day => !markedDates.has(day)).length,
+        totalLateMinutes: teacherRecords.reduce((sum, record) => sum + record.lateByMinutes, 0),
+        totalEarlyLeaveMinutes: teacherRecords.reduce((sum, record) => sum + record.earlyLeaveMinutes, 0),
+        totalWorkedHours: Math.round(teacherRecords.reduce((sum, record) => sum + record.workedMinutes, 0) / 6) / 10,
+        attendancePercentage: countedDays > 0 ? Math.round((attended / countedDays) * 100) : 0
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        month,
+        workingDays: workingDates.length,
+        summary: {
+          totalStaff: staff.length,
+          averageAttendance: staff.length > 0
+            ? Math.round(staff.reduce((sum, row) => sum + row.attendancePercentage, 0) / staff.length)
+            : 0,
+          lateArrivals: staff.reduce((sum, row) => sum + row.late, 0)
+        },
+        staff
+      }
+    });
+  } catch (error) {
+    console.error('Get monthly staff report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating staff attendance report'
+    });
+  }
+};
+
+// Helper functions
+const toDay = (date) => new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+// Check-in and check-out use the server's local clock
+const localTime = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+module.exports = {
+  getStaffAttendance,
+  checkIn,
+  checkOut,
+  markStaffAttendance,
+  getMonthlyStaffReport
+};
@@ -300,6 +300,8 @@ const updateStudent = async (req, res) => {
       caste,
       category,
       status,
+      leavingDate,
+      deviceId,
       // Parent details
       parentId,
       // Emergency contact
@@ -329,6 +331,14 @@ const updateStudent = async (req, res) => {
       updatedBy: req.user._id
     });
 
+    // Record when a student leaves, so attendance registers stop expecting them after that day
+    let leaving = leavingDate;
+    if (status === 'Active') {
+      leaving = null;
+    } else if (status && student.status === 'Active' && !leavingDate) {
+      leaving = new Date();
+    }
+
     // Update student details
     const updatedStudent = await Student.findByIdAndUpdate(
       req.params.id,
@@ -341,6 +351,10 @@ const updateStudent = async (req, res) => {
         caste,
         category,
         status,
+        ...(leaving !== undefined && { leavingDate: leaving }),
+        ...(deviceId && { deviceId }),
+        // An empty or null device ID clears it
+        ...((deviceId === '' || deviceId === null) && { $unset: { deviceId: 1 } }),
         parent: parentId,
         emergencyContact: {
           name: emergencyContactName,
@@ -0,0 +1,226 @@
+const { validationResult } = require('express-validator');
+const Exam = require('../models/Exam');
+const ExamMark = require('../models/ExamMark');
+const GradingScheme = require('../models/GradingScheme');
+
+// @desc    Get students eligible for a supplementary exam
+// @route   GET /api/exams/:id/supplementary/eligible
+// @access  Private (Admin, Teacher-own)
+const getSupplementaryEligibility = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id)
+      .populate('class', 'name grade')
+      .populate('subject', 'name code');
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role === 'Teacher' && exam.teacher?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view eligibility for your own exams.'
+      });
+    }
+
+    const { eligible, supplementaryExams } = await loadEligibility(exam);
+
+    res.json({
+      success: true,
+      data: {
+        exam,
+        eligible,
+        supplementaryExams,
+        summary: {
+          failed: eligible.filter(row => !row.isAbsent).length,
+          absent: eligible.filter(row => row.isAbsent).length,
+          scheduled: eligible.filter(row => row.supplementaryExam).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get supplementary eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching supplementary eligibility'
+    });
+  }
+};
+
+// @desc    Schedule a supplementary exam for failed and absent students
+// @route   POST /api/exams/:id/supplementary
+// @access  Private (Admin)
+const createSupplementaryExam = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const original = await Exam.findById(req.params.id).populate('examType', 'name');
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    // Eligibility is only final once the original marks are moderated
+    if (!['Approved', 'Locked'].includes(original.marksStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Marks of the original exam must be approved before scheduling a supplementary exam'
+      });
+    }
+
+    const {
+      name,
+      date,
+      startTime,
+      endTime,
+      room,
+      invigilator,
+      teacher,
+      students,
+      policy = {}
+    } = req.body;
+
+    const { eligible } = await loadEligibility(original);
+    const available = eligible.filter(row => !row.supplementaryExam);
+    const availableIds = new Set(available.map(row => row.student._id.toString()));
+
+    // Default to every eligible student not already scheduled for a supplementary exam
+    const candidates = students || [...availableIds];
+    const invalid = candidates.filter(studentId => !availableIds.has(studentId.toString()));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalid.length} student(s) are not eligible or already scheduled for a supplementary exam`,
+        errors: invalid.map(student => ({ student }))
+      });
+    }
+
+    if (candidates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No eligible students to schedule'
+      });
+    }
+
+    const mode = policy.mode || 'Replace';
+    if (mode === 'Cap') {
+      const scheme = await GradingScheme.resolve({
+        session: original.session,
+        class: original.class,
+        examType: original.examType._id
+      });
+      if (!policy.capGrade || !GradingScheme.bandByLabel(scheme, policy.capGrade)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cap grade must be a grade of the grading scheme that applies to this exam'
+        });
+      }
+    }
+
+    const startMinutes = toMinutes(startTime);
+    const endMinutes = toMinutes(endTime);
+    if (endMinutes <= startMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    const exam = await Exam.create({
+      name: name || `${original.name} (Supplementary)`,
+      examType: original.examType._id,
+      class: original.class,
+      section: original.section,
+      subject: original.subject,
+      teacher: teacher || original.teacher,
+      invigilator,
+      room,
+      date: new Date(date),
+      startTime,
+      endTime,
+      duration: endMinutes - startMinutes,
+      totalMarks: original.totalMarks,
+      passingMarks: original.passingMarks,
+      isSupplementary: true,
+      originalExam: original._id,
+      candidates,
+      supplementaryPolicy: {
+        mode,
+        capGrade: mode === 'Cap' ? policy.capGrade : undefined
+      },
+      session: original.session,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplementary exam scheduled successfully',
+      data: { exam }
+    });
+  } catch (error) {
+    console.error('Create supplementary exam error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while scheduling supplementary exam'
+    });
+  }
+};
+
+// Helper functions
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Failed and absent marks of an exam, each with the supplementary exam the student is already scheduled for
+const loadEligibility = async (exam) => {
+  const [marks, supplementaryExams] = await Promise.all([
+    ExamMark.find({ exam: exam._id, isPassed: false })
+      .populate({
+        path: 'student',
+        select: 'admissionNumber rollNumber status',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .sort({ marksObtained: 1 }),
+    Exam.find({ originalExam: exam._id, status: { $ne: 'Cancelled' } })
+      .select('name date startTime endTime candidates supplementaryPolicy marksStatus')
+  ]);
+
+  const scheduledIn = new Map();
+  supplementaryExams.forEach(supplementary => {
+    supplementary.candidates.forEach(studentId => scheduledIn.set(studentId.toString(), supplementary._id));
+  });
+
+  const eligible = marks
+    .filter(mark => mark.student && mark.student.status === 'Active')
+    .map(mark => ({
+      student: mark.student,
+      mark: mark._id,
+      marksObtained: mark.marksObtained,
+      percentage: mark.percentage,
+      grade: mark.grade,
+      isAbsent: mark.isAbsent,
+      supplementaryExam: scheduledIn.get(mark.student._id.toString()) || null
+    }));
+
+  return { eligible, supplementaryExams };
+};
+
+module.exports = {
+  getSupplementaryEligibility,
+  createSupplementaryExam
+};
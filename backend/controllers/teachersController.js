@@ -3,6 +3,7 @@ const Teacher = require('../models/Teacher');
 const User = require('../models/User');
 const Class = require('../models/Class');
 const Subject = require('../models/Subject');
+const StaffAttendance = require('../models/StaffAttendance');
 const mongoose = require('mongoose');
 
 // @desc    Get all teachers
@@ -281,7 +282,9 @@ const updateTeacher = async (req, res) => {
       salary,
       workingHours,
       emergencyContact,
-      status
+      isHeadOfDepartment,
+      status,
+      deviceId
     } = req.body;
 
     // Update user record
@@ -311,7 +314,10 @@ const updateTeacher = async (req, res) => {
     if (salary) teacherUpdateData.salary = salary;
     if (workingHours) teacherUpdateData.workingHours = workingHours;
     if (emergencyContact) teacherUpdateData.emergencyContact = emergencyContact;
+    if (isHeadOfDepartment !== undefined) teacherUpdateData.isHeadOfDepartment = isHeadOfDepartment;
     if (status) teacherUpdateData.status = status;
+    if (deviceId) teacherUpdateData.deviceId = deviceId;
+    else if (deviceId === '' || deviceId === null) teacherUpdateData.$unset = { deviceId: 1 };
     teacherUpdateData.updatedBy = req.user._id;
 
     const updatedTeacher = await Teacher.findByIdAndUpdate(
@@ -552,12 +558,24 @@ const getTeacherStats = async (req, res) => {
       terminated: stats.find(s => s._id === 'Terminated')?.count || 0
     };
 
+    // Staff attendance today and so far this month
+    const today = StaffAttendance.getToday();
+    const monthStart = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+    const [attendanceToday, attendanceThisMonth] = await Promise.all([
+      StaffAttendance.getDaySummary(today),
+      StaffAttendance.getStatusCounts({ date: { $gte: monthStart, $lte: today } })
+    ]);
+
     res.json({
       success: true,
       data: {
         summary,
         statusWise: stats,
-        departmentWise: departmentStats
+        departmentWise: departmentStats,
+        attendance: {
+          today: attendanceToday,
+          thisMonth: attendanceThisMonth
+        }
       }
     });
   } catch (error) {
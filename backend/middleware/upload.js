@@ -16,10 +16,12 @@ const storage = multer.diskStorage({
     // Create subdirectories based on file type
     if (file.fieldname === 'profileImage') {
       uploadPath = path.join(uploadDir, 'profiles');
-    } else if (file.fieldname === 'document') {
+    } else if (file.fieldname === 'document' || file.fieldname === 'medicalDocument') {
       uploadPath = path.join(uploadDir, 'documents');
     } else if (file.fieldname === 'studyMaterial') {
       uploadPath = path.join(uploadDir, 'study-materials');
+    } else if (file.fieldname === 'punchLog') {
+      uploadPath = path.join(uploadDir, 'imports');
     }
     
     // Ensure directory exists
@@ -38,12 +40,26 @@ const storage = multer.diskStorage({
   }
 });
 
+// Punch logs are plain text, but terminals and browsers label them with varied MIME types,
+// so both the extension and the MIME type must be on these lists
+const PUNCH_LOG_EXTENSIONS = ['.csv', '.txt', '.dat', '.log'];
+const PUNCH_LOG_MIME_TYPES = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel', 'application/octet-stream'];
+
 // File filter
 const fileFilter = (req, file, cb) => {
+  if (file.fieldname === 'punchLog') {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (PUNCH_LOG_EXTENSIONS.includes(extension) && PUNCH_LOG_MIME_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    return cb(new Error(`Invalid file type for punchLog. Allowed types: ${PUNCH_LOG_EXTENSIONS.join(', ')}`));
+  }
+
   // Define allowed file types
   const allowedTypes = {
     profileImage: /jpeg|jpg|png|gif/,
     document: /pdf|doc|docx|txt/,
+    medicalDocument: /pdf|jpeg|jpg|png/,
     studyMaterial: /pdf|doc|docx|ppt|pptx|txt|jpeg|jpg|png/
   };
   
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const absenceAlertSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Parent is required']
+  },
+  // Day the alert covers; all of a student's absences that day go into one alert
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  entries: [{
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance',
+      required: true
+    },
+    // Any attendance status can alert, as set by ABSENCE_ALERT_STATUSES
+    status: {
+      type: String,
+      enum: ['Present', 'Absent', 'Late', 'Excused'],
+      required: true
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject'
+    },
+    period: Number
+  }],
+  status: {
+    type: String,
+    enum: ['Pending', 'Sent', 'Failed', 'Cancelled'],
+    default: 'Pending'
+  },
+  // Held back until the batching window closes and outside quiet hours
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  sentAt: {
+    type: Date
+  },
+  consecutiveAbsences: {
+    type: Number,
+    default: 0
+  },
+  isEscalated: {
+    type: Boolean,
+    default: false
+  },
+  deliveries: [{
+    channel: {
+      type: String,
+      enum: ['Message', 'Email', 'SMS'],
+      required: true
+    },
+    recipient: String,
+    status: {
+      type: String,
+      enum: ['Sent', 'Failed', 'Skipped'],
+      required: true
+    },
+    error: String,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One alert per student per day
+absenceAlertSchema.index({ student: 1, date: 1 }, { unique: true });
+absenceAlertSchema.index({ status: 1, scheduledFor: 1 });
+absenceAlertSchema.index({ parent: 1, date: -1 });
+
+module.exports = mongoose.model('AbsenceAlert', absenceAlertSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Hours after marking during which teachers may still change a record
+const EDIT_WINDOW_HOURS = Number(process.env.ATTENDANCE_EDIT_WINDOW_HOURS || 48);
+
 const attendanceSchema = new mongoose.Schema({
   student: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,6 +18,15 @@ const attendanceSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Section'
   },
+  // Subject and period are set for period-wise attendance; daily attendance leaves both empty
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  },
+  period: {
+    type: Number,
+    min: [1, 'Period must be at least 1']
+  },
   date: {
     type: Date,
     required: [true, 'Date is required']
@@ -37,6 +49,12 @@ const attendanceSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Remarks cannot exceed 200 characters']
   },
+  // Manual records are marked by staff; Device records come from punch log imports
+  source: {
+    type: String,
+    enum: ['Manual', 'Device'],
+    default: 'Manual'
+  },
   markedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -53,6 +71,32 @@ const attendanceSchema = new mongoose.Schema({
   modifiedAt: {
     type: Date
   },
+  changeHistory: [{
+    field: {
+      type: String,
+      enum: ['status', 'remarks']
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // Set when an admin changed the record after the edit window closed
+    isOverride: {
+      type: Boolean,
+      default: false
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   session: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Session',
@@ -62,11 +106,20 @@ const attendanceSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index for unique attendance per student per date
-attendanceSchema.index({ student: 1, date: 1 }, { unique: true });
+// Compound index for unique attendance per student per date, and per subject period within the day
+attendanceSchema.index({ student: 1, date: 1, subject: 1, period: 1 }, { unique: true });
+attendanceSchema.index({ student: 1, subject: 1, date: 1 });
 attendanceSchema.index({ class: 1, section: 1, date: 1 });
 attendanceSchema.index({ date: 1, status: 1 });
 attendanceSchema.index({ session: 1 });
+attendanceSchema.index({ 'changeHistory.changedAt': 1 });
+
+// Indexes of earlier versions that reject records the current schema allows. Mongoose creates
+// new indexes but never drops old ones, so these are dropped at startup.
+const LEGACY_INDEXES = [
+  // One record per student per day, from before period-wise attendance
+  'student_1_date_1'
+];
 
 // Pre-save middleware to set modification fields
 attendanceSchema.pre('save', function(next) {
@@ -76,6 +129,75 @@ attendanceSchema.pre('save', function(next) {
   next();
 });
 
+// Method to get when the record locks for teachers
+attendanceSchema.methods.getLockTime = function() {
+  return new Date(new Date(this.markedAt || this.createdAt).getTime() + EDIT_WINDOW_HOURS * 60 * 60 * 1000);
+};
+
+// Method to check whether the edit window has closed
+attendanceSchema.methods.isLocked = function(now = new Date()) {
+  return this.getLockTime() <= now;
+};
+
+// Method to apply edited values, recording each changed field in the change history
+attendanceSchema.methods.applyChanges = function(values, userId, reason, isOverride = false) {
+  const changedAt = new Date();
+  let changed = false;
+
+  ['status', 'remarks'].forEach(field => {
+    if (values[field] === undefined) return;
+
+    const oldValue = this[field];
+    const newValue = values[field];
+    if (oldValue === newValue || (oldValue == null && newValue === '')) return;
+
+    this.changeHistory.push({ field, oldValue, newValue, reason, isOverride, changedBy: userId, changedAt });
+    this[field] = newValue;
+    changed = true;
+  });
+
+  if (changed) {
+    this.modifiedBy = userId;
+    this.modifiedAt = changedAt;
+  }
+
+  return changed;
+};
+
+// Static method to restrict a query to daily attendance, leaving out period-wise records
+attendanceSchema.statics.dailyQuery = function(query = {}) {
+  return { ...query, subject: null };
+};
+
+// Static method to get period-wise attendance percentages per student and subject.
+// Late and excused periods count as attended.
+attendanceSchema.statics.getSubjectWiseSummary = async function(query) {
+  const rows = await this.aggregate([
+    { $match: { ...query, subject: { $ne: null } } },
+    {
+      $group: {
+        _id: { student: '$student', subject: '$subject' },
+        total: { $sum: 1 },
+        present: { $sum: { $cond: [{ $eq: ['$status', 'Present'] }, 1, 0] } },
+        absent: { $sum: { $cond: [{ $eq: ['$status', 'Absent'] }, 1, 0] } },
+        late: { $sum: { $cond: [{ $eq: ['$status', 'Late'] }, 1, 0] } },
+        excused: { $sum: { $cond: [{ $eq: ['$status', 'Excused'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return rows.map(row => ({
+    student: row._id.student,
+    subject: row._id.subject,
+    total: row.total,
+    present: row.present,
+    absent: row.absent,
+    late: row.late,
+    excused: row.excused,
+    percentage: Math.round(((row.present + row.late + row.excused) / row.total) * 100)
+  }));
+};
+
 // Static method to get attendance by class and date range
 attendanceSchema.statics.getByClassAndDateRange = function(classId, sectionId, startDate, endDate) {
   const query = {
@@ -102,12 +224,34 @@ attendanceSchema.statics.getByClassAndDateRange = function(classId, sectionId, s
     .sort({ date: -1, 'student.rollNumber': 1 });
 };
 
-// Static method to get student attendance summary
+// Static method to list the dates (YYYY-MM-DD) a student was expected to attend:
+// the session calendar's working days from admission up to today
+attendanceSchema.statics.getExpectedDates = async function(studentId, sessionId, startDate, endDate) {
+  const [session, student] = await Promise.all([
+    mongoose.model('Session').findById(sessionId),
+    mongoose.model('Student').findById(studentId).select('admissionDate')
+  ]);
+
+  if (!session) return [];
+
+  const from = new Date(Math.max(
+    new Date(startDate || session.startDate),
+    new Date(student?.admissionDate || session.startDate)
+  ));
+  const to = new Date(Math.min(new Date(endDate || session.endDate), new Date()));
+
+  if (toDateKey(from) > toDateKey(to)) return [];
+
+  return session.getWorkingDates(from, to);
+};
+
+// Static method to get student attendance summary.
+// The percentage is over the calendar's working days, so days nobody marked count against it.
 attendanceSchema.statics.getStudentSummary = async function(studentId, startDate, endDate, sessionId) {
-  const query = {
+  const query = this.dailyQuery({
     student: studentId,
     session: sessionId
-  };
+  });
   
   if (startDate && endDate) {
     query.date = {
@@ -116,33 +260,34 @@ attendanceSchema.statics.getStudentSummary = async function(studentId, startDate
     };
   }
   
-  const summary = await this.aggregate([
-    { $match: query },
-    {
-      $group: {
-        _id: '$status',
-        count: { $sum: 1 }
-      }
-    }
+  const [records, expectedDates] = await Promise.all([
+    this.find(query).select('date status'),
+    this.getExpectedDates(studentId, sessionId, startDate, endDate)
   ]);
   
-  const totalDays = await this.countDocuments(query);
+  const markedDates = new Set(records.map(record => toDateKey(record.date)));
+  const unmarkedDates = expectedDates.filter(date => !markedDates.has(date));
   
   const result = {
-    totalDays,
+    totalDays: records.length,
+    workingDays: expectedDates.length,
     present: 0,
     absent: 0,
     late: 0,
     excused: 0,
+    unmarkedDays: unmarkedDates.length,
+    unmarkedDates,
     attendancePercentage: 0
   };
   
-  summary.forEach(item => {
-    result[item._id.toLowerCase()] = item.count;
+  records.forEach(record => {
+    result[record.status.toLowerCase()]++;
   });
   
-  if (totalDays > 0) {
-    result.attendancePercentage = Math.round((result.present / totalDays) * 100);
+  // Days marked outside the calendar (e.g. before a holiday was added) still count
+  const countedDays = new Set([...expectedDates, ...markedDates]).size;
+  if (countedDays > 0) {
+    result.attendancePercentage = Math.round((result.present / countedDays) * 100);
   }
   
   return result;
@@ -150,11 +295,11 @@ attendanceSchema.statics.getStudentSummary = async function(studentId, startDate
 
 // Static method to get class attendance summary for a date
 attendanceSchema.statics.getClassSummaryByDate = async function(classId, sectionId, date, sessionId) {
-  const query = {
+  const query = this.dailyQuery({
     class: classId,
     date: date,
     session: sessionId
-  };
+  });
   
   if (sectionId) {
     query.section = sectionId;
@@ -192,28 +337,37 @@ attendanceSchema.statics.getClassSummaryByDate = async function(classId, section
   return result;
 };
 
-// Static method to mark bulk attendance
+// Static method to mark bulk attendance. Records are matched on the unique index
+// (student, day, subject, period), with dates kept at UTC midnight.
 attendanceSchema.statics.markBulkAttendance = async function(attendanceData, markedBy, sessionId) {
   const operations = attendanceData.map(data => ({
     updateOne: {
       filter: {
         student: data.studentId,
-        date: data.date,
-        session: sessionId
+        date: toDay(data.date),
+        subject: data.subjectId || null,
+        period: data.period || null
       },
       update: {
         $set: {
+          session: sessionId,
           class: data.classId,
           section: data.sectionId,
           status: data.status,
           timeIn: data.timeIn,
           timeOut: data.timeOut,
           remarks: data.remarks,
-          markedBy: markedBy,
-          markedAt: new Date(),
+          source: data.source || 'Manual',
           modifiedBy: markedBy,
           modifiedAt: new Date()
-        }
+        },
+        // Who first marked the record, and when its edit window started, stay as they were
+        $setOnInsert: {
+          markedBy: markedBy,
+          markedAt: new Date()
+        },
+        // Overwriting an existing record keeps its change history
+        ...(data.change && { $push: { changeHistory: data.change } })
       },
       upsert: true
     }
@@ -222,4 +376,31 @@ attendanceSchema.statics.markBulkAttendance = async function(attendanceData, mar
   return await this.bulkWrite(operations);
 };
 
+function toDateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function toDay(date) {
+  return new Date(`${toDateKey(date)}T00:00:00.000Z`);
+}
+
+// Static method to drop legacy indexes still present on the collection; returns their names
+attendanceSchema.statics.dropLegacyIndexes = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // A database without attendance yet has nothing to drop
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  }
+
+  const legacy = indexes.map(index => index.name).filter(name => LEGACY_INDEXES.includes(name));
+  for (const name of legacy) {
+    await this.collection.dropIndex(name);
+  }
+
+  return legacy;
+};
+
 module.exports = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Outcome of one offline attendance change, kept so a resubmitted change gets the same answer
+const attendanceSyncReceiptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    trim: true,
+    maxlength: [100, 'Device ID cannot exceed 100 characters']
+  },
+  // ID the client gave the change; unique per user and device
+  changeId: {
+    type: String,
+    required: [true, 'Change ID is required'],
+    trim: true,
+    maxlength: [100, 'Change ID cannot exceed 100 characters']
+  },
+  outcome: {
+    type: String,
+    enum: ['Applied', 'Unchanged', 'Superseded'],
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  date: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['Present', 'Absent', 'Late', 'Excused']
+  },
+  // When the teacher made the change on the device
+  clientChangedAt: {
+    type: Date
+  },
+  // Set when the change replaced another user's edit under the sync's conflict strategy
+  resolvedConflict: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+attendanceSyncReceiptSchema.index({ user: 1, deviceId: 1, changeId: 1 }, { unique: true });
+attendanceSyncReceiptSchema.index({ attendance: 1 });
+
+module.exports = mongoose.model('AttendanceSyncReceipt', attendanceSyncReceiptSchema);
@@ -30,6 +30,10 @@ const examSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  invigilator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   date: {
     type: Date,
     required: [true, 'Exam date is required']
@@ -78,6 +82,105 @@ const examSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Question paper structure for question-level marks; maxMarks must add up to totalMarks
+  questions: [{
+    _id: false,
+    number: {
+      type: String,
+      required: [true, 'Question number is required'],
+      trim: true,
+      maxlength: [20, 'Question number cannot exceed 20 characters']
+    },
+    section: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Section cannot exceed 50 characters']
+    },
+    maxMarks: {
+      type: Number,
+      required: [true, 'Question max marks is required'],
+      min: [0.5, 'Question max marks must be at least 0.5']
+    },
+    learningOutcomes: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Learning outcome cannot exceed 100 characters']
+    }]
+  }],
+  // Supplementary (re-exam) papers retake an earlier exam for the students who failed or were absent
+  isSupplementary: {
+    type: Boolean,
+    default: false
+  },
+  originalExam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam'
+  },
+  candidates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  // How the re-exam score counts: Replace the original, take the Best of both,
+  // or replace it but Cap the result at capGrade
+  supplementaryPolicy: {
+    mode: {
+      type: String,
+      enum: ['Replace', 'Best', 'Cap'],
+      default: 'Replace'
+    },
+    capGrade: {
+      type: String,
+      trim: true
+    }
+  },
+  // Result publication; students and parents see marks once resultsPublishedAt has passed,
+  // so a future resultsPublishedAt schedules the publication
+  resultsPublished: {
+    type: Boolean,
+    default: false
+  },
+  resultsPublishedAt: {
+    type: Date
+  },
+  resultsPublishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resultsWithdrawnAt: {
+    type: Date
+  },
+  resultsWithdrawnBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resultsWithdrawalReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Withdrawal reason cannot exceed 500 characters']
+  },
+  // Mark moderation workflow: Draft -> Submitted -> Approved -> Locked
+  marksStatus: {
+    type: String,
+    enum: ['Draft', 'Submitted', 'Approved', 'Locked'],
+    default: 'Draft'
+  },
+  marksStatusHistory: [{
+    from: String,
+    to: String,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   session: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Session',
@@ -105,32 +208,178 @@ examSchema.virtual('examMarks', {
   foreignField: 'exam'
 });
 
-// Validate passing marks is less than total marks
-examSchema.pre('save', function(next) {
-  if (this.passingMarks >= this.totalMarks) {
-    next(new Error('Passing marks must be less than total marks'));
-  }
-  next();
+// Virtual for whether results are visible to students and parents
+examSchema.virtual('resultsVisible').get(function() {
+  return !!this.resultsPublished && !!this.resultsPublishedAt && this.resultsPublishedAt <= new Date();
 });
 
-// Validate end time is after start time
+// Validate marks, questions and times before saving
 examSchema.pre('save', function(next) {
-  const startMinutes = this.startTime.split(':').reduce((acc, time) => (60 * acc) + +time);
-  const endMinutes = this.endTime.split(':').reduce((acc, time) => (60 * acc) + +time);
-  
-  if (endMinutes <= startMinutes) {
-    next(new Error('End time must be after start time'));
-  }
-  next();
+  const error = this.getRuleError();
+  next(error ? new Error(error) : undefined);
 });
 
 // Indexes
 examSchema.index({ class: 1, section: 1, date: 1 });
 examSchema.index({ subject: 1, date: 1 });
 examSchema.index({ teacher: 1, date: 1 });
+examSchema.index({ invigilator: 1, date: 1 });
+examSchema.index({ room: 1, date: 1 });
 examSchema.index({ status: 1 });
+examSchema.index({ resultsPublished: 1, resultsPublishedAt: 1 });
+examSchema.index({ originalExam: 1 });
 examSchema.index({ session: 1 });
 
+// Method to check the rules schema validation does not cover: passing marks below the total,
+// unique questions whose max marks add up to the total, and an end time after the start time.
+// Returns the first problem found, or null.
+examSchema.methods.getRuleError = function() {
+  if (this.passingMarks >= this.totalMarks) {
+    return 'Passing marks must be less than total marks';
+  }
+
+  if (this.questions.length > 0) {
+    const numbers = new Set(this.questions.map(question => question.number.toLowerCase()));
+    if (numbers.size !== this.questions.length) {
+      return 'Question numbers must be unique';
+    }
+
+    const questionTotal = this.questions.reduce((sum, question) => sum + question.maxMarks, 0);
+    if (Math.abs(questionTotal - this.totalMarks) > 0.001) {
+      return `Question max marks add up to ${questionTotal}, but the exam total is ${this.totalMarks}`;
+    }
+  }
+
+  const startMinutes = this.startTime.split(':').reduce((acc, time) => (60 * acc) + +time);
+  const endMinutes = this.endTime.split(':').reduce((acc, time) => (60 * acc) + +time);
+  if (endMinutes <= startMinutes) {
+    return 'End time must be after start time';
+  }
+
+  return null;
+};
+
+// Method to move marks to another workflow state and record the transition
+examSchema.methods.setMarksStatus = function(status, userId, reason) {
+  this.marksStatusHistory.push({
+    from: this.marksStatus,
+    to: status,
+    reason,
+    changedBy: userId,
+    changedAt: new Date()
+  });
+  this.marksStatus = status;
+  this.updatedBy = userId;
+  return this.save();
+};
+
+// Method to get the student query for the exam's roster; supplementary exams only seat their candidates
+examSchema.methods.getRosterQuery = function() {
+  if (this.isSupplementary) {
+    return { _id: { $in: this.candidates }, status: 'Active' };
+  }
+
+  return {
+    class: this.class,
+    ...(this.section && { section: this.section }),
+    status: 'Active'
+  };
+};
+
+// Method to count students on the exam's roster who have no marks entered
+examSchema.methods.countMissingMarks = async function() {
+  const Student = mongoose.model('Student');
+  const ExamMark = mongoose.model('ExamMark');
+
+  const students = await Student.find(this.getRosterQuery()).select('_id');
+
+  const entered = await ExamMark.countDocuments({
+    exam: this._id,
+    student: { $in: students.map(student => student._id) }
+  });
+
+  return students.length - entered;
+};
+
+// Method to run item analysis over marks entered per question.
+// Difficulty is the average share of marks scored (higher is easier); discrimination compares
+// the upper and lower 27% of students by total score (higher separates them better).
+examSchema.methods.analyseQuestions = function(marks, weakThreshold = 50) {
+  const scored = marks.filter(mark => !mark.isAbsent && mark.questionMarks && mark.questionMarks.length > 0);
+  const byTotal = [...scored].sort((a, b) => b.marksObtained - a.marksObtained);
+  const groupSize = Math.max(1, Math.round(byTotal.length * 0.27));
+  const upper = byTotal.slice(0, groupSize);
+  const lower = byTotal.slice(-groupSize);
+
+  const scoreOn = (mark, number) => {
+    const entry = mark.questionMarks.find(item => item.question === number);
+    return entry ? entry.marksObtained : 0;
+  };
+  const averageOn = (group, number) => group.length > 0
+    ? group.reduce((sum, mark) => sum + scoreOn(mark, number), 0) / group.length
+    : 0;
+
+  const questions = this.questions.map(question => {
+    const average = averageOn(scored, question.number);
+    const difficultyIndex = question.maxMarks > 0 ? average / question.maxMarks : 0;
+    const discriminationIndex = byTotal.length > 1 && question.maxMarks > 0
+      ? (averageOn(upper, question.number) - averageOn(lower, question.number)) / question.maxMarks
+      : null;
+
+    return {
+      number: question.number,
+      section: question.section,
+      maxMarks: question.maxMarks,
+      learningOutcomes: question.learningOutcomes,
+      average: round(average),
+      averagePercentage: round(difficultyIndex * 100),
+      difficultyIndex: round(difficultyIndex),
+      difficulty: difficultyLabel(difficultyIndex),
+      discriminationIndex: discriminationIndex === null ? null : round(discriminationIndex),
+      discrimination: discriminationIndex === null ? null : discriminationLabel(discriminationIndex)
+    };
+  });
+
+  // Pool every question tagged with an outcome, weighted by its max marks
+  const outcomes = new Map();
+  questions.forEach(question => {
+    question.learningOutcomes.forEach(outcome => {
+      const entry = outcomes.get(outcome) || { outcome, questions: [], maxMarks: 0, averageMarks: 0 };
+      entry.questions.push(question.number);
+      entry.maxMarks += question.maxMarks;
+      entry.averageMarks += question.average;
+      outcomes.set(outcome, entry);
+    });
+  });
+
+  const learningOutcomes = [...outcomes.values()].map(entry => {
+    const averagePercentage = entry.maxMarks > 0 ? (entry.averageMarks / entry.maxMarks) * 100 : 0;
+    return {
+      outcome: entry.outcome,
+      questions: entry.questions,
+      averagePercentage: round(averagePercentage),
+      isWeak: averagePercentage < weakThreshold
+    };
+  }).sort((a, b) => a.averagePercentage - b.averagePercentage);
+
+  return {
+    studentsAnalysed: scored.length,
+    groupSize: byTotal.length > 1 ? groupSize : 0,
+    questions,
+    learningOutcomes,
+    weakOutcomes: learningOutcomes.filter(outcome => outcome.isWeak).map(outcome => outcome.outcome)
+  };
+};
+
+// Static method to get the IDs of exams whose results are visible to students and parents
+examSchema.statics.getPublishedExamIds = function(query = {}) {
+  return this.distinct('_id', {
+    ...query,
+    resultsPublished: true,
+    resultsPublishedAt: { $lte: new Date() }
+  });
+};
+
 // Static method to get exams by class and date range
 examSchema.statics.getByClassAndDateRange = function(classId, sectionId, startDate, endDate) {
   const query = {
@@ -152,4 +401,22 @@ examSchema.statics.getByClassAndDateRange = function(classId, sectionId, startDa
     .sort({ date: 1, startTime: 1 });
 };
 
+// Helper functions
+function difficultyLabel(index) {
+  if (index >= 0.7) return 'Easy';
+  if (index >= 0.3) return 'Moderate';
+  return 'Difficult';
+}
+
+function discriminationLabel(index) {
+  if (index >= 0.4) return 'Very good';
+  if (index >= 0.3) return 'Good';
+  if (index >= 0.2) return 'Fair';
+  return 'Poor';
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
 module.exports = mongoose.model('Exam', examSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const GradingScheme = require('./GradingScheme');
 
 const examMarkSchema = new mongoose.Schema({
   student: {
@@ -47,9 +48,17 @@ const examMarkSchema = new mongoose.Schema({
   },
   grade: {
     type: String,
-    enum: ['A+', 'A', 'B+', 'B', 'C+', 'C', 'D+', 'D', 'F'],
+    trim: true,
     required: [true, 'Grade is required']
   },
+  gradePoint: {
+    type: Number,
+    min: [0, 'Grade point cannot be negative']
+  },
+  gradingScheme: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradingScheme'
+  },
   percentage: {
     type: Number,
     min: [0, 'Percentage cannot be negative'],
@@ -63,6 +72,34 @@ const examMarkSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Per-question breakdown when the exam defines questions; marksObtained is their sum
+  questionMarks: [{
+    _id: false,
+    question: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    marksObtained: {
+      type: Number,
+      required: true,
+      min: [0, 'Question marks cannot be negative']
+    }
+  }],
+  // Supplementary attempts: marksObtained is the score on the re-exam,
+  // awardedMarks what counts in results after the exam's supplementary policy
+  isSupplementary: {
+    type: Boolean,
+    default: false
+  },
+  originalMark: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExamMark'
+  },
+  awardedMarks: {
+    type: Number,
+    min: [0, 'Awarded marks cannot be negative']
+  },
   remarks: {
     type: String,
     trim: true,
@@ -84,6 +121,27 @@ const examMarkSchema = new mongoose.Schema({
   modifiedAt: {
     type: Date
   },
+  changeHistory: [{
+    field: {
+      type: String,
+      enum: ['marksObtained', 'questionMarks', 'isAbsent', 'remarks']
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   session: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Session',
@@ -101,39 +159,55 @@ examMarkSchema.pre('save', function(next) {
   next();
 });
 
-// Calculate percentage, grade, and pass status before saving
-examMarkSchema.pre('save', function(next) {
+// Calculate percentage, grade, and pass status before validation,
+// since grade and isPassed are required fields
+examMarkSchema.pre('validate', async function() {
+  const scheme = await getGradingScheme(this);
+
   if (this.isAbsent) {
     this.marksObtained = 0;
-    this.percentage = 0;
-    this.grade = 'F';
-    this.isPassed = false;
-  } else {
-    // Calculate percentage
-    this.percentage = Math.round((this.marksObtained / this.totalMarks) * 100);
-    
-    // Determine pass/fail
-    this.isPassed = this.marksObtained >= this.passingMarks;
-    
-    // Calculate grade
-    this.grade = calculateGrade(this.percentage);
   }
-  
-  next();
+
+  this.awardedMarks = this.isSupplementary
+    ? await getSupplementaryAward(this, scheme)
+    : this.marksObtained;
+  this.percentage = Math.round((this.awardedMarks / this.totalMarks) * 100);
+
+  const band = GradingScheme.gradeFor(scheme, this.percentage);
+  this.grade = band.label;
+  this.gradePoint = band.gradePoint;
+  this.gradingScheme = scheme ? scheme._id : undefined;
+
+  // A mark passes only if it reaches the exam's passing marks and lands in a passing band
+  this.isPassed = !this.isAbsent && this.awardedMarks >= this.passingMarks && band.isPass;
 });
 
-// Function to calculate grade based on percentage
-function calculateGrade(percentage) {
-  if (percentage >= 90) return 'A+';
-  if (percentage >= 80) return 'A';
-  if (percentage >= 70) return 'B+';
-  if (percentage >= 60) return 'B';
-  if (percentage >= 50) return 'C+';
-  if (percentage >= 40) return 'C';
-  if (percentage >= 35) return 'D+';
-  if (percentage >= 30) return 'D';
-  return 'F';
-}
+// Method to apply edited values, recording each changed field in the change history
+examMarkSchema.methods.applyChanges = function(values, userId, reason) {
+  const changedAt = new Date();
+  let changed = false;
+
+  ['marksObtained', 'questionMarks', 'isAbsent', 'remarks'].forEach(field => {
+    if (values[field] === undefined) return;
+
+    // Arrays are compared and recorded as plain values
+    const oldValue = field === 'questionMarks' ? this.questionMarks.toObject() : this[field];
+    const newValue = values[field];
+    if (field === 'questionMarks' && JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+    if (oldValue === newValue || (oldValue == null && newValue === '')) return;
+
+    this.changeHistory.push({ field, oldValue, newValue, reason, changedBy: userId, changedAt });
+    this[field] = newValue;
+    changed = true;
+  });
+
+  if (changed) {
+    this.modifiedBy = userId;
+    this.modifiedAt = changedAt;
+  }
+
+  return changed;
+};
 
 // Compound index for unique mark per student per exam
 examMarkSchema.index({ student: 1, exam: 1 }, { unique: true });
@@ -183,13 +257,14 @@ examMarkSchema.statics.getStudentOverallPerformance = async function(studentId,
   const results = await this.aggregate([
     {
       $match: {
-        student: mongoose.Types.ObjectId(studentId),
-        session: mongoose.Types.ObjectId(sessionId)
+        student: new mongoose.Types.ObjectId(studentId),
+        session: new mongoose.Types.ObjectId(sessionId)
       }
     },
     {
       $group: {
         _id: '$examType',
+        class: { $first: '$class' },
         totalMarks: { $sum: '$totalMarks' },
         marksObtained: { $sum: '$marksObtained' },
         subjectsCount: { $sum: 1 },
@@ -214,6 +289,7 @@ examMarkSchema.statics.getStudentOverallPerformance = async function(studentId,
     {
       $project: {
         examTypeName: '$examType.name',
+        class: 1,
         totalMarks: 1,
         marksObtained: 1,
         percentage: {
@@ -223,27 +299,151 @@ examMarkSchema.statics.getStudentOverallPerformance = async function(studentId,
           ]
         },
         subjectsCount: 1,
-        passedSubjects: 1,
-        grade: {
-          $switch: {
-            branches: [
-              { case: { $gte: [{ $multiply: [{ $divide: ['$marksObtained', '$totalMarks'] }, 100] }, 90] }, then: 'A+' },
-              { case: { $gte: [{ $multiply: [{ $divide: ['$marksObtained', '$totalMarks'] }, 100] }, 80] }, then: 'A' },
-              { case: { $gte: [{ $multiply: [{ $divide: ['$marksObtained', '$totalMarks'] }, 100] }, 70] }, then: 'B+' },
-              { case: { $gte: [{ $multiply: [{ $divide: ['$marksObtained', '$totalMarks'] }, 100] }, 60] }, then: 'B' },
-              { case: { $gte: [{ $multiply: [{ $divide: ['$marksObtained', '$totalMarks'] }, 100] }, 50] }, then: 'C+' },
-              { case: { $gte: [{ $multiply: [{ $divide: ['$marksObtained', '$totalMarks'] }, 100] }, 40] }, then: 'C' },
-              { case: { $gte: [{ $multiply: [{ $divide: ['$marksObtained', '$totalMarks'] }, 100] }, 35] }, then: 'D+' },
-              { case: { $gte: [{ $multiply: [{ $divide: ['$marksObtained', '$totalMarks'] }, 100] }, 30] }, then: 'D' }
-            ],
-            default: 'F'
-          }
-        }
+        passedSubjects: 1
       }
     }
   ]);
-  
+
+  // Grade each exam type with the scheme that applies to it
+  for (const result of results) {
+    const scheme = await GradingScheme.resolve({
+      session: sessionId,
+      class: result.class,
+      examType: result._id
+    });
+    const band = GradingScheme.gradeFor(scheme, result.percentage);
+    result.grade = band.label;
+    result.gradePoint = band.gradePoint;
+  }
+
   return results;
 };
 
+// Static method to get a resolver that hands marks their grading scheme before they are saved,
+// looking each session/class/exam type up once instead of once per mark
+examMarkSchema.statics.gradingSchemeResolver = function() {
+  const schemes = new Map();
+
+  return async (mark) => {
+    const key = [mark.session, mark.class, mark.examType].join(':');
+    if (!schemes.has(key)) {
+      schemes.set(key, GradingScheme.resolve({
+        session: mark.session,
+        class: mark.class,
+        examType: mark.examType
+      }));
+    }
+
+    mark.$locals.gradingScheme = await schemes.get(key);
+    return mark;
+  };
+};
+
+// Static method to recompute grades of existing marks, e.g. after a grading scheme changes.
+// Marks of approved, locked or published exams keep the grades already given out.
+// Returns { regraded, skipped }.
+examMarkSchema.statics.regrade = async function(filter) {
+  const Exam = mongoose.model('Exam');
+  const frozenIds = await Exam.distinct('_id', {
+    _id: { $in: await this.distinct('exam', filter) },
+    $or: [
+      { marksStatus: { $in: ['Approved', 'Locked'] } },
+      { resultsPublished: true }
+    ]
+  });
+
+  const skipped = frozenIds.length > 0
+    ? await this.countDocuments({ ...filter, exam: { $in: frozenIds } })
+    : 0;
+
+  const cursor = this.find({ ...filter, exam: { $nin: frozenIds } }).cursor();
+  const resolveScheme = this.gradingSchemeResolver();
+  let operations = [];
+  let regraded = 0;
+
+  for (let mark = await cursor.next(); mark != null; mark = await cursor.next()) {
+    // Validation computes the grade fields without saving the mark
+    await resolveScheme(mark);
+    await mark.validate();
+
+    const update = mark.getChanges();
+    if (Object.keys(update).length === 0) continue;
+
+    operations.push({ updateOne: { filter: { _id: mark._id }, update } });
+    regraded++;
+
+    if (operations.length === 500) {
+      await this.bulkWrite(operations);
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+
+  return { regraded, skipped };
+};
+
+// Static method to narrow a marks query to exams whose results are published,
+// for everything shown to students and parents
+examMarkSchema.statics.publishedQuery = async function(query) {
+  const Exam = mongoose.model('Exam');
+  const examIds = await this.distinct('exam', query);
+  const publishedIds = await Exam.getPublishedExamIds({ _id: { $in: examIds } });
+
+  return { ...query, exam: { $in: publishedIds } };
+};
+
+// Static method to drop attempts that a supplementary attempt in the same list replaces,
+// so results count each paper once
+examMarkSchema.statics.countedAttempts = function(marks) {
+  const replaced = new Set(marks
+    .filter(mark => mark.originalMark)
+    .map(mark => (mark.originalMark._id || mark.originalMark).toString()));
+
+  return marks.filter(mark => !replaced.has(mark._id.toString()));
+};
+
+// Helper functions
+
+// Uses the scheme a caller already resolved for the mark, looking it up only when none was given
+async function getGradingScheme(mark) {
+  if ('gradingScheme' in mark.$locals) return mark.$locals.gradingScheme;
+
+  return GradingScheme.resolve({
+    session: mark.session,
+    class: mark.class,
+    examType: mark.examType
+  });
+}
+
+// Links a supplementary attempt to the original attempt and applies the exam's policy to its score
+async function getSupplementaryAward(mark, scheme) {
+  const exam = await mongoose.model('Exam').findById(mark.exam).select('originalExam supplementaryPolicy');
+  if (!exam) return mark.marksObtained;
+
+  const original = await mark.constructor.findOne({ exam: exam.originalExam, student: mark.student });
+  mark.originalMark = original ? original._id : undefined;
+
+  const { mode, capGrade } = exam.supplementaryPolicy || {};
+
+  if (mode === 'Best' && original) {
+    // Scale the original score in case the re-exam is out of a different total
+    const originalAwarded = original.awardedMarks ?? original.marksObtained;
+    const originalScaled = Math.round((originalAwarded / original.totalMarks) * mark.totalMarks * 100) / 100;
+    return Math.max(mark.marksObtained, originalScaled);
+  }
+
+  if (mode === 'Cap' && capGrade) {
+    // The capped result is the lowest score that still earns the cap grade
+    const band = GradingScheme.bandByLabel(scheme, capGrade);
+    if (band) {
+      return Math.min(mark.marksObtained, Math.ceil((band.minPercentage / 100) * mark.totalMarks));
+    }
+  }
+
+  return mark.marksObtained;
+}
+
 module.exports = mongoose.model('ExamMark', examMarkSchema);
@@ -26,6 +26,18 @@ const examTypeSchema = new mongoose.Schema({
     type: Number, // in minutes
     min: [1, 'Duration must be at least 1 minute']
   },
+  // Position in listings and report cards, lowest first
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Default weight of this type when combining exam types into term results
+  weight: {
+    type: Number,
+    default: 0,
+    min: [0, 'Weight cannot be negative'],
+    max: [100, 'Weight cannot exceed 100']
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -58,6 +70,7 @@ examTypeSchema.pre('save', function(next) {
 
 // Compound index for unique exam type per session
 examTypeSchema.index({ name: 1, session: 1 }, { unique: true });
+examTypeSchema.index({ session: 1, order: 1 });
 examTypeSchema.index({ isActive: 1 });
 
 module.exports = mongoose.model('ExamType', examTypeSchema);
\ No newline at end of file
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const CONCESSION_CATEGORIES = ['Sibling', 'Staff Child', 'Merit Scholarship', 'Need-Based Waiver', 'Other'];
+
+// Concession granted to one student, taken off their invoices once approved
+const feeConcessionSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  category: {
+    type: String,
+    enum: CONCESSION_CATEGORIES,
+    required: [true, 'Category is required']
+  },
+  type: {
+    type: String,
+    enum: ['Percentage', 'Fixed'],
+    required: [true, 'Concession type is required']
+  },
+  // A percentage of each invoice, or a fixed amount off each invoice
+  value: {
+    type: Number,
+    required: [true, 'Concession value is required'],
+    min: [0, 'Concession value cannot be negative']
+  },
+  // Fee types the concession covers; empty covers every fee
+  feeTypes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeType'
+  }],
+  validFrom: {
+    type: Date,
+    required: [true, 'Valid from date is required']
+  },
+  validTo: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected', 'Revoked'],
+    default: 'Pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewRemarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokeReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+feeConcessionSchema.index({ student: 1, status: 1 });
+feeConcessionSchema.index({ session: 1, category: 1, status: 1 });
+
+// Validate percentage and validity period
+feeConcessionSchema.pre('save', function(next) {
+  if (this.type === 'Percentage' && this.value > 100) {
+    return next(new Error('Concession percentage cannot exceed 100%'));
+  }
+
+  if (this.validTo && this.validTo < this.validFrom) {
+    return next(new Error('Valid to date cannot be before valid from date'));
+  }
+
+  next();
+});
+
+// Static method to get the approved concessions of students
+feeConcessionSchema.statics.getApproved = function(studentIds, sessionId) {
+  return this.find({
+    student: { $in: studentIds },
+    session: sessionId,
+    status: 'Approved'
+  }).sort({ createdAt: 1 });
+};
+
+// Method to check whether the concession covers an invoice, by fee type and due date
+feeConcessionSchema.methods.appliesTo = function(invoice) {
+  const feeTypeId = (invoice.feeType._id || invoice.feeType).toString();
+
+  return this.status === 'Approved' &&
+    this.student.toString() === (invoice.student._id || invoice.student).toString() &&
+    (this.feeTypes.length === 0 || this.feeTypes.some(feeType => feeType.toString() === feeTypeId)) &&
+    invoice.dueDate >= this.validFrom &&
+    (!this.validTo || invoice.dueDate <= this.validTo);
+};
+
+// Static method to work out the concessions that cover a fee and how much each takes off its
+// net amount. Percentages apply first, then fixed amounts, never below zero.
+// Returns [{ concession, category, amount }].
+feeConcessionSchema.statics.calculate = function(concessions, fee, net) {
+  const applicable = concessions
+    .filter(concession => concession.appliesTo(fee))
+    .sort((a, b) => (a.type === 'Percentage' ? 0 : 1) - (b.type === 'Percentage' ? 0 : 1));
+
+  let remaining = net;
+
+  return applicable.map(concession => {
+    const wanted = concession.type === 'Percentage' ? net * concession.value / 100 : concession.value;
+    const amount = round(Math.min(wanted, remaining));
+    remaining = round(remaining - amount);
+
+    return { concession: concession._id, category: concession.category, amount };
+  }).filter(concession => concession.amount > 0);
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = mongoose.model('FeeConcession', feeConcessionSchema);
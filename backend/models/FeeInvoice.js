@@ -0,0 +1,316 @@
+const mongoose = require('mongoose');
+
+const feeInvoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Invoice number cannot exceed 50 characters']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class is required']
+  },
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section'
+  },
+  feeStructure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeStructure',
+    required: [true, 'Fee structure is required']
+  },
+  feeType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeType',
+    required: [true, 'Fee type is required']
+  },
+  // Billing period from the fee type's frequency, e.g. M3 for the third month of the session
+  period: {
+    key: {
+      type: String,
+      required: [true, 'Billing period is required']
+    },
+    label: String,
+    startDate: Date,
+    endDate: Date
+  },
+  // Set when the invoice is one instalment of an annual fee paid under an instalment plan
+  installment: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    number: {
+      type: Number,
+      min: [1, 'Instalment number must be at least 1']
+    },
+    count: {
+      type: Number,
+      min: [1, 'Instalment count must be at least 1']
+    }
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Student concessions taken off the amount after the class-wide discount
+  concession: {
+    type: Number,
+    default: 0,
+    min: [0, 'Concession cannot be negative']
+  },
+  concessions: [{
+    concession: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeeConcession',
+      required: true
+    },
+    category: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Concession amount cannot be negative']
+    }
+  }],
+  // Late fee charged so far from the fee structure's late fee rules
+  lateFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Late fee cannot be negative']
+  },
+  // Set when an admin waived the late fee; no late fee is charged afterwards
+  lateFeeWaiver: {
+    amount: {
+      type: Number,
+      min: [0, 'Waived amount cannot be negative']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    waivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    waivedAt: {
+      type: Date
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeePayment'
+    }
+  },
+  totalAmount: {
+    type: Number,
+    min: [0, 'Total amount cannot be negative']
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Paid amount cannot be negative']
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Partial', 'Paid', 'Cancelled'],
+    default: 'Open'
+  },
+  // Payments applied to this invoice, each possibly split across several invoices
+  allocations: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeePayment',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Allocated amount cannot be negative']
+    },
+    allocatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the invoice is past its due date with a balance left
+feeInvoiceSchema.virtual('isOverdue').get(function() {
+  return ['Open', 'Partial'].includes(this.status) && this.balance > 0 && new Date() > this.dueDate;
+});
+
+// One invoice per student, fee structure and billing period, so generating again skips what exists
+feeInvoiceSchema.index({ student: 1, feeStructure: 1, 'period.key': 1 }, { unique: true });
+feeInvoiceSchema.index({ student: 1, status: 1, dueDate: 1 });
+feeInvoiceSchema.index({ class: 1, session: 1, status: 1 });
+feeInvoiceSchema.index({ 'allocations.payment': 1 });
+
+// Pre-save middleware to number the invoice and keep totals and status in step
+feeInvoiceSchema.pre('save', async function(next) {
+  if (!this.invoiceNumber) {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+
+    const lastInvoice = await this.constructor
+      .findOne({ invoiceNumber: new RegExp(`^INV${year}${month}`) })
+      .sort({ invoiceNumber: -1 });
+
+    const nextNumber = lastInvoice ? parseInt(lastInvoice.invoiceNumber.slice(-5)) + 1 : 1;
+    this.invoiceNumber = `INV${year}${month}${nextNumber.toString().padStart(5, '0')}`;
+  }
+
+  this.refreshTotals();
+  next();
+});
+
+// Method to save a new invoice. Numbers are taken as the last one plus one, so when another
+// invoice saved at the same time took this number, a fresh one is drawn and the save retried.
+feeInvoiceSchema.methods.saveWithNumber = async function(attempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.save();
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.invoiceNumber || attempt >= attempts) {
+        throw error;
+      }
+      this.invoiceNumber = undefined;
+    }
+  }
+};
+
+// Method to recalculate the total, paid amount, balance and status
+feeInvoiceSchema.methods.refreshTotals = function() {
+  this.concession = round(this.concessions.reduce((sum, concession) => sum + concession.amount, 0));
+  this.totalAmount = round(Math.max(0, this.amount - this.discount - this.concession) + this.lateFee);
+  this.paidAmount = round(this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  this.balance = round(Math.max(0, this.totalAmount - this.paidAmount));
+
+  if (this.status !== 'Cancelled') {
+    if (this.totalAmount > 0 && this.balance === 0) {
+      this.status = 'Paid';
+    } else if (this.paidAmount > 0) {
+      this.status = 'Partial';
+    } else {
+      this.status = this.totalAmount === 0 ? 'Paid' : 'Open';
+    }
+  }
+
+  return this;
+};
+
+// Method to take the student's approved concessions off the invoice. Percentage concessions
+// apply to the amount after the class-wide discount, then fixed ones, never below zero.
+feeInvoiceSchema.methods.applyConcessions = function(concessions) {
+  this.concessions = mongoose.model('FeeConcession')
+    .calculate(concessions, this, Math.max(0, this.amount - this.discount));
+
+  return this.refreshTotals();
+};
+
+// Method to bring the late fee up to date as of a date. The late fee only grows while a
+// balance is left, so paying off an invoice fixes the late fee it was paid with.
+feeInvoiceSchema.methods.accrueLateFee = function(feeStructure, asOf = new Date()) {
+  if (['Open', 'Partial'].includes(this.status) && this.balance > 0 && !this.lateFeeWaiver?.waivedAt) {
+    this.lateFee = Math.max(this.lateFee, feeStructure.calculateLateFee(this.dueDate, asOf));
+  }
+
+  return this.refreshTotals();
+};
+
+// Method to waive the late fee, recording who waived it and why
+feeInvoiceSchema.methods.waiveLateFee = function(userId, reason, paymentId) {
+  this.lateFeeWaiver = {
+    amount: this.lateFee,
+    reason,
+    waivedBy: userId,
+    waivedAt: new Date(),
+    payment: paymentId
+  };
+  this.lateFee = 0;
+
+  return this.refreshTotals();
+};
+
+// Method to apply part of a payment to this invoice. The allocations are replaced rather than
+// pushed to, so saving checks the invoice's version and fails with a VersionError when another
+// payment was allocated to it since it was read.
+feeInvoiceSchema.methods.allocatePayment = function(paymentId, amount) {
+  this.allocations = [...this.allocations, { payment: paymentId, amount: round(amount) }];
+  return this.refreshTotals();
+};
+
+// Method to take a payment's allocation, and any late fee waived with it, off this invoice
+feeInvoiceSchema.methods.removePayment = function(paymentId) {
+  this.allocations = this.allocations.filter(allocation => allocation.payment.toString() !== paymentId.toString());
+
+  if (this.lateFeeWaiver?.payment?.toString() === paymentId.toString()) {
+    this.lateFee = this.lateFeeWaiver.amount;
+    this.lateFeeWaiver = undefined;
+  }
+
+  return this.refreshTotals();
+};
+
+// Static method to get a student's open invoices, oldest due first
+feeInvoiceSchema.statics.getOpenInvoices = function(studentId, query = {}) {
+  return this.find({
+    ...query,
+    student: studentId,
+    status: { $in: ['Open', 'Partial'] }
+  }).sort({ dueDate: 1, createdAt: 1 });
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = mongoose.model('FeeInvoice', feeInvoiceSchema);
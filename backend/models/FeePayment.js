@@ -6,15 +6,16 @@ const feePaymentSchema = new mongoose.Schema({
     ref: 'Student',
     required: [true, 'Student is required']
   },
+  // Payments against invoices carry the fee on each invoice instead
   feeStructure: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'FeeStructure',
-    required: [true, 'Fee structure is required']
+    required: [function() { return isFeeLevelPayment(this); }, 'Fee structure is required']
   },
   feeType: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'FeeType',
-    required: [true, 'Fee type is required']
+    required: [function() { return isFeeLevelPayment(this); }, 'Fee type is required']
   },
   month: {
     type: Number,
@@ -45,6 +46,22 @@ const feePaymentSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Discount cannot be negative']
   },
+  // Late fee an admin waived on this payment, and why
+  lateFeeWaiver: {
+    amount: {
+      type: Number,
+      min: [0, 'Waived amount cannot be negative']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    waivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   totalAmount: {
     type: Number,
     required: [true, 'Total amount is required'],
@@ -79,6 +96,25 @@ const feePaymentSchema = new mongoose.Schema({
     enum: ['Paid', 'Partial', 'Pending', 'Overdue', 'Cancelled'],
     default: 'Paid'
   },
+  // How the payment was split across the student's invoices
+  allocations: [{
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeeInvoice',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Allocated amount cannot be negative']
+    }
+  }],
+  // Part of an online payment no open invoice was left to take
+  unallocatedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Unallocated amount cannot be negative']
+  },
   remarks: {
     type: String,
     trim: true,
@@ -174,6 +210,7 @@ feePaymentSchema.index({ receiptNumber: 1 }, { unique: true });
 feePaymentSchema.index({ paymentDate: 1 });
 feePaymentSchema.index({ status: 1 });
 feePaymentSchema.index({ session: 1 });
+feePaymentSchema.index({ 'allocations.invoice': 1 });
 
 // Static method to get student fee history
 feePaymentSchema.statics.getStudentFeeHistory = function(studentId, sessionId) {
@@ -243,4 +280,8 @@ feePaymentSchema.statics.getOutstandingFees = function(classId, sessionId) {
     .sort({ dueDate: 1 });
 };
 
+function isFeeLevelPayment(payment) {
+  return (!payment.allocations || payment.allocations.length === 0) && !payment.unallocatedAmount;
+}
+
 module.exports = mongoose.model('FeePayment', feePaymentSchema);
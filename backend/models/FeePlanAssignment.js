@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Instalment plan a student pays an annual fee under
+const feePlanAssignmentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  feeStructure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeStructure',
+    required: [true, 'Fee structure is required']
+  },
+  // One of the fee structure's installmentPlans
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Instalment plan is required']
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+feePlanAssignmentSchema.index({ student: 1, feeStructure: 1 }, { unique: true });
+feePlanAssignmentSchema.index({ feeStructure: 1, plan: 1 });
+
+module.exports = mongoose.model('FeePlanAssignment', feePlanAssignmentSchema);
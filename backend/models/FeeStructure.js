@@ -19,6 +19,8 @@ const feeStructureSchema = new mongoose.Schema({
   dueDate: {
     type: Date
   },
+  // Charged once the fee is more than afterDays overdue: once (Flat), for every day
+  // (Per Day) or for every 30 days started (Per Month), up to maxAmount when set
   lateFee: {
     amount: {
       type: Number,
@@ -29,6 +31,16 @@ const feeStructureSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: [0, 'After days cannot be negative']
+    },
+    mode: {
+      type: String,
+      enum: ['Flat', 'Per Day', 'Per Month'],
+      default: 'Flat'
+    },
+    maxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Maximum late fee cannot be negative']
     }
   },
   discount: {
@@ -48,6 +60,31 @@ const feeStructureSchema = new mongoose.Schema({
       maxlength: [200, 'Discount description cannot exceed 200 characters']
     }
   },
+  // Ways an annual fee can be split for families paying in instalments. Each instalment
+  // is either a percentage of the fee or a fixed amount; a plan uses one or the other.
+  installmentPlans: [{
+    name: {
+      type: String,
+      required: [true, 'Plan name is required'],
+      trim: true,
+      maxlength: [100, 'Plan name cannot exceed 100 characters']
+    },
+    installments: [{
+      percentage: {
+        type: Number,
+        min: [0, 'Percentage cannot be negative'],
+        max: [100, 'Percentage cannot exceed 100']
+      },
+      amount: {
+        type: Number,
+        min: [0, 'Amount cannot be negative']
+      },
+      dueDate: {
+        type: Date,
+        required: [true, 'Instalment due date is required']
+      }
+    }]
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -102,10 +139,107 @@ feeStructureSchema.pre('save', function(next) {
   if (this.discount.type === 'Fixed' && this.discount.value > this.amount) {
     next(new Error('Fixed discount cannot exceed the fee amount'));
   }
+
+  const planError = this.installmentPlans
+    .map(plan => this.getInstallmentPlanError(plan))
+    .find(Boolean);
+  if (planError) {
+    return next(new Error(planError));
+  }
   
   next();
 });
 
+// Method to calculate the late fee on a due date as of another date
+feeStructureSchema.methods.calculateLateFee = function(dueDate, asOf = new Date()) {
+  const { amount = 0, afterDays = 0, mode = 'Flat', maxAmount = 0 } = this.lateFee || {};
+  if (!dueDate || amount <= 0) return 0;
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const daysLate = Math.floor((toDay(asOf) - toDay(dueDate)) / dayMs);
+  const chargeableDays = daysLate - afterDays;
+  if (chargeableDays <= 0) return 0;
+
+  let lateFee = amount;
+  if (mode === 'Per Day') {
+    lateFee = amount * chargeableDays;
+  } else if (mode === 'Per Month') {
+    lateFee = amount * Math.ceil(chargeableDays / 30);
+  }
+
+  if (maxAmount > 0) {
+    lateFee = Math.min(lateFee, maxAmount);
+  }
+
+  return Math.round(lateFee * 100) / 100;
+};
+
+// Method to check an instalment plan adds up to the fee. Returns an error message, or null.
+feeStructureSchema.methods.getInstallmentPlanError = function(plan) {
+  const installments = plan.installments || [];
+
+  if (installments.length < 2) {
+    return `Plan "${plan.name}" needs at least two instalments`;
+  }
+
+  const byPercentage = installments.every(installment => installment.percentage != null && installment.amount == null);
+  const byAmount = installments.every(installment => installment.amount != null && installment.percentage == null);
+
+  if (!byPercentage && !byAmount) {
+    return `Instalments of plan "${plan.name}" must all have either a percentage or an amount`;
+  }
+
+  const total = installments.reduce((sum, installment) =>
+    sum + (byPercentage ? installment.percentage : installment.amount), 0);
+
+  if (byPercentage && Math.abs(total - 100) > 0.01) {
+    return `Instalment percentages of plan "${plan.name}" must add up to 100`;
+  }
+
+  if (byAmount && Math.abs(total - this.amount) > 0.01) {
+    return `Instalment amounts of plan "${plan.name}" must add up to the fee amount of ${this.amount}`;
+  }
+
+  const dueDates = installments.map(installment => new Date(installment.dueDate).getTime());
+  if (dueDates.some((dueDate, index) => index > 0 && dueDate <= dueDates[index - 1])) {
+    return `Instalment due dates of plan "${plan.name}" must be in order`;
+  }
+
+  return null;
+};
+
+// Method to split the fee by an instalment plan.
+// Returns [{ number, amount, discount, dueDate }]; the discount is shared out in proportion
+// and the last instalment takes any rounding remainder.
+feeStructureSchema.methods.splitInstallments = function(planId) {
+  const plan = this.installmentPlans.id(planId);
+  if (!plan) return null;
+
+  const totalDiscount = this.amount - this.netAmount;
+  const round = (value) => Math.round(value * 100) / 100;
+  let amountLeft = this.amount;
+  let discountLeft = totalDiscount;
+
+  return plan.installments.map((installment, index) => {
+    const isLast = index === plan.installments.length - 1;
+    const share = installment.percentage != null
+      ? installment.percentage / 100
+      : (this.amount > 0 ? installment.amount / this.amount : 0);
+
+    const amount = isLast ? round(amountLeft) : round(this.amount * share);
+    const discount = isLast ? round(discountLeft) : round(totalDiscount * share);
+    amountLeft -= amount;
+    discountLeft -= discount;
+
+    return {
+      number: index + 1,
+      amount,
+      discount,
+      dueDate: installment.dueDate
+    };
+  });
+};
+
 // Static method to get fee structure by class
 feeStructureSchema.statics.getByClass = function(classId, sessionId) {
   return this.find({
@@ -117,4 +251,8 @@ feeStructureSchema.statics.getByClass = function(classId, sessionId) {
   .sort({ 'feeType.category': 1, 'feeType.name': 1 });
 };
 
+function toDay(date) {
+  return new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+}
+
 module.exports = mongoose.model('FeeStructure', feeStructureSchema);
\ No newline at end of file
@@ -83,4 +83,43 @@ feeTypeSchema.statics.getByCategory = function(category, sessionId) {
   }).sort({ name: 1 });
 };
 
+// Method to split a session into the billing periods of this fee's frequency.
+// Returns [{ key, label, startDate, endDate }]; yearly and one-time fees have one period for the session.
+feeTypeSchema.methods.getBillingPeriods = function(session) {
+  const months = { 'Monthly': 1, 'Quarterly': 3, 'Half-Yearly': 6 }[this.frequency];
+  const sessionStart = toDay(session.startDate);
+  const sessionEnd = toDay(session.endDate);
+
+  if (!months) {
+    return [{
+      key: this.frequency === 'Yearly' ? 'Y1' : 'ONCE',
+      label: this.frequency === 'Yearly' ? `Year ${session.name}` : session.name,
+      startDate: sessionStart,
+      endDate: sessionEnd
+    }];
+  }
+
+  const periods = [];
+  const prefix = { 1: 'M', 3: 'Q', 6: 'H' }[months];
+  for (let start = new Date(sessionStart), index = 1; start <= sessionEnd; index++) {
+    const next = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+    const end = new Date(Math.min(next.getTime() - 24 * 60 * 60 * 1000, sessionEnd.getTime()));
+    const monthLabel = (date) => date.toLocaleString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+    periods.push({
+      key: `${prefix}${index}`,
+      label: months === 1 ? monthLabel(start) : `${monthLabel(start)} - ${monthLabel(end)}`,
+      startDate: new Date(start),
+      endDate: end
+    });
+    start = next;
+  }
+
+  return periods;
+};
+
+function toDay(date) {
+  return new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+}
+
 module.exports = mongoose.model('FeeType', feeTypeSchema);
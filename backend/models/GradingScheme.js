@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+// Ladder used when no grading scheme is configured for a mark's session/class/exam type
+const DEFAULT_BANDS = [
+  { label: 'A+', minPercentage: 90, gradePoint: 4.0, isPass: true },
+  { label: 'A', minPercentage: 80, gradePoint: 3.7, isPass: true },
+  { label: 'B+', minPercentage: 70, gradePoint: 3.3, isPass: true },
+  { label: 'B', minPercentage: 60, gradePoint: 3.0, isPass: true },
+  { label: 'C+', minPercentage: 50, gradePoint: 2.5, isPass: true },
+  { label: 'C', minPercentage: 40, gradePoint: 2.0, isPass: true },
+  { label: 'D+', minPercentage: 35, gradePoint: 1.5, isPass: true },
+  { label: 'D', minPercentage: 30, gradePoint: 1.0, isPass: true },
+  { label: 'F', minPercentage: 0, gradePoint: 0, isPass: false }
+];
+
+const bandSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Band label is required'],
+    trim: true,
+    maxlength: [10, 'Band label cannot exceed 10 characters']
+  },
+  minPercentage: {
+    type: Number,
+    required: [true, 'Minimum percentage is required'],
+    min: [0, 'Minimum percentage cannot be negative'],
+    max: [100, 'Minimum percentage cannot exceed 100']
+  },
+  gradePoint: {
+    type: Number,
+    default: 0,
+    min: [0, 'Grade point cannot be negative']
+  },
+  isPass: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Band description cannot exceed 100 characters']
+  }
+}, { _id: false });
+
+const gradingSchemeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Grading scheme name is required'],
+    trim: true,
+    maxlength: [100, 'Grading scheme name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  bands: {
+    type: [bandSchema],
+    validate: {
+      validator: bands => bands.length > 0,
+      message: 'At least one grade band is required'
+    }
+  },
+  // Empty means the scheme applies to all classes / exam types of the session
+  classes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
+  examTypes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExamType'
+  }],
+  maxGradePoint: {
+    type: Number,
+    default: 4,
+    min: [0, 'Maximum grade point cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Validate bands start at 0%, have distinct thresholds and distinct labels
+gradingSchemeSchema.pre('save', function(next) {
+  const mins = this.bands.map(band => band.minPercentage);
+  const labels = this.bands.map(band => band.label);
+
+  if (!mins.includes(0)) {
+    return next(new Error('Grade bands must include a band starting at 0%'));
+  }
+  if (new Set(mins).size !== mins.length) {
+    return next(new Error('Grade bands must have distinct minimum percentages'));
+  }
+  if (new Set(labels).size !== labels.length) {
+    return next(new Error('Grade bands must have distinct labels'));
+  }
+
+  // Keep bands ordered from highest to lowest threshold
+  this.bands.sort((a, b) => b.minPercentage - a.minPercentage);
+  next();
+});
+
+gradingSchemeSchema.index({ session: 1, isActive: 1 });
+gradingSchemeSchema.index({ classes: 1 });
+gradingSchemeSchema.index({ examTypes: 1 });
+
+// Method to get the band a percentage falls into
+gradingSchemeSchema.methods.getBand = function(percentage) {
+  return findBand(this.bands, percentage);
+};
+
+// Static method to find the most specific active scheme for a session/class/exam type.
+// A scheme naming both the class and exam type wins over one naming only the class,
+// which wins over one naming only the exam type, which wins over a session-wide scheme.
+gradingSchemeSchema.statics.resolve = async function({ session, class: classId, examType }) {
+  if (!session) return null;
+
+  const schemes = await this.find({
+    session,
+    isActive: true,
+    $and: [
+      { $or: [{ classes: { $size: 0 } }, ...(classId ? [{ classes: classId }] : [])] },
+      { $or: [{ examTypes: { $size: 0 } }, ...(examType ? [{ examTypes: examType }] : [])] }
+    ]
+  }).sort({ updatedAt: -1 });
+
+  let best = null;
+  let bestScore = -1;
+
+  schemes.forEach(scheme => {
+    const score = (scheme.classes.length > 0 ? 2 : 0) + (scheme.examTypes.length > 0 ? 1 : 0);
+    if (score > bestScore) {
+      best = scheme;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+// Static method to grade a percentage, falling back to the default ladder
+gradingSchemeSchema.statics.gradeFor = function(scheme, percentage) {
+  return findBand(scheme ? scheme.bands : DEFAULT_BANDS, percentage);
+};
+
+// Static method to find a band by its label in a scheme, or in the default ladder when there is none
+gradingSchemeSchema.statics.bandByLabel = function(scheme, label) {
+  return (scheme ? scheme.bands : DEFAULT_BANDS).find(band => band.label === label) || null;
+};
+
+gradingSchemeSchema.statics.DEFAULT_BANDS = DEFAULT_BANDS;
+
+function findBand(bands, percentage) {
+  const sorted = [...bands].sort((a, b) => b.minPercentage - a.minPercentage);
+  return sorted.find(band => percentage >= band.minPercentage) || sorted[sorted.length - 1];
+}
+
+module.exports = mongoose.model('GradingScheme', gradingSchemeSchema);
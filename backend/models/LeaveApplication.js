@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const leaveApplicationSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class is required']
+  },
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section'
+  },
+  type: {
+    type: String,
+    enum: ['Sick', 'Family', 'Other'],
+    default: 'Other'
+  },
+  fromDate: {
+    type: Date,
+    required: [true, 'From date is required']
+  },
+  toDate: {
+    type: Date,
+    required: [true, 'To date is required']
+  },
+  // Working days of the session calendar covered by the leave
+  totalDays: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  document: {
+    filename: String,
+    originalName: String,
+    mimetype: String,
+    size: Number,
+    path: String
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+    default: 'Pending'
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewRemarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  // Attendance records this leave turned from Absent to Excused, so cancelling can restore them
+  excusedAttendance: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  }],
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+leaveApplicationSchema.index({ student: 1, fromDate: -1 });
+leaveApplicationSchema.index({ class: 1, status: 1 });
+leaveApplicationSchema.index({ status: 1, fromDate: 1, toDate: 1 });
+
+// Validate the leave ends on or after it starts
+leaveApplicationSchema.pre('save', function(next) {
+  if (this.toDate < this.fromDate) {
+    return next(new Error('To date must be on or after from date'));
+  }
+  next();
+});
+
+// Static method to get approved leave covering a date, keyed by student ID
+leaveApplicationSchema.statics.getApprovedOn = async function(studentIds, date) {
+  const day = new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+  const leaves = await this.find({
+    student: { $in: studentIds },
+    status: 'Approved',
+    fromDate: { $lte: day },
+    toDate: { $gte: day }
+  });
+
+  return new Map(leaves.map(leave => [leave.student.toString(), leave]));
+};
+
+// Method to mark the student's Absent attendance during the leave as Excused.
+// Returns the records that changed.
+leaveApplicationSchema.methods.excuseAttendance = async function(userId) {
+  const Attendance = mongoose.model('Attendance');
+  const end = new Date(this.toDate);
+  end.setUTCHours(23, 59, 59, 999);
+
+  const records = await Attendance.find({
+    student: this.student,
+    status: 'Absent',
+    date: { $gte: this.fromDate, $lte: end }
+  });
+
+  for (const record of records) {
+    record.applyChanges({ status: 'Excused', remarks: record.remarks || 'Approved leave' }, userId, 'Leave approved');
+    await record.save();
+  }
+
+  this.excusedAttendance.push(...records.map(record => record._id));
+  return records;
+};
+
+// Method to put attendance this leave excused back to Absent
+leaveApplicationSchema.methods.restoreAttendance = async function(userId) {
+  const Attendance = mongoose.model('Attendance');
+  const records = await Attendance.find({ _id: { $in: this.excusedAttendance }, status: 'Excused' });
+
+  for (const record of records) {
+    record.applyChanges({ status: 'Absent' }, userId, 'Leave cancelled');
+    await record.save();
+  }
+
+  this.excusedAttendance = [];
+  return records;
+};
+
+module.exports = mongoose.model('LeaveApplication', leaveApplicationSchema);
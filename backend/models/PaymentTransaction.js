@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Online payment started through a payment provider. Becomes a FeePayment once the provider
+// confirms it, by webhook or by reconciliation.
+const paymentTransactionSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    unique: true,
+    trim: true
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    trim: true
+  },
+  providerOrderId: {
+    type: String,
+    trim: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Invoices the payment is for, with the balance of each when checkout started
+  allocations: [{
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeeInvoice',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Allocated amount cannot be negative']
+    }
+  }],
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true,
+    trim: true
+  },
+  // Review: the provider reported a payment that does not match the order, for an admin to settle
+  status: {
+    type: String,
+    enum: ['Created', 'Pending', 'Paid', 'Failed', 'Expired', 'Review'],
+    default: 'Created'
+  },
+  checkoutUrl: {
+    type: String,
+    trim: true
+  },
+  transactionId: {
+    type: String,
+    trim: true
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  feePayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeePayment'
+  },
+  // Part of the amount no open invoice was left to take, e.g. paid in cash meanwhile
+  unallocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  paidAt: {
+    type: Date
+  },
+  lastCheckedAt: {
+    type: Date
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+paymentTransactionSchema.index(
+  { provider: 1, providerOrderId: 1 },
+  { unique: true, partialFilterExpression: { providerOrderId: { $type: 'string' } } }
+);
+paymentTransactionSchema.index({ student: 1, createdAt: -1 });
+paymentTransactionSchema.index({ status: 1, createdAt: 1 });
+
+// Pre-save middleware to generate the order ID sent to the provider
+paymentTransactionSchema.pre('save', function(next) {
+  if (!this.orderId) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.orderId = `ORD${date}${this._id.toString().slice(-8).toUpperCase()}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('PaymentTransaction', paymentTransactionSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Webhook already handled, so a provider retrying the same event changes nothing
+const paymentWebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    trim: true
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    trim: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentTransaction'
+  },
+  outcome: {
+    type: String,
+    enum: ['Processed', 'Review', 'Ignored'],
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+paymentWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentWebhookEventSchema.index({ transaction: 1 });
+
+module.exports = mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
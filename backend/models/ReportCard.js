@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const ExamMark = require('./ExamMark');
+const GradingScheme = require('./GradingScheme');
+
+// Exams whose marks have been through moderation and can count towards a report card
+const MODERATED_STATUSES = ['Approved', 'Locked'];
+
+const componentSchema = new mongoose.Schema({
+  examType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExamType',
+    required: true
+  },
+  name: String,
+  weight: {
+    type: Number,
+    required: true,
+    min: [0, 'Weight cannot be negative']
+  }
+}, { _id: false });
+
+const subjectResultSchema = new mongoose.Schema({
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  name: String,
+  code: String,
+  credits: {
+    type: Number,
+    default: 1
+  },
+  components: [{
+    _id: false,
+    examType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExamType'
+    },
+    weight: Number,
+    marksObtained: Number,
+    totalMarks: Number,
+    percentage: Number
+  }],
+  marksObtained: Number,
+  totalMarks: Number,
+  percentage: Number,
+  passingPercentage: Number,
+  grade: String,
+  gradePoint: Number,
+  isPassed: Boolean
+}, { _id: false });
+
+const reportCardSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class is required']
+  },
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section'
+  },
+  term: {
+    type: String,
+    required: [true, 'Term is required'],
+    trim: true,
+    maxlength: [50, 'Term cannot exceed 50 characters']
+  },
+  components: [componentSchema],
+  // Component exams whose marks were counted when the card was generated
+  exams: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam'
+  }],
+  subjects: [subjectResultSchema],
+  totalMarksObtained: Number,
+  totalMarks: Number,
+  percentage: Number,
+  grade: String,
+  gpa: Number,
+  isPassed: Boolean,
+  failedSubjects: {
+    type: Number,
+    default: 0
+  },
+  classRank: Number,
+  sectionRank: Number,
+  classSize: Number,
+  sectionSize: Number,
+  status: {
+    type: String,
+    enum: ['Draft', 'Published'],
+    default: 'Draft'
+  },
+  publishedAt: {
+    type: Date
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One report card per student per term
+reportCardSchema.index({ student: 1, session: 1, term: 1 }, { unique: true });
+reportCardSchema.index({ class: 1, session: 1, term: 1 });
+reportCardSchema.index({ status: 1 });
+
+// Static method to get the exams of a class, other than cancelled ones, that make up the components
+reportCardSchema.statics.getComponentExams = function({ classId, sessionId, components }) {
+  return mongoose.model('Exam').find({
+    class: classId,
+    session: sessionId,
+    examType: { $in: components.map(component => component.examType) },
+    status: { $ne: 'Cancelled' }
+  }).select('name examType subject marksStatus resultsPublished resultsPublishedAt');
+};
+
+// Static method to compute a student's term result from their marks in the given exams.
+// components: Array of { examType, weight }; weights are relative, so 20/30/50 and 0.2/0.3/0.5 are equivalent.
+reportCardSchema.statics.computeStudentResult = async function({ student, sessionId, components, examIds, scheme }) {
+  const attempts = await ExamMark.find({
+    student: student._id,
+    session: sessionId,
+    exam: { $in: examIds },
+    examType: { $in: components.map(component => component.examType) }
+  }).populate('subject', 'name code credits totalMarks passingMarks');
+
+  // A supplementary attempt stands in for the attempt it replaces
+  const marks = ExamMark.countedAttempts(attempts);
+
+  const weightByType = new Map(components.map(component => [component.examType.toString(), component.weight]));
+
+  // Group marks by subject, then by exam type (several unit tests add up to one component)
+  const bySubject = new Map();
+  marks.forEach(mark => {
+    if (!mark.subject) return;
+    const subjectKey = mark.subject._id.toString();
+    if (!bySubject.has(subjectKey)) {
+      bySubject.set(subjectKey, { subject: mark.subject, byType: new Map() });
+    }
+    const byType = bySubject.get(subjectKey).byType;
+    const typeKey = mark.examType.toString();
+    const entry = byType.get(typeKey) || { marksObtained: 0, totalMarks: 0 };
+    entry.marksObtained += mark.awardedMarks ?? mark.marksObtained;
+    entry.totalMarks += mark.totalMarks;
+    byType.set(typeKey, entry);
+  });
+
+  const subjects = [];
+  bySubject.forEach(({ subject, byType }) => {
+    let weightedSum = 0;
+    let weightTotal = 0;
+    let marksObtained = 0;
+    let totalMarks = 0;
+    const subjectComponents = [];
+
+    byType.forEach((entry, typeKey) => {
+      const weight = weightByType.get(typeKey) || 0;
+      const percentage = entry.totalMarks > 0 ? (entry.marksObtained / entry.totalMarks) * 100 : 0;
+
+      weightedSum += percentage * weight;
+      weightTotal += weight;
+      marksObtained += entry.marksObtained;
+      totalMarks += entry.totalMarks;
+
+      subjectComponents.push({
+        examType: typeKey,
+        weight,
+        marksObtained: entry.marksObtained,
+        totalMarks: entry.totalMarks,
+        percentage: round(percentage)
+      });
+    });
+
+    // Components a subject has no marks for are left out rather than counted as zero
+    const percentage = weightTotal > 0 ? weightedSum / weightTotal : 0;
+    const passingPercentage = subject.totalMarks > 0
+      ? (subject.passingMarks / subject.totalMarks) * 100
+      : 0;
+    const band = GradingScheme.gradeFor(scheme, percentage);
+
+    subjects.push({
+      subject: subject._id,
+      name: subject.name,
+      code: subject.code,
+      credits: subject.credits || 1,
+      components: subjectComponents,
+      marksObtained,
+      totalMarks,
+      percentage: round(percentage),
+      passingPercentage: round(passingPercentage),
+      grade: band.label,
+      gradePoint: band.gradePoint,
+      isPassed: percentage >= passingPercentage && band.isPass
+    });
+  });
+
+  subjects.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const creditTotal = subjects.reduce((sum, subject) => sum + subject.credits, 0);
+  const percentage = creditTotal > 0
+    ? subjects.reduce((sum, subject) => sum + subject.percentage * subject.credits, 0) / creditTotal
+    : 0;
+  const gpa = creditTotal > 0
+    ? subjects.reduce((sum, subject) => sum + subject.gradePoint * subject.credits, 0) / creditTotal
+    : 0;
+  const failedSubjects = subjects.filter(subject => !subject.isPassed).length;
+
+  return {
+    student: student._id,
+    class: student.class,
+    section: student.section,
+    subjects,
+    totalMarksObtained: subjects.reduce((sum, subject) => sum + subject.marksObtained, 0),
+    totalMarks: subjects.reduce((sum, subject) => sum + subject.totalMarks, 0),
+    percentage: round(percentage),
+    grade: GradingScheme.gradeFor(scheme, percentage).label,
+    gpa: round(gpa),
+    isPassed: subjects.length > 0 && failedSubjects === 0,
+    failedSubjects
+  };
+};
+
+// Static method to compute and snapshot term results for every active student of a class.
+// Only exams whose marks are approved or locked are counted; the others are returned as pendingExams.
+reportCardSchema.statics.generateForClass = async function({ classId, sessionId, term, components, generatedBy }) {
+  const Student = mongoose.model('Student');
+
+  const students = await Student.find({ class: classId, status: 'Active' });
+  const scheme = await GradingScheme.resolve({ session: sessionId, class: classId });
+
+  const exams = await this.getComponentExams({ classId, sessionId, components });
+  const examIds = exams
+    .filter(exam => MODERATED_STATUSES.includes(exam.marksStatus))
+    .map(exam => exam._id);
+  const pendingExams = exams.filter(exam => !MODERATED_STATUSES.includes(exam.marksStatus));
+
+  const results = [];
+  for (const student of students) {
+    results.push(await this.computeStudentResult({ student, sessionId, components, examIds, scheme }));
+  }
+
+  assignRanks(results, 'classRank');
+
+  const bySection = new Map();
+  results.forEach(result => {
+    const key = result.section ? result.section.toString() : '';
+    if (!bySection.has(key)) bySection.set(key, []);
+    bySection.get(key).push(result);
+  });
+  bySection.forEach(sectionResults => {
+    assignRanks(sectionResults, 'sectionRank');
+    sectionResults.forEach(result => {
+      result.sectionSize = sectionResults.length;
+    });
+  });
+
+  const operations = results.map(result => ({
+    updateOne: {
+      filter: { student: result.student, session: sessionId, term },
+      update: {
+        $set: {
+          ...result,
+          classSize: results.length,
+          components,
+          exams: examIds,
+          status: 'Draft',
+          generatedAt: new Date(),
+          generatedBy
+        },
+        $unset: { publishedAt: 1, publishedBy: 1 }
+      },
+      upsert: true
+    }
+  }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+
+  return { generated: results.length, pendingExams };
+};
+
+// Static method to check a term's draft report cards can be published. Returns an error message, or null.
+// Every component exam must have its results published, and must have been counted when the cards
+// were generated, so a card never shows marks students could not see on the exam itself.
+reportCardSchema.statics.getPublishError = async function({ classId, sessionId, term }) {
+  const card = await this.findOne({ class: classId, session: sessionId, term, status: 'Draft' })
+    .select('components exams');
+  if (!card) return null;
+
+  const exams = await this.getComponentExams({ classId, sessionId, components: card.components });
+
+  const unpublished = exams.filter(exam => !exam.resultsVisible || !MODERATED_STATUSES.includes(exam.marksStatus));
+  if (unpublished.length > 0) {
+    return `Cannot publish. Results are not published for: ${unpublished.map(exam => exam.name).join(', ')}`;
+  }
+
+  const counted = new Set(card.exams.map(examId => examId.toString()));
+  const uncounted = exams.filter(exam => !counted.has(exam._id.toString()));
+  if (uncounted.length > 0) {
+    return `Cannot publish. The report cards were generated before these exams were approved: ${uncounted.map(exam => exam.name).join(', ')}. Regenerate them first.`;
+  }
+
+  return null;
+};
+
+// Standard competition ranking: equal percentages share a rank and the next rank is skipped (1, 2, 2, 4)
+function assignRanks(results, field) {
+  const sorted = [...results].sort((a, b) => b.percentage - a.percentage);
+  sorted.forEach((result, index) => {
+    if (index > 0 && result.percentage === sorted[index - 1].percentage) {
+      result[field] = sorted[index - 1][field];
+    } else {
+      result[field] = index + 1;
+    }
+  });
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = mongoose.model('ReportCard', reportCardSchema);
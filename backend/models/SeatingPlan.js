@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+const seatSchema = new mongoose.Schema({
+  seatNumber: {
+    type: String,
+    required: true
+  },
+  row: {
+    type: Number,
+    required: true
+  },
+  column: {
+    type: Number,
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  exam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam',
+    required: true
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section'
+  },
+  rollNumber: String
+}, { _id: false });
+
+const roomSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: [true, 'Room is required'],
+    trim: true,
+    maxlength: [50, 'Room cannot exceed 50 characters']
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Room capacity is required'],
+    min: [1, 'Capacity must be at least 1']
+  },
+  columns: {
+    type: Number,
+    default: 5,
+    min: [1, 'Columns must be at least 1']
+  },
+  invigilator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  seats: [seatSchema]
+}, { _id: false });
+
+const seatingPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Seating plan name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Papers sat together in the same sitting
+  exams: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam',
+    required: true
+  }],
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required']
+  },
+  pattern: {
+    type: String,
+    enum: ['Alternate', 'Sequential'],
+    default: 'Alternate'
+  },
+  rooms: [roomSchema],
+  totalStudents: {
+    type: Number,
+    default: 0
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+seatingPlanSchema.index({ exams: 1 });
+seatingPlanSchema.index({ date: 1, startTime: 1 });
+seatingPlanSchema.index({ 'rooms.seats.student': 1 });
+seatingPlanSchema.index({ session: 1 });
+
+// Static method to allocate students to seats.
+// groups: Array of { exam, class, section, students } with students sorted by roll number.
+// rooms: Array of { room, capacity, columns, invigilator }.
+// Alternate deals one student from each group in turn, so neighbours in a row sit different papers or classes.
+seatingPlanSchema.statics.allocateSeats = function(groups, rooms, pattern = 'Alternate') {
+  const queue = [];
+  if (pattern === 'Alternate') {
+    const pending = groups.map(group => [...group.students]);
+    while (pending.some(students => students.length > 0)) {
+      pending.forEach((students, index) => {
+        if (students.length > 0) queue.push({ group: groups[index], student: students.shift() });
+      });
+    }
+  } else {
+    groups.forEach(group => {
+      group.students.forEach(student => queue.push({ group, student }));
+    });
+  }
+
+  const allocated = rooms.map(room => {
+    const columns = room.columns || 5;
+    const seats = queue.splice(0, room.capacity).map((entry, index) => {
+      const row = Math.floor(index / columns) + 1;
+      const column = (index % columns) + 1;
+      return {
+        seatNumber: `${row}-${column}`,
+        row,
+        column,
+        student: entry.student._id,
+        exam: entry.group.exam,
+        class: entry.group.class,
+        section: entry.student.section,
+        rollNumber: entry.student.rollNumber
+      };
+    });
+
+    return { ...room, columns, seats };
+  });
+
+  return {
+    rooms: allocated.filter(room => room.seats.length > 0),
+    unseated: queue.length
+  };
+};
+
+module.exports = mongoose.model('SeatingPlan', seatingPlanSchema);
@@ -1,5 +1,37 @@
 const mongoose = require('mongoose');
 
+const CALENDAR_EVENT_TYPES = ['Holiday', 'Term Break', 'Exam Day', 'Half Day'];
+
+// Holidays and term breaks close the school; exam days and half days are still working days
+const CLOSED_EVENT_TYPES = ['Holiday', 'Term Break'];
+
+const calendarEventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Event name is required'],
+    trim: true,
+    maxlength: [100, 'Event name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: CALENDAR_EVENT_TYPES,
+    required: [true, 'Event type is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  }
+});
+
 const sessionSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -25,6 +57,16 @@ const sessionSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Description cannot exceed 200 characters']
   },
+  // Days of the week the school is open, 0 = Sunday
+  workingDays: {
+    type: [{
+      type: Number,
+      min: [0, 'Working day must be 0-6'],
+      max: [6, 'Working day must be 0-6']
+    }],
+    default: [1, 2, 3, 4, 5]
+  },
+  calendarEvents: [calendarEventSchema],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -58,6 +100,20 @@ sessionSchema.pre('save', function(next) {
   next();
 });
 
+// Validate calendar events fall within the session
+sessionSchema.pre('save', function(next) {
+  const invalid = this.calendarEvents.find(event =>
+    event.endDate < event.startDate ||
+    toDateKey(event.startDate) < toDateKey(this.startDate) ||
+    toDateKey(event.endDate) > toDateKey(this.endDate)
+  );
+
+  if (invalid) {
+    return next(new Error(`Calendar event "${invalid.name}" must end after it starts and fall within the session`));
+  }
+  next();
+});
+
 // Index for performance
 sessionSchema.index({ isActive: 1 });
 sessionSchema.index({ startDate: 1, endDate: 1 });
@@ -67,4 +123,66 @@ sessionSchema.statics.getActiveSession = async function() {
   return await this.findOne({ isActive: true });
 };
 
+// Static method to get the session a date falls in
+sessionSchema.statics.findByDate = function(date) {
+  return this.findOne({ startDate: { $lte: date }, endDate: { $gte: date } }).sort({ startDate: -1 });
+};
+
+// Method to describe a calendar day.
+// Returns { date, type, isWorkingDay, event } where type is 'Working Day', 'Weekend', 'Outside Session'
+// or the type of the calendar event on that day.
+sessionSchema.methods.getDayType = function(date) {
+  const key = toDateKey(date);
+  const day = { date: key, type: 'Working Day', isWorkingDay: true, event: null };
+
+  if (key < toDateKey(this.startDate) || key > toDateKey(this.endDate)) {
+    return { ...day, type: 'Outside Session', isWorkingDay: false };
+  }
+
+  // A closure wins over an exam day or half day on the same date
+  const events = this.calendarEvents
+    .filter(event => toDateKey(event.startDate) <= key && toDateKey(event.endDate) >= key)
+    .sort((a, b) => CALENDAR_EVENT_TYPES.indexOf(a.type) - CALENDAR_EVENT_TYPES.indexOf(b.type));
+
+  if (events.length > 0) {
+    const event = events[0];
+    return {
+      ...day,
+      type: event.type,
+      isWorkingDay: !CLOSED_EVENT_TYPES.includes(event.type),
+      event: { _id: event._id, name: event.name }
+    };
+  }
+
+  if (!this.workingDays.includes(new Date(`${key}T00:00:00.000Z`).getUTCDay())) {
+    return { ...day, type: 'Weekend', isWorkingDay: false };
+  }
+
+  return day;
+};
+
+// Method to list the calendar days from startDate to endDate, clipped to the session
+sessionSchema.methods.getCalendarDays = function(startDate, endDate) {
+  const from = new Date(`${toDateKey(Math.max(new Date(startDate || this.startDate), this.startDate))}T00:00:00.000Z`);
+  const to = new Date(`${toDateKey(Math.min(new Date(endDate || this.endDate), this.endDate))}T00:00:00.000Z`);
+
+  const days = [];
+  for (const date = from; date <= to; date.setUTCDate(date.getUTCDate() + 1)) {
+    days.push(this.getDayType(date));
+  }
+
+  return days;
+};
+
+// Method to list the working dates (YYYY-MM-DD) from startDate to endDate, clipped to the session
+sessionSchema.methods.getWorkingDates = function(startDate, endDate) {
+  return this.getCalendarDays(startDate, endDate)
+    .filter(day => day.isWorkingDay)
+    .map(day => day.date);
+};
+
+function toDateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
 module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
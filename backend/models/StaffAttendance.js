@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide valid time format (HH:MM)'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const staffAttendanceSchema = new mongoose.Schema({
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: [true, 'Teacher is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  status: {
+    type: String,
+    enum: ['Present', 'Late', 'Half Day', 'Absent', 'On Leave'],
+    required: [true, 'Attendance status is required']
+  },
+  checkIn: {
+    type: String,
+    match: TIME_FORMAT
+  },
+  checkOut: {
+    type: String,
+    match: TIME_FORMAT
+  },
+  // Working hours of the day when the attendance was recorded
+  scheduledStart: {
+    type: String,
+    match: TIME_FORMAT
+  },
+  scheduledEnd: {
+    type: String,
+    match: TIME_FORMAT
+  },
+  lateByMinutes: {
+    type: Number,
+    default: 0
+  },
+  earlyLeaveMinutes: {
+    type: Number,
+    default: 0
+  },
+  workedMinutes: {
+    type: Number,
+    default: 0
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Remarks cannot exceed 200 characters']
+  },
+  source: {
+    type: String,
+    enum: ['Self', 'Admin', 'Device'],
+    default: 'Self'
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Marked by is required']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }
+}, {
+  timestamps: true
+});
+
+// One record per teacher per day
+staffAttendanceSchema.index({ teacher: 1, date: 1 }, { unique: true });
+staffAttendanceSchema.index({ date: 1, status: 1 });
+staffAttendanceSchema.index({ session: 1 });
+
+// Static method to get a teacher's working hours for the weekday of a date
+staffAttendanceSchema.statics.getSchedule = function(teacher, date) {
+  const day = WEEKDAYS[new Date(date).getUTCDay()];
+  const hours = teacher.workingHours?.[day];
+  return hours?.start && hours?.end ? { start: hours.start, end: hours.end } : null;
+};
+
+// Method to work out lateness, early leaving and hours worked from the check-in and check-out times.
+// Present and Late follow the check-in; a day worked for under half its hours becomes a Half Day.
+// Absent and On Leave are left as they are.
+staffAttendanceSchema.methods.applySchedule = function(schedule, graceMinutes = 0) {
+  if (['Absent', 'On Leave'].includes(this.status)) {
+    this.lateByMinutes = 0;
+    this.earlyLeaveMinutes = 0;
+    this.workedMinutes = 0;
+    return this;
+  }
+
+  this.scheduledStart = schedule?.start;
+  this.scheduledEnd = schedule?.end;
+
+  this.lateByMinutes = schedule && this.checkIn
+    ? Math.max(0, toMinutes(this.checkIn) - toMinutes(schedule.start))
+    : 0;
+  this.earlyLeaveMinutes = schedule && this.checkOut
+    ? Math.max(0, toMinutes(schedule.end) - toMinutes(this.checkOut))
+    : 0;
+  this.workedMinutes = this.checkIn && this.checkOut
+    ? Math.max(0, toMinutes(this.checkOut) - toMinutes(this.checkIn))
+    : 0;
+
+  this.status = this.lateByMinutes > graceMinutes ? 'Late' : 'Present';
+
+  if (schedule && this.checkOut) {
+    const scheduledMinutes = toMinutes(schedule.end) - toMinutes(schedule.start);
+    if (this.workedMinutes < scheduledMinutes / 2) this.status = 'Half Day';
+  }
+
+  return this;
+};
+
+// Static method to get today's date as stored in `date`: UTC midnight, like every other attendance date
+staffAttendanceSchema.statics.getToday = function() {
+  return toDay(new Date());
+};
+
+// Static method to count staff attendance by status over a query
+staffAttendanceSchema.statics.getStatusCounts = async function(query) {
+  const rows = await this.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const counts = { present: 0, late: 0, halfDay: 0, absent: 0, onLeave: 0 };
+  const keys = { 'Present': 'present', 'Late': 'late', 'Half Day': 'halfDay', 'Absent': 'absent', 'On Leave': 'onLeave' };
+  rows.forEach(row => {
+    counts[keys[row._id]] = row.count;
+  });
+
+  return counts;
+};
+
+// Static method to summarise one day's staff attendance against the active staff
+staffAttendanceSchema.statics.getDaySummary = async function(date) {
+  const [counts, totalStaff] = await Promise.all([
+    this.getStatusCounts({ date }),
+    mongoose.model('Teacher').countDocuments({ status: 'Active' })
+  ]);
+
+  const marked = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  return {
+    date: date.toISOString().slice(0, 10),
+    totalStaff,
+    ...counts,
+    notMarked: Math.max(0, totalStaff - marked)
+  };
+};
+
+function toDay(date) {
+  return new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+module.exports = mongoose.model('StaffAttendance', staffAttendanceSchema);
@@ -42,6 +42,12 @@ const studentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [20, 'Admission number cannot exceed 20 characters']
   },
+  // User ID on the campus fingerprint/RFID terminals
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Device ID cannot exceed 50 characters']
+  },
   previousSchool: {
     type: String,
     trim: true,
@@ -105,6 +111,10 @@ const studentSchema = new mongoose.Schema({
     enum: ['Active', 'Inactive', 'Graduated', 'Transferred', 'Dropped'],
     default: 'Active'
   },
+  // Last day on roll, set when the status moves away from Active
+  leavingDate: {
+    type: Date
+  },
   session: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Session',
@@ -155,6 +165,10 @@ studentSchema.index({ rollNumber: 1, class: 1, section: 1 }, {
 // Other indexes
 studentSchema.index({ studentId: 1 }, { unique: true });
 studentSchema.index({ admissionNumber: 1 }, { unique: true });
+studentSchema.index({ deviceId: 1 }, {
+  unique: true,
+  partialFilterExpression: { deviceId: { $type: 'string' } }
+});
 studentSchema.index({ class: 1, section: 1 });
 studentSchema.index({ parent: 1 });
 studentSchema.index({ status: 1 });
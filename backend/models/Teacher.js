@@ -13,11 +13,22 @@ const teacherSchema = new mongoose.Schema({
     trim: true,
     maxlength: [20, 'Employee ID cannot exceed 20 characters']
   },
+  // User ID on the campus fingerprint/RFID terminals
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Device ID cannot exceed 50 characters']
+  },
   department: {
     type: String,
     trim: true,
     maxlength: [100, 'Department cannot exceed 100 characters']
   },
+  // Heads of department moderate and approve marks of their department's exams
+  isHeadOfDepartment: {
+    type: Boolean,
+    default: false
+  },
   designation: {
     type: String,
     required: [true, 'Designation is required'],
@@ -145,6 +156,10 @@ teacherSchema.virtual('totalSalary').get(function() {
 
 // Indexes
 teacherSchema.index({ employeeId: 1 }, { unique: true });
+teacherSchema.index({ deviceId: 1 }, {
+  unique: true,
+  partialFilterExpression: { deviceId: { $type: 'string' } }
+});
 teacherSchema.index({ department: 1 });
 teacherSchema.index({ designation: 1 });
 teacherSchema.index({ status: 1 });
@@ -220,4 +235,17 @@ teacherSchema.statics.getBySubject = function(subjectId) {
   .populate('assignedSubjects.classes', 'name grade');
 };
 
+// Static method to check whether a user is head of another teacher's department
+teacherSchema.statics.isHeadOfDepartmentFor = async function(headUserId, teacherUserId) {
+  if (!headUserId || !teacherUserId || headUserId.toString() === teacherUserId.toString()) return false;
+
+  const [head, teacher] = await Promise.all([
+    this.findOne({ user: headUserId, isHeadOfDepartment: true }).select('department'),
+    this.findOne({ user: teacherUserId }).select('department')
+  ]);
+
+  return !!head && !!head.department && !!teacher &&
+    head.department === teacher.department;
+};
+
 module.exports = mongoose.model('Teacher', teacherSchema);
\ No newline at end of file
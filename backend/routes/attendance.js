@@ -1,14 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const upload = require('../middleware/upload');
 const {
   getAttendance,
   markAttendance,
   updateAttendance,
+  getAttendanceAudit,
   getStudentAttendanceSummary,
+  getAttendanceEligibility,
   getClassAttendanceReport,
-  getAttendanceStats
+  getAttendanceStats,
+  getAbsenceAlerts
 } = require('../controllers/attendanceController');
+const { importAttendance } = require('../controllers/attendanceImportController');
+const { getAtRiskStudents } = require('../controllers/attendanceAnalyticsController');
+const { getMonthlyRegister } = require('../controllers/attendanceRegisterController');
+const { syncAttendance } = require('../controllers/attendanceSyncController');
 
 // Validation rules
 const markAttendanceValidation = [
@@ -19,12 +28,39 @@ const markAttendanceValidation = [
   body('attendanceData.*.status').isIn(['Present', 'Absent', 'Late', 'Excused']).withMessage('Invalid attendance status'),
   body('attendanceData.*.remarks').optional().trim().isLength({ max: 200 }).withMessage('Remarks cannot exceed 200 characters'),
   body('section').optional().isMongoId().withMessage('Valid section ID is required'),
-  body('subject').optional().isMongoId().withMessage('Valid subject ID is required')
+  body('subject').optional().isMongoId().withMessage('Valid subject ID is required'),
+  body('period').optional().isInt({ min: 1 }).withMessage('Period must be a positive integer'),
+  body('subject').if(body('period').exists()).notEmpty().withMessage('Subject is required for period attendance')
 ];
 
 const updateAttendanceValidation = [
   body('status').isIn(['Present', 'Absent', 'Late', 'Excused']).withMessage('Invalid attendance status'),
-  body('remarks').optional().trim().isLength({ max: 200 }).withMessage('Remarks cannot exceed 200 characters')
+  body('remarks').optional().trim().isLength({ max: 200 }).withMessage('Remarks cannot exceed 200 characters'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+const syncAttendanceValidation = [
+  body('deviceId').trim().notEmpty().withMessage('Device ID is required')
+    .isLength({ max: 100 }).withMessage('Device ID cannot exceed 100 characters'),
+  body('cursor').optional({ nullable: true })
+    .matches(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})(_[a-f\d]{24})?$/i)
+    .withMessage('Cursor must be a cursor returned by a previous sync'),
+  body('strategy').optional().isIn(['server-wins', 'client-wins', 'latest']).withMessage('Strategy must be server-wins, client-wins or latest'),
+  body('classes').optional().isArray().withMessage('Classes must be an array'),
+  body('classes.*').isMongoId().withMessage('Each class ID must be valid'),
+  body('changes').optional().isArray({ max: 500 }).withMessage('Changes must be an array of at most 500 items'),
+  body('changes.*.changeId').trim().notEmpty().withMessage('Change ID is required')
+    .isLength({ max: 100 }).withMessage('Change ID cannot exceed 100 characters'),
+  body('changes.*.student').isMongoId().withMessage('Valid student ID is required'),
+  body('changes.*.class').isMongoId().withMessage('Valid class ID is required'),
+  body('changes.*.section').optional().isMongoId().withMessage('Valid section ID is required'),
+  body('changes.*.subject').optional().isMongoId().withMessage('Valid subject ID is required'),
+  body('changes.*.period').optional().isInt({ min: 1 }).withMessage('Period must be a positive integer').toInt(),
+  body('changes.*.date').isISO8601().withMessage('Valid date is required'),
+  body('changes.*.status').isIn(['Present', 'Absent', 'Late', 'Excused']).withMessage('Invalid attendance status'),
+  body('changes.*.remarks').optional().trim().isLength({ max: 200 }).withMessage('Remarks cannot exceed 200 characters'),
+  body('changes.*.reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('changes.*.changedAt').isISO8601().withMessage('Valid change timestamp is required')
 ];
 
 // @route   GET /api/attendance
@@ -37,15 +73,45 @@ router.get('/', getAttendance);
 // @access  Private (Admin, Teacher)
 router.get('/stats', getAttendanceStats);
 
+// @route   GET /api/attendance/alerts
+// @desc    Get absence alerts sent or queued for parents
+// @access  Private (Admin, Teacher)
+router.get('/alerts', authorize('Admin', 'Teacher'), getAbsenceAlerts);
+
+// @route   GET /api/attendance/audit
+// @desc    Get the attendance change audit report for a class or dates
+// @access  Private (Admin, Teacher)
+router.get('/audit', authorize('Admin', 'Teacher'), getAttendanceAudit);
+
+// @route   GET /api/attendance/eligibility
+// @desc    Check subject attendance eligibility before exams
+// @access  Private (Admin, Teacher)
+router.get('/eligibility', authorize('Admin', 'Teacher'), getAttendanceEligibility);
+
+// @route   GET /api/attendance/at-risk
+// @desc    Get a ranked list of students at risk of chronic absenteeism per class
+// @access  Private (Admin, Class teacher)
+router.get('/at-risk', authorize('Admin', 'Teacher'), getAtRiskStudents);
+
 // @route   POST /api/attendance/mark
 // @desc    Mark attendance for a class
 // @access  Private (Admin, Teacher)
 router.post('/mark', markAttendanceValidation, markAttendance);
 
+// @route   POST /api/attendance/sync
+// @desc    Sync attendance changes made offline and fetch server changes since the last sync
+// @access  Private (Admin, Teacher)
+router.post('/sync', authorize('Admin', 'Teacher'), syncAttendanceValidation, syncAttendance);
+
+// @route   POST /api/attendance/import
+// @desc    Import attendance from a CSV or biometric/RFID punch log
+// @access  Private (Admin)
+router.post('/import', authorize('Admin'), upload.single('punchLog'), importAttendance);
+
 // @route   PUT /api/attendance/:id
 // @desc    Update attendance record
 // @access  Private (Admin, Teacher)
-router.put('/:id', updateAttendanceValidation, updateAttendance);
+router.put('/:id', authorize('Admin', 'Teacher'), updateAttendanceValidation, updateAttendance);
 
 // @route   GET /api/attendance/student/:studentId/summary
 // @desc    Get attendance summary for a student
@@ -57,4 +123,9 @@ router.get('/student/:studentId/summary', getStudentAttendanceSummary);
 // @access  Private (Admin, Teacher)
 router.get('/class/:classId/report', getClassAttendanceReport);
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/attendance/class/:classId/register
+// @desc    Get the monthly attendance register of a class, as JSON, CSV, XLSX or PDF
+// @access  Private (Admin, Teacher)
+router.get('/class/:classId/register', authorize('Admin', 'Teacher'), getMonthlyRegister);
+
+module.exports = router;
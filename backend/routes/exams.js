@@ -9,8 +9,31 @@ const {
   deleteExam,
   getExamResults,
   publishResults,
+  withdrawResults,
   getExamStats
 } = require('../controllers/examsController');
+const {
+  previewSchedule,
+  checkSchedule,
+  commitSchedule
+} = require('../controllers/examScheduleController');
+const {
+  getExamTypes,
+  getExamType,
+  createExamType,
+  updateExamType,
+  reorderExamTypes,
+  deleteExamType
+} = require('../controllers/examTypesController');
+const {
+  getSupplementaryEligibility,
+  createSupplementaryExam
+} = require('../controllers/supplementaryExamsController');
+const {
+  setExamQuestions,
+  getItemAnalysis
+} = require('../controllers/examQuestionsController');
+const { authorize } = require('../middleware/auth');
 
 // Validation rules
 const examValidation = [
@@ -22,8 +45,8 @@ const examValidation = [
   body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid start time is required (HH:MM format)'),
   body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time is required (HH:MM format)'),
   body('duration').optional().isInt({ min: 1, max: 480 }).withMessage('Duration must be between 1 and 480 minutes'),
-  body('totalMarks').isInt({ min: 1, max: 1000 }).withMessage('Total marks must be between 1 and 1000'),
-  body('passMarks').isInt({ min: 1, max: 1000 }).withMessage('Pass marks must be between 1 and 1000'),
+  body('totalMarks').optional().isInt({ min: 1, max: 1000 }).withMessage('Total marks must be between 1 and 1000'),
+  body('passMarks').optional().isInt({ min: 1, max: 1000 }).withMessage('Pass marks must be between 1 and 1000'),
   body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters')
 ];
 
@@ -39,6 +62,153 @@ const updateExamValidation = [
   body('status').optional().isIn(['Scheduled', 'Ongoing', 'Completed', 'Cancelled']).withMessage('Invalid status')
 ];
 
+const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const scheduleEntryValidation = [
+  body('exams').isArray({ min: 1 }).withMessage('At least one exam is required'),
+  body('exams.*.class').isMongoId().withMessage('Valid class ID is required'),
+  body('exams.*.section').optional().isMongoId().withMessage('Valid section ID is required'),
+  body('exams.*.subject').isMongoId().withMessage('Valid subject ID is required'),
+  body('exams.*.teacher').optional().isMongoId().withMessage('Valid teacher ID is required'),
+  body('exams.*.invigilator').optional().isMongoId().withMessage('Valid invigilator ID is required'),
+  body('exams.*.room').optional().trim().isLength({ max: 50 }).withMessage('Room cannot exceed 50 characters'),
+  body('exams.*.date').isISO8601().withMessage('Valid exam date is required'),
+  body('exams.*.startTime').matches(timePattern).withMessage('Valid start time is required (HH:MM format)'),
+  body('exams.*.endTime').matches(timePattern).withMessage('Valid end time is required (HH:MM format)'),
+  body('exams.*.totalMarks').optional().isInt({ min: 1, max: 1000 }).withMessage('Total marks must be between 1 and 1000'),
+  body('exams.*.passingMarks').optional().isInt({ min: 1, max: 1000 }).withMessage('Passing marks must be between 1 and 1000')
+];
+
+const schedulePreviewValidation = [
+  body('examType').isMongoId().withMessage('Valid exam type ID is required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('slots').optional().isArray({ min: 1 }).withMessage('At least one time slot is required'),
+  body('slots.*.startTime').matches(timePattern).withMessage('Valid slot start time is required (HH:MM format)'),
+  body('slots.*.endTime').matches(timePattern).withMessage('Valid slot end time is required (HH:MM format)'),
+  body('excludeWeekdays').optional().isArray().withMessage('Excluded weekdays must be an array'),
+  body('excludeWeekdays.*').optional().isInt({ min: 0, max: 6 }).withMessage('Weekdays must be 0 (Sunday) to 6 (Saturday)'),
+  body('excludeDates').optional().isArray().withMessage('Excluded dates must be an array'),
+  body('excludeDates.*').optional().isISO8601().withMessage('Excluded dates must be valid dates'),
+  body('maxPapersPerDay').optional().isInt({ min: 1, max: 5 }).withMessage('Papers per day must be between 1 and 5'),
+  body('classes').isArray({ min: 1 }).withMessage('At least one class is required'),
+  body('classes.*.class').isMongoId().withMessage('Valid class ID is required'),
+  body('classes.*.section').optional().isMongoId().withMessage('Valid section ID is required'),
+  body('classes.*.subjects').isArray({ min: 1 }).withMessage('Each class needs at least one subject'),
+  body('classes.*.subjects.*.subject').isMongoId().withMessage('Valid subject ID is required'),
+  body('classes.*.subjects.*.duration').optional().isInt({ min: 1, max: 480 }).withMessage('Duration must be between 1 and 480 minutes')
+];
+
+const scheduleCommitValidation = [
+  body('examType').isMongoId().withMessage('Valid exam type ID is required'),
+  body('session').optional().isMongoId().withMessage('Valid session ID is required'),
+  ...scheduleEntryValidation
+];
+
+const examTypeValidation = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Exam type name must be 1-100 characters'),
+  body('session').isMongoId().withMessage('Valid session ID is required'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('totalMarks').optional().isInt({ min: 1, max: 1000 }).withMessage('Total marks must be between 1 and 1000'),
+  body('passingMarks').optional().isInt({ min: 1, max: 1000 }).withMessage('Passing marks must be between 1 and 1000'),
+  body('duration').optional().isInt({ min: 1, max: 480 }).withMessage('Duration must be between 1 and 480 minutes'),
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a non-negative integer'),
+  body('weight').optional().isFloat({ min: 0, max: 100 }).withMessage('Weight must be between 0 and 100')
+];
+
+const updateExamTypeValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Exam type name must be 1-100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('totalMarks').optional().isInt({ min: 1, max: 1000 }).withMessage('Total marks must be between 1 and 1000'),
+  body('passingMarks').optional().isInt({ min: 1, max: 1000 }).withMessage('Passing marks must be between 1 and 1000'),
+  body('duration').optional().isInt({ min: 1, max: 480 }).withMessage('Duration must be between 1 and 480 minutes'),
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a non-negative integer'),
+  body('weight').optional().isFloat({ min: 0, max: 100 }).withMessage('Weight must be between 0 and 100'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const reorderExamTypesValidation = [
+  body('session').isMongoId().withMessage('Valid session ID is required'),
+  body('examTypes').isArray({ min: 1 }).withMessage('Exam types are required'),
+  body('examTypes.*').isMongoId().withMessage('Valid exam type ID is required')
+];
+
+const supplementaryValidation = [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Exam name must be 2-100 characters'),
+  body('date').isISO8601().withMessage('Valid exam date is required'),
+  body('startTime').matches(timePattern).withMessage('Valid start time is required (HH:MM format)'),
+  body('endTime').matches(timePattern).withMessage('Valid end time is required (HH:MM format)'),
+  body('room').optional().trim().isLength({ max: 50 }).withMessage('Room cannot exceed 50 characters'),
+  body('invigilator').optional().isMongoId().withMessage('Valid invigilator ID is required'),
+  body('teacher').optional().isMongoId().withMessage('Valid teacher ID is required'),
+  body('students').optional().isArray({ min: 1 }).withMessage('Students must be a non-empty array'),
+  body('students.*').isMongoId().withMessage('Valid student ID is required'),
+  body('policy.mode').optional().isIn(['Replace', 'Best', 'Cap']).withMessage('Policy mode must be Replace, Best or Cap'),
+  body('policy.capGrade').optional().trim().isLength({ min: 1, max: 10 }).withMessage('Cap grade must be 1-10 characters')
+];
+
+const questionsValidation = [
+  body('questions').isArray().withMessage('Questions must be an array'),
+  body('questions.*.number').trim().isLength({ min: 1, max: 20 }).withMessage('Question number must be 1-20 characters'),
+  body('questions.*.section').optional().trim().isLength({ max: 50 }).withMessage('Section cannot exceed 50 characters'),
+  body('questions.*.maxMarks').isFloat({ min: 0.5 }).withMessage('Question max marks must be at least 0.5'),
+  body('questions.*.learningOutcomes').optional().isArray().withMessage('Learning outcomes must be an array'),
+  body('questions.*.learningOutcomes.*').trim().isLength({ min: 1, max: 100 }).withMessage('Learning outcome must be 1-100 characters')
+];
+
+const publishValidation = [
+  body('publishAt').optional().isISO8601().withMessage('Valid publication date and time is required')
+];
+
+const withdrawValidation = [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// @route   GET /api/exams/types
+// @desc    Get exam types
+// @access  Private
+router.get('/types', getExamTypes);
+
+// @route   POST /api/exams/types
+// @desc    Create exam type
+// @access  Private (Admin)
+router.post('/types', authorize('Admin'), examTypeValidation, createExamType);
+
+// @route   PUT /api/exams/types/reorder
+// @desc    Reorder the exam types of a session
+// @access  Private (Admin)
+router.put('/types/reorder', authorize('Admin'), reorderExamTypesValidation, reorderExamTypes);
+
+// @route   GET /api/exams/types/:id
+// @desc    Get single exam type
+// @access  Private
+router.get('/types/:id', getExamType);
+
+// @route   PUT /api/exams/types/:id
+// @desc    Update exam type
+// @access  Private (Admin)
+router.put('/types/:id', authorize('Admin'), updateExamTypeValidation, updateExamType);
+
+// @route   DELETE /api/exams/types/:id
+// @desc    Delete exam type without exams or marks
+// @access  Private (Admin)
+router.delete('/types/:id', authorize('Admin'), deleteExamType);
+
+// @route   POST /api/exams/schedule/preview
+// @desc    Generate a proposed exam timetable for an exam type
+// @access  Private (Admin)
+router.post('/schedule/preview', authorize('Admin'), schedulePreviewValidation, previewSchedule);
+
+// @route   POST /api/exams/schedule/check
+// @desc    Check an exam timetable for class, room and invigilator clashes
+// @access  Private (Admin)
+router.post('/schedule/check', authorize('Admin'), scheduleEntryValidation, checkSchedule);
+
+// @route   POST /api/exams/schedule/commit
+// @desc    Create the exams of an accepted timetable
+// @access  Private (Admin)
+router.post('/schedule/commit', authorize('Admin'), scheduleCommitValidation, commitSchedule);
+
 // @route   GET /api/exams
 // @desc    Get all exams
 // @access  Private (Admin, Teacher, Student)
@@ -74,9 +244,34 @@ router.delete('/:id', deleteExam);
 // @access  Private (Admin, Teacher, Student-own)
 router.get('/:id/results', getExamResults);
 
+// @route   PUT /api/exams/:id/questions
+// @desc    Define the questions of an exam paper
+// @access  Private (Admin, Teacher-own, Head of department)
+router.put('/:id/questions', authorize('Admin', 'Teacher'), questionsValidation, setExamQuestions);
+
+// @route   GET /api/exams/:id/item-analysis
+// @desc    Get difficulty, discrimination and learning outcome analysis per question
+// @access  Private (Admin, Teacher-own, Head of department)
+router.get('/:id/item-analysis', authorize('Admin', 'Teacher'), getItemAnalysis);
+
+// @route   GET /api/exams/:id/supplementary/eligible
+// @desc    Get failed and absent students eligible for a supplementary exam
+// @access  Private (Admin, Teacher-own)
+router.get('/:id/supplementary/eligible', authorize('Admin', 'Teacher'), getSupplementaryEligibility);
+
+// @route   POST /api/exams/:id/supplementary
+// @desc    Schedule a supplementary exam linked to this exam
+// @access  Private (Admin)
+router.post('/:id/supplementary', authorize('Admin'), supplementaryValidation, createSupplementaryExam);
+
 // @route   POST /api/exams/:id/publish
-// @desc    Publish exam results
+// @desc    Publish exam results now or at a scheduled time
+// @access  Private (Admin, Teacher-own)
+router.post('/:id/publish', authorize('Admin', 'Teacher'), publishValidation, publishResults);
+
+// @route   POST /api/exams/:id/unpublish
+// @desc    Withdraw published or scheduled exam results
 // @access  Private (Admin, Teacher-own)
-router.post('/:id/publish', publishResults);
+router.post('/:id/unpublish', authorize('Admin', 'Teacher'), withdrawValidation, withdrawResults);
 
 module.exports = router;
\ No newline at end of file
@@ -10,6 +10,25 @@ const {
   generateFeeReceipt,
   getFeeStats
 } = require('../controllers/feesController');
+const {
+  getFeeInvoices,
+  getFeeInvoice,
+  generateFeeInvoices,
+  recordInvoicePayment,
+  cancelFeeInvoice
+} = require('../controllers/feeInvoicesController');
+const {
+  addInstallmentPlan,
+  deleteInstallmentPlan,
+  assignInstallmentPlan
+} = require('../controllers/feeInstallmentsController');
+const {
+  getConcessions,
+  createConcession,
+  reviewConcession,
+  revokeConcession,
+  getConcessionReport
+} = require('../controllers/feeConcessionsController');
 const { protect } = require('../middleware/auth');
 const roleAuth = require('../middleware/roleAuth');
 
@@ -23,9 +42,73 @@ router.post('/structures', [
   body('class').isMongoId().withMessage('Valid class ID is required'),
   body('feeType').isMongoId().withMessage('Valid fee type ID is required'),
   body('amount').isNumeric().withMessage('Amount must be a number'),
-  body('dueDate').isISO8601().withMessage('Valid due date is required')
+  body('dueDate').isISO8601().withMessage('Valid due date is required'),
+  body('lateFee.amount').optional().isFloat({ min: 0 }).withMessage('Late fee must be a positive number'),
+  body('lateFee.afterDays').optional().isInt({ min: 0 }).withMessage('Grace days must be a positive whole number'),
+  body('lateFee.mode').optional().isIn(['Flat', 'Per Day', 'Per Month'])
+    .withMessage('Late fee mode must be Flat, Per Day or Per Month'),
+  body('lateFee.maxAmount').optional().isFloat({ min: 0 }).withMessage('Maximum late fee must be a positive number')
 ], createFeeStructure);
 
+// Instalment Plan Routes
+router.post('/structures/:id/installment-plans', [
+  protect,
+  roleAuth(['Admin']),
+  body('name').trim().notEmpty().withMessage('Plan name is required')
+    .isLength({ max: 100 }).withMessage('Plan name cannot exceed 100 characters'),
+  body('installments').isArray({ min: 2 }).withMessage('A plan needs at least two instalments'),
+  body('installments.*.percentage').optional().isFloat({ gt: 0, max: 100 })
+    .withMessage('Percentage must be between 0 and 100'),
+  body('installments.*.amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('installments.*.dueDate').isISO8601().withMessage('Valid instalment due date is required')
+], addInstallmentPlan);
+
+router.delete('/structures/:id/installment-plans/:planId', protect, roleAuth(['Admin']), deleteInstallmentPlan);
+
+router.post('/installment-plans/assign', [
+  protect,
+  roleAuth(['Admin']),
+  body('feeStructure').isMongoId().withMessage('Valid fee structure ID is required'),
+  body('plan').isMongoId().withMessage('Valid plan ID is required'),
+  body('students').isArray({ min: 1 }).withMessage('At least one student is required'),
+  body('students.*').isMongoId().withMessage('Valid student ID is required'),
+  body('remarks').optional().isLength({ max: 500 }).withMessage('Remarks cannot exceed 500 characters')
+], assignInstallmentPlan);
+
+// Concession Routes
+router.get('/concessions', protect, roleAuth(['Admin', 'Student', 'Parent']), getConcessions);
+
+router.get('/concessions/report', protect, roleAuth(['Admin']), getConcessionReport);
+
+router.post('/concessions', [
+  protect,
+  roleAuth(['Admin']),
+  body('student').isMongoId().withMessage('Valid student ID is required'),
+  body('category').isIn(['Sibling', 'Staff Child', 'Merit Scholarship', 'Need-Based Waiver', 'Other'])
+    .withMessage('Invalid concession category'),
+  body('type').isIn(['Percentage', 'Fixed']).withMessage('Type must be Percentage or Fixed'),
+  body('value').isFloat({ gt: 0 }).withMessage('Value must be greater than zero'),
+  body('feeTypes').optional().isArray().withMessage('Fee types must be an array'),
+  body('feeTypes.*').isMongoId().withMessage('Valid fee type ID is required'),
+  body('validFrom').isISO8601().withMessage('Valid from date is required'),
+  body('validTo').optional().isISO8601().withMessage('Valid to date must be a valid date'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason must be 1-500 characters'),
+  body('session').optional().isMongoId().withMessage('Valid session ID is required')
+], createConcession);
+
+router.put('/concessions/:id/review', [
+  protect,
+  roleAuth(['Admin']),
+  body('status').isIn(['Approved', 'Rejected']).withMessage('Status must be Approved or Rejected'),
+  body('remarks').optional().trim().isLength({ max: 500 }).withMessage('Remarks cannot exceed 500 characters')
+], reviewConcession);
+
+router.put('/concessions/:id/revoke', [
+  protect,
+  roleAuth(['Admin']),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason must be 1-500 characters')
+], revokeConcession);
+
 // Fee Payment Routes
 router.get('/payments', protect, getFeePayments);
 
@@ -37,9 +120,52 @@ router.post('/payments', [
   body('amount').isNumeric().withMessage('Amount must be a number'),
   body('paymentMethod').isIn(['Cash', 'Card', 'Bank Transfer', 'Online', 'Cheque'])
     .withMessage('Invalid payment method'),
-  body('transactionId').optional().notEmpty().withMessage('Transaction ID cannot be empty if provided')
+  body('transactionId').optional().notEmpty().withMessage('Transaction ID cannot be empty if provided'),
+  body('waiveLateFee').optional().isBoolean().withMessage('Waive late fee must be true or false'),
+  body('lateFeeWaiverReason').if(body('waiveLateFee').equals('true'))
+    .trim().isLength({ min: 1, max: 500 }).withMessage('A reason of 1-500 characters is required to waive the late fee')
 ], recordFeePayment);
 
+// Fee Invoice Routes
+router.get('/invoices', protect, getFeeInvoices);
+
+router.post('/invoices/generate', [
+  protect,
+  roleAuth(['Admin']),
+  body('class').optional().isMongoId().withMessage('Valid class ID is required'),
+  body('section').optional().isMongoId().withMessage('Valid section ID is required'),
+  body('session').optional().isMongoId().withMessage('Valid session ID is required'),
+  body('upTo').optional().isISO8601().withMessage('Valid up to date is required'),
+  body('includeOptional').optional().isBoolean().withMessage('Include optional must be true or false'),
+  body('dryRun').optional().isBoolean().withMessage('Dry run must be true or false')
+], generateFeeInvoices);
+
+router.post('/invoices/payments', [
+  protect,
+  roleAuth(['Admin']),
+  body('student').isMongoId().withMessage('Valid student ID is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('paymentMethod').isIn(['Cash', 'Card', 'Bank Transfer', 'Online', 'Cheque'])
+    .withMessage('Invalid payment method'),
+  body('transactionId').optional().notEmpty().withMessage('Transaction ID cannot be empty if provided'),
+  body('paymentDate').optional().isISO8601().withMessage('Valid payment date is required'),
+  body('allocations').optional().isArray().withMessage('Allocations must be an array'),
+  body('allocations.*.invoice').isMongoId().withMessage('Valid invoice ID is required'),
+  body('allocations.*.amount').isFloat({ gt: 0 }).withMessage('Allocated amount must be greater than zero'),
+  body('waiveLateFee').optional().isBoolean().withMessage('Waive late fee must be true or false'),
+  body('lateFeeWaiverReason').if(body('waiveLateFee').equals('true'))
+    .trim().isLength({ min: 1, max: 500 }).withMessage('A reason of 1-500 characters is required to waive the late fee')
+], recordInvoicePayment);
+
+router.get('/invoices/:id', protect, getFeeInvoice);
+
+router.put('/invoices/:id/cancel', [
+  protect,
+  roleAuth(['Admin']),
+  body('reason').trim().notEmpty().withMessage('Cancellation reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], cancelFeeInvoice);
+
 // Student Fee Status
 router.get('/student/:studentId/status', protect, getStudentFeeStatus);
 
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const {
+  getGradingSchemes,
+  getGradingScheme,
+  createGradingScheme,
+  updateGradingScheme,
+  deleteGradingScheme
+} = require('../controllers/gradingSchemesController');
+
+// Validation rules
+const bandValidation = [
+  body('bands.*.label').trim().isLength({ min: 1, max: 10 }).withMessage('Band label must be 1-10 characters'),
+  body('bands.*.minPercentage').isFloat({ min: 0, max: 100 }).withMessage('Band minimum percentage must be between 0 and 100'),
+  body('bands.*.gradePoint').optional().isFloat({ min: 0 }).withMessage('Grade point must be a non-negative number'),
+  body('bands.*.isPass').optional().isBoolean().withMessage('isPass must be a boolean')
+];
+
+const gradingSchemeValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Grading scheme name must be 2-100 characters'),
+  body('bands').isArray({ min: 1 }).withMessage('At least one grade band is required'),
+  ...bandValidation,
+  body('classes').optional().isArray().withMessage('Classes must be an array'),
+  body('classes.*').optional().isMongoId().withMessage('Each class ID must be valid'),
+  body('examTypes').optional().isArray().withMessage('Exam types must be an array'),
+  body('examTypes.*').optional().isMongoId().withMessage('Each exam type ID must be valid'),
+  body('maxGradePoint').optional().isFloat({ min: 0 }).withMessage('Maximum grade point must be a non-negative number'),
+  body('session').optional().isMongoId().withMessage('Valid session ID is required')
+];
+
+const updateGradingSchemeValidation = [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Grading scheme name must be 2-100 characters'),
+  body('bands').optional().isArray({ min: 1 }).withMessage('At least one grade band is required'),
+  ...bandValidation,
+  body('classes').optional().isArray().withMessage('Classes must be an array'),
+  body('classes.*').optional().isMongoId().withMessage('Each class ID must be valid'),
+  body('examTypes').optional().isArray().withMessage('Exam types must be an array'),
+  body('examTypes.*').optional().isMongoId().withMessage('Each exam type ID must be valid'),
+  body('maxGradePoint').optional().isFloat({ min: 0 }).withMessage('Maximum grade point must be a non-negative number'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @route   GET /api/grading-schemes
+// @desc    Get grading schemes
+// @access  Private (Admin, Teacher)
+router.get('/', authorize('Admin', 'Teacher'), getGradingSchemes);
+
+// @route   GET /api/grading-schemes/:id
+// @desc    Get single grading scheme
+// @access  Private (Admin, Teacher)
+router.get('/:id', authorize('Admin', 'Teacher'), getGradingScheme);
+
+// @route   POST /api/grading-schemes
+// @desc    Create grading scheme
+// @access  Private (Admin)
+router.post('/', authorize('Admin'), gradingSchemeValidation, createGradingScheme);
+
+// @route   PUT /api/grading-schemes/:id
+// @desc    Update grading scheme and regrade affected marks
+// @access  Private (Admin)
+router.put('/:id', authorize('Admin'), updateGradingSchemeValidation, updateGradingScheme);
+
+// @route   DELETE /api/grading-schemes/:id
+// @desc    Delete grading scheme
+// @access  Private (Admin)
+router.delete('/:id', authorize('Admin'), deleteGradingScheme);
+
+module.exports = router;
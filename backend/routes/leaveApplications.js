@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const {
+  getLeaveApplications,
+  getLeaveApplication,
+  applyForLeave,
+  reviewLeaveApplication,
+  cancelLeaveApplication
+} = require('../controllers/leaveApplicationsController');
+
+// Validation rules
+const leaveApplicationValidation = [
+  body('student').if((value, { req }) => req.user.role !== 'Student').isMongoId().withMessage('Valid student ID is required'),
+  body('type').optional().isIn(['Sick', 'Family', 'Other']).withMessage('Invalid leave type'),
+  body('fromDate').isISO8601().withMessage('Valid from date is required'),
+  body('toDate').optional().isISO8601().withMessage('Valid to date is required'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason must be 1-500 characters')
+];
+
+const reviewValidation = [
+  body('status').isIn(['Approved', 'Rejected']).withMessage('Status must be Approved or Rejected'),
+  body('remarks').optional().trim().isLength({ max: 500 }).withMessage('Remarks cannot exceed 500 characters')
+];
+
+// @route   GET /api/leave-applications
+// @desc    Get leave applications
+// @access  Private (Admin, Teacher-class, Student-own, Parent-own)
+router.get('/', getLeaveApplications);
+
+// @route   POST /api/leave-applications
+// @desc    Apply for leave, with an optional medical document
+// @access  Private (Admin, Student-own, Parent-own)
+router.post('/', authorize('Admin', 'Student', 'Parent'), upload.single('medicalDocument'), leaveApplicationValidation, applyForLeave);
+
+// @route   GET /api/leave-applications/:id
+// @desc    Get single leave application
+// @access  Private (Admin, Teacher-class, Student-own, Parent-own)
+router.get('/:id', getLeaveApplication);
+
+// @route   PUT /api/leave-applications/:id/review
+// @desc    Approve or reject a leave application
+// @access  Private (Admin, Class teacher)
+router.put('/:id/review', authorize('Admin', 'Teacher'), reviewValidation, reviewLeaveApplication);
+
+// @route   PUT /api/leave-applications/:id/cancel
+// @desc    Cancel a leave application
+// @access  Private (Admin, Student-own, Parent-own)
+router.put('/:id/cancel', authorize('Admin', 'Student', 'Parent'), cancelLeaveApplication);
+
+module.exports = router;
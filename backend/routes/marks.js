@@ -1,8 +1,115 @@
 const express = require('express');
 const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const {
+  getMarks,
+  createMark,
+  updateMark,
+  bulkUpsertMarks,
+  getStudentMarks,
+  getClassExamMarks,
+  getMarkHistory,
+  submitMarks,
+  approveMarks,
+  returnMarks,
+  lockMarks,
+  unlockMarks
+} = require('../controllers/marksController');
 
-router.get('/', (req, res) => {
-  res.json({ success: true, message: 'Marks routes - to be implemented' });
-});
+// Validation rules
+const markValidation = [
+  body('exam').isMongoId().withMessage('Valid exam ID is required'),
+  body('student').isMongoId().withMessage('Valid student ID is required'),
+  body('marksObtained').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Marks obtained must be a non-negative number'),
+  body('questionMarks').optional().isArray().withMessage('Question marks must be an array'),
+  body('questionMarks.*.question').trim().notEmpty().withMessage('Question number is required'),
+  body('questionMarks.*.marksObtained').isFloat({ min: 0 }).withMessage('Question marks must be a non-negative number'),
+  body('isAbsent').optional().isBoolean().withMessage('isAbsent must be a boolean'),
+  body('remarks').optional().trim().isLength({ max: 200 }).withMessage('Remarks cannot exceed 200 characters')
+];
 
-module.exports = router;
\ No newline at end of file
+const updateMarkValidation = [
+  body('marksObtained').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Marks obtained must be a non-negative number'),
+  body('questionMarks').optional().isArray().withMessage('Question marks must be an array'),
+  body('questionMarks.*.question').trim().notEmpty().withMessage('Question number is required'),
+  body('questionMarks.*.marksObtained').isFloat({ min: 0 }).withMessage('Question marks must be a non-negative number'),
+  body('isAbsent').optional().isBoolean().withMessage('isAbsent must be a boolean'),
+  body('remarks').optional().trim().isLength({ max: 200 }).withMessage('Remarks cannot exceed 200 characters'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+const bulkMarkValidation = [
+  body('exam').isMongoId().withMessage('Valid exam ID is required'),
+  body('marks').isArray({ min: 1 }).withMessage('Marks data is required'),
+  body('marks.*.student').isMongoId().withMessage('Valid student ID is required'),
+  body('marks.*.marksObtained').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Marks obtained must be a non-negative number'),
+  body('marks.*.questionMarks').optional().isArray().withMessage('Question marks must be an array'),
+  body('marks.*.questionMarks.*.question').trim().notEmpty().withMessage('Question number is required'),
+  body('marks.*.questionMarks.*.marksObtained').isFloat({ min: 0 }).withMessage('Question marks must be a non-negative number'),
+  body('marks.*.isAbsent').optional().isBoolean().withMessage('isAbsent must be a boolean'),
+  body('marks.*.remarks').optional().trim().isLength({ max: 200 }).withMessage('Remarks cannot exceed 200 characters'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// @route   GET /api/marks
+// @desc    Get exam marks with filters
+// @access  Private (Admin, Teacher)
+router.get('/', authorize('Admin', 'Teacher'), getMarks);
+
+// @route   POST /api/marks
+// @desc    Enter marks for a single student
+// @access  Private (Admin, Teacher-own)
+router.post('/', authorize('Admin', 'Teacher'), markValidation, createMark);
+
+// @route   POST /api/marks/bulk
+// @desc    Enter or update marks for a class roster of one exam
+// @access  Private (Admin, Teacher-own)
+router.post('/bulk', authorize('Admin', 'Teacher'), bulkMarkValidation, bulkUpsertMarks);
+
+// @route   GET /api/marks/student/:studentId
+// @desc    Get marks of a student
+// @access  Private (Admin, Teacher-own, Student-own, Parent-own)
+router.get('/student/:studentId', authorize('Admin', 'Teacher', 'Student', 'Parent'), getStudentMarks);
+
+// @route   GET /api/marks/class/:classId/exam/:examId
+// @desc    Get mark-entry grid of a class for one exam
+// @access  Private (Admin, Teacher-own)
+router.get('/class/:classId/exam/:examId', authorize('Admin', 'Teacher'), getClassExamMarks);
+
+// @route   POST /api/marks/exam/:examId/submit
+// @desc    Submit an exam's marks for approval
+// @access  Private (Admin, Teacher-own)
+router.post('/exam/:examId/submit', authorize('Admin', 'Teacher'), submitMarks);
+
+// @route   POST /api/marks/exam/:examId/approve
+// @desc    Approve submitted marks
+// @access  Private (Admin, Head of department)
+router.post('/exam/:examId/approve', authorize('Admin', 'Teacher'), approveMarks);
+
+// @route   POST /api/marks/exam/:examId/return
+// @desc    Return submitted marks to the teacher with a reason
+// @access  Private (Admin, Head of department)
+router.post('/exam/:examId/return', authorize('Admin', 'Teacher'), returnMarks);
+
+// @route   POST /api/marks/exam/:examId/lock
+// @desc    Lock approved marks
+// @access  Private (Admin)
+router.post('/exam/:examId/lock', authorize('Admin'), lockMarks);
+
+// @route   POST /api/marks/exam/:examId/unlock
+// @desc    Unlock approved or locked marks back to draft with a reason
+// @access  Private (Admin)
+router.post('/exam/:examId/unlock', authorize('Admin'), unlockMarks);
+
+// @route   GET /api/marks/:id/history
+// @desc    Get the change history of a mark entry
+// @access  Private (Admin, Teacher-own, Head of department)
+router.get('/:id/history', authorize('Admin', 'Teacher'), getMarkHistory);
+
+// @route   PUT /api/marks/:id
+// @desc    Update marks for a single student
+// @access  Private (Admin, Teacher-own)
+router.put('/:id', authorize('Admin', 'Teacher'), updateMarkValidation, updateMark);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const {
+  createPaymentOrder,
+  getPaymentOrders,
+  getPaymentOrder,
+  handlePaymentWebhook,
+  reconcilePayments,
+  completeMockPayment
+} = require('../controllers/onlinePaymentsController');
+const { protect } = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+
+// Provider Webhooks (no login; checked by the provider's signature)
+router.post('/webhooks/:provider', handlePaymentWebhook);
+
+// Payment Order Routes
+router.get('/orders', protect, roleAuth(['Admin', 'Student', 'Parent']), getPaymentOrders);
+
+router.post('/orders', [
+  protect,
+  roleAuth(['Admin', 'Student', 'Parent']),
+  body('student').isMongoId().withMessage('Valid student ID is required'),
+  body('invoices').optional().isArray().withMessage('Invoices must be an array'),
+  body('invoices.*').isMongoId().withMessage('Valid invoice ID is required')
+], createPaymentOrder);
+
+router.get('/orders/:id', protect, roleAuth(['Admin', 'Student', 'Parent']), getPaymentOrder);
+
+// Reconciliation
+router.post('/reconcile', protect, roleAuth(['Admin']), reconcilePayments);
+
+// Mock Provider Checkout
+router.post('/mock/:providerOrderId/complete', [
+  protect,
+  body('outcome').optional().isIn(['success', 'failure']).withMessage('Outcome must be success or failure')
+], completeMockPayment);
+
+module.exports = router;
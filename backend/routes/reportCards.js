@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const {
+  generateReportCards,
+  getReportCards,
+  getStudentReportCards,
+  publishReportCards,
+  unpublishReportCards
+} = require('../controllers/reportCardsController');
+
+// Validation rules
+const generateValidation = [
+  body('class').isMongoId().withMessage('Valid class ID is required'),
+  body('session').isMongoId().withMessage('Valid session ID is required'),
+  body('term').trim().isLength({ min: 1, max: 50 }).withMessage('Term must be 1-50 characters'),
+  body('components').isArray({ min: 1 }).withMessage('At least one exam type component is required'),
+  body('components.*.examType').isMongoId().withMessage('Valid exam type ID is required'),
+  body('components.*.weight').optional().isFloat({ min: 0 }).withMessage('Weight must be a non-negative number')
+];
+
+const publishValidation = [
+  body('class').isMongoId().withMessage('Valid class ID is required'),
+  body('session').isMongoId().withMessage('Valid session ID is required'),
+  body('term').trim().isLength({ min: 1, max: 50 }).withMessage('Term must be 1-50 characters')
+];
+
+// @route   GET /api/report-cards
+// @desc    Get report cards of a class
+// @access  Private (Admin, Teacher)
+router.get('/', authorize('Admin', 'Teacher'), getReportCards);
+
+// @route   POST /api/report-cards/generate
+// @desc    Compute and snapshot term report cards for a class
+// @access  Private (Admin)
+router.post('/generate', authorize('Admin'), generateValidation, generateReportCards);
+
+// @route   POST /api/report-cards/publish
+// @desc    Publish term report cards of a class
+// @access  Private (Admin)
+router.post('/publish', authorize('Admin'), publishValidation, publishReportCards);
+
+// @route   POST /api/report-cards/unpublish
+// @desc    Withdraw published term report cards of a class
+// @access  Private (Admin)
+router.post('/unpublish', authorize('Admin'), publishValidation, unpublishReportCards);
+
+// @route   GET /api/report-cards/student/:studentId
+// @desc    Get report cards of a student
+// @access  Private (Admin, Teacher, Student-own, Parent-own)
+router.get('/student/:studentId', getStudentReportCards);
+
+module.exports = router;
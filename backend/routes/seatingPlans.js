@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const {
+  getSeatingPlans,
+  getSeatingPlan,
+  createSeatingPlan,
+  deleteSeatingPlan,
+  getSeatingChart,
+  getStudentAdmitCard,
+  getClassAdmitCards
+} = require('../controllers/seatingPlansController');
+
+// Validation rules
+const seatingPlanValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('exams').isArray({ min: 1 }).withMessage('At least one exam is required'),
+  body('exams.*').isMongoId().withMessage('Valid exam ID is required'),
+  body('pattern').optional().isIn(['Alternate', 'Sequential']).withMessage('Pattern must be Alternate or Sequential'),
+  body('rooms').optional().isArray({ min: 1 }).withMessage('Rooms must be a non-empty array'),
+  body('rooms.*.room').trim().isLength({ min: 1, max: 50 }).withMessage('Room must be 1-50 characters'),
+  body('rooms.*.capacity').isInt({ min: 1 }).withMessage('Room capacity must be a positive integer'),
+  body('rooms.*.columns').optional().isInt({ min: 1 }).withMessage('Columns must be a positive integer'),
+  body('rooms.*.invigilator').optional().isMongoId().withMessage('Valid invigilator ID is required'),
+  body('session').optional().isMongoId().withMessage('Valid session ID is required')
+];
+
+// @route   GET /api/seating-plans/admit-cards
+// @desc    Get admit cards of a class (?format=pdf for printing)
+// @access  Private (Admin, Teacher)
+router.get('/admit-cards', authorize('Admin', 'Teacher'), getClassAdmitCards);
+
+// @route   GET /api/seating-plans/admit-cards/student/:studentId
+// @desc    Get admit card of a student (?format=pdf for printing)
+// @access  Private (Admin, Teacher, Student-own, Parent-own)
+router.get('/admit-cards/student/:studentId', getStudentAdmitCard);
+
+// @route   GET /api/seating-plans
+// @desc    Get seating plans
+// @access  Private (Admin, Teacher)
+router.get('/', authorize('Admin', 'Teacher'), getSeatingPlans);
+
+// @route   POST /api/seating-plans
+// @desc    Allocate students of one sitting into rooms
+// @access  Private (Admin)
+router.post('/', authorize('Admin'), seatingPlanValidation, createSeatingPlan);
+
+// @route   GET /api/seating-plans/:id
+// @desc    Get single seating plan
+// @access  Private (Admin, Teacher)
+router.get('/:id', authorize('Admin', 'Teacher'), getSeatingPlan);
+
+// @route   GET /api/seating-plans/:id/chart
+// @desc    Get room seating charts (?format=pdf for printing)
+// @access  Private (Admin, Teacher)
+router.get('/:id/chart', authorize('Admin', 'Teacher'), getSeatingChart);
+
+// @route   DELETE /api/seating-plans/:id
+// @desc    Delete seating plan
+// @access  Private (Admin)
+router.delete('/:id', authorize('Admin'), deleteSeatingPlan);
+
+module.exports = router;
@@ -1,8 +1,71 @@
 const express = require('express');
 const router = express.Router();
+const { body, query } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const {
+  getCalendar,
+  updateWorkingDays,
+  addCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent
+} = require('../controllers/calendarController');
+
+const CALENDAR_EVENT_TYPES = ['Holiday', 'Term Break', 'Exam Day', 'Half Day'];
+
+// Validation rules
+const calendarQueryValidation = [
+  query('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date is required')
+];
+
+const workingDaysValidation = [
+  body('workingDays').isArray({ min: 1, max: 7 }).withMessage('At least one working day is required'),
+  body('workingDays.*').isInt({ min: 0, max: 6 }).withMessage('Working days must be 0 (Sunday) to 6 (Saturday)')
+];
+
+const calendarEventValidation = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Event name must be 1-100 characters'),
+  body('type').isIn(CALENDAR_EVENT_TYPES).withMessage('Invalid calendar event type'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters')
+];
+
+const updateCalendarEventValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Event name must be 1-100 characters'),
+  body('type').optional().isIn(CALENDAR_EVENT_TYPES).withMessage('Invalid calendar event type'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters')
+];
 
 router.get('/', (req, res) => {
   res.json({ success: true, message: 'Sessions routes - to be implemented' });
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/sessions/:id/calendar
+// @desc    Get the academic calendar of a session
+// @access  Private
+router.get('/:id/calendar', calendarQueryValidation, getCalendar);
+
+// @route   PUT /api/sessions/:id/calendar/working-days
+// @desc    Set the days of the week the school is open
+// @access  Private (Admin)
+router.put('/:id/calendar/working-days', authorize('Admin'), workingDaysValidation, updateWorkingDays);
+
+// @route   POST /api/sessions/:id/calendar/events
+// @desc    Add a holiday, term break, exam day or half day
+// @access  Private (Admin)
+router.post('/:id/calendar/events', authorize('Admin'), calendarEventValidation, addCalendarEvent);
+
+// @route   PUT /api/sessions/:id/calendar/events/:eventId
+// @desc    Update a calendar event
+// @access  Private (Admin)
+router.put('/:id/calendar/events/:eventId', authorize('Admin'), updateCalendarEventValidation, updateCalendarEvent);
+
+// @route   DELETE /api/sessions/:id/calendar/events/:eventId
+// @desc    Delete a calendar event
+// @access  Private (Admin)
+router.delete('/:id/calendar/events/:eventId', authorize('Admin'), deleteCalendarEvent);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const {
+  getStaffAttendance,
+  checkIn,
+  checkOut,
+  markStaffAttendance,
+  getMonthlyStaffReport
+} = require('../controllers/staffAttendanceController');
+
+// Validation rules
+const markStaffAttendanceValidation = [
+  body('teacher').isMongoId().withMessage('Valid teacher ID is required'),
+  body('date').isISO8601().withMessage('Valid date is required'),
+  body('status').isIn(['Present', 'Late', 'Half Day', 'Absent', 'On Leave']).withMessage('Invalid attendance status'),
+  body('checkIn').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Check-in must be in HH:MM format'),
+  body('checkOut').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Check-out must be in HH:MM format'),
+  body('remarks').optional().trim().isLength({ max: 200 }).withMessage('Remarks cannot exceed 200 characters')
+];
+
+// @route   GET /api/staff-attendance
+// @desc    Get staff attendance records
+// @access  Private (Admin, Teacher-own)
+router.get('/', authorize('Admin', 'Teacher'), getStaffAttendance);
+
+// @route   POST /api/staff-attendance
+// @desc    Record or correct a teacher's attendance for a day
+// @access  Private (Admin)
+router.post('/', authorize('Admin'), markStaffAttendanceValidation, markStaffAttendance);
+
+// @route   POST /api/staff-attendance/check-in
+// @desc    Check in for today
+// @access  Private (Teacher)
+router.post('/check-in', authorize('Teacher'), checkIn);
+
+// @route   POST /api/staff-attendance/check-out
+// @desc    Check out for today
+// @access  Private (Teacher)
+router.post('/check-out', authorize('Teacher'), checkOut);
+
+// @route   GET /api/staff-attendance/report/monthly
+// @desc    Get monthly staff attendance report
+// @access  Private (Admin)
+router.get('/report/monthly', authorize('Admin'), getMonthlyStaffReport);
+
+module.exports = router;
@@ -32,7 +32,9 @@ const updateStudentValidation = [
   body('class').optional().isMongoId().withMessage('Valid class ID is required'),
   body('section').optional().isMongoId().withMessage('Valid section ID is required'),
   body('dateOfBirth').optional().isISO8601().withMessage('Valid date of birth is required'),
-  body('gender').optional().isIn(['Male', 'Female', 'Other']).withMessage('Valid gender is required')
+  body('gender').optional().isIn(['Male', 'Female', 'Other']).withMessage('Valid gender is required'),
+  body('leavingDate').optional().isISO8601().withMessage('Valid leaving date is required'),
+  body('deviceId').optional({ nullable: true }).trim().isLength({ max: 50 }).withMessage('Device ID cannot exceed 50 characters')
 ];
 
 // Routes
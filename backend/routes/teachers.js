@@ -40,7 +40,9 @@ const updateTeacherValidation = [
   body('salary.basic').optional().isNumeric().withMessage('Basic salary must be a number'),
   body('salary.allowances').optional().isNumeric().withMessage('Allowances must be a number'),
   body('salary.deductions').optional().isNumeric().withMessage('Deductions must be a number'),
-  body('status').optional().isIn(['Active', 'Inactive', 'On Leave', 'Terminated']).withMessage('Invalid status')
+  body('isHeadOfDepartment').optional().isBoolean().withMessage('isHeadOfDepartment must be a boolean'),
+  body('status').optional().isIn(['Active', 'Inactive', 'On Leave', 'Terminated']).withMessage('Invalid status'),
+  body('deviceId').optional({ nullable: true }).trim().isLength({ max: 50 }).withMessage('Device ID cannot exceed 50 characters')
 ];
 
 const assignClassValidation = [
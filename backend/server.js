@@ -17,8 +17,14 @@ const studentRoutes = require('./routes/students');
 const teacherRoutes = require('./routes/teachers');
 const examRoutes = require('./routes/exams');
 const markRoutes = require('./routes/marks');
+const gradingSchemeRoutes = require('./routes/gradingSchemes');
+const reportCardRoutes = require('./routes/reportCards');
+const seatingPlanRoutes = require('./routes/seatingPlans');
 const attendanceRoutes = require('./routes/attendance');
+const leaveApplicationRoutes = require('./routes/leaveApplications');
+const staffAttendanceRoutes = require('./routes/staffAttendance');
 const feeRoutes = require('./routes/fees');
+const paymentRoutes = require('./routes/payments');
 const libraryRoutes = require('./routes/library');
 const studyMaterialRoutes = require('./routes/studyMaterials');
 const messageRoutes = require('./routes/messages');
@@ -30,6 +36,23 @@ const dashboardRoutes = require('./routes/dashboard');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const { protect } = require('./middleware/auth');
+const { startAbsenceAlertDispatcher } = require('./utils/absenceAlerts');
+const { getSmsConfigError } = require('./utils/notifications');
+const { startPaymentReconciler } = require('./utils/onlinePayments');
+const { getPaymentConfigError } = require('./utils/paymentGateway');
+const Attendance = require('./models/Attendance');
+
+// Online payments stay off, and their orders get 503, until a provider is configured
+const paymentConfigError = getPaymentConfigError();
+if (paymentConfigError) {
+  console.warn(`Online payments are disabled: ${paymentConfigError}`);
+}
+
+// SMS alerts are recorded as failed until a provider is configured
+const smsConfigError = getSmsConfigError();
+if (smsConfigError) {
+  console.warn(`SMS is unavailable: ${smsConfigError}`);
+}
 
 const app = express();
 
@@ -54,7 +77,13 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging
@@ -70,7 +99,16 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/school_ma
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  Attendance.dropLegacyIndexes()
+    .then(dropped => dropped.forEach(name => console.log(`Dropped legacy attendance index ${name}`)))
+    .catch(err => console.error('Attendance index migration error:', err));
+  startAbsenceAlertDispatcher();
+  if (!paymentConfigError) {
+    startPaymentReconciler();
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -83,8 +121,14 @@ app.use('/api/students', protect, studentRoutes);
 app.use('/api/teachers', protect, teacherRoutes);
 app.use('/api/exams', protect, examRoutes);
 app.use('/api/marks', protect, markRoutes);
+app.use('/api/grading-schemes', protect, gradingSchemeRoutes);
+app.use('/api/report-cards', protect, reportCardRoutes);
+app.use('/api/seating-plans', protect, seatingPlanRoutes);
 app.use('/api/attendance', protect, attendanceRoutes);
+app.use('/api/leave-applications', protect, leaveApplicationRoutes);
+app.use('/api/staff-attendance', protect, staffAttendanceRoutes);
 app.use('/api/fees', protect, feeRoutes);
+app.use('/api/payments', paymentRoutes);
 app.use('/api/library', protect, libraryRoutes);
 app.use('/api/study-materials', protect, studyMaterialRoutes);
 app.use('/api/messages', protect, messageRoutes);
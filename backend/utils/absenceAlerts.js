@@ -0,0 +1,287 @@
+const AbsenceAlert = require('../models/AbsenceAlert');
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const Session = require('../models/Session');
+const Message = require('../models/Message');
+const { sendEmail } = require('./mailer');
+const { sendSms } = require('./notifications');
+
+// Alert settings, configured through the environment
+const getAlertConfig = () => ({
+  enabled: process.env.ABSENCE_ALERTS_ENABLED !== 'false',
+  statuses: (process.env.ABSENCE_ALERT_STATUSES || 'Absent,Late').split(',').map(status => status.trim()),
+  channels: (process.env.ABSENCE_ALERT_CHANNELS || 'message,email,sms').split(',').map(channel => channel.trim().toLowerCase()),
+  batchMinutes: Number(process.env.ABSENCE_ALERT_BATCH_MINUTES || 30),
+  quietHours: process.env.ABSENCE_ALERT_QUIET_HOURS || '21:00-07:00',
+  escalationDays: Number(process.env.ABSENCE_ESCALATION_DAYS || 3)
+});
+
+// Add saved attendance records to the day's alert of each student.
+// Records whose status no longer alerts are taken out of an alert that has not been sent yet.
+const queueAbsenceAlerts = async (records, triggeredBy) => {
+  const config = getAlertConfig();
+  if (!config.enabled || records.length === 0) return;
+
+  const students = await Student.find({ _id: { $in: records.map(record => idOf(record.student)) } })
+    .select('parent');
+  const parents = new Map(students.map(student => [student._id.toString(), student.parent]));
+
+  for (const record of records) {
+    const studentId = idOf(record.student);
+    const parent = parents.get(studentId.toString());
+    if (!parent) continue;
+
+    const date = new Date(`${record.date.toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+    if (!config.statuses.includes(record.status)) {
+      const alert = await AbsenceAlert.findOne({ student: studentId, date, status: 'Pending' });
+      if (!alert) continue;
+
+      alert.entries = alert.entries.filter(entry => entry.attendance.toString() !== record._id.toString());
+      if (alert.entries.length === 0) alert.status = 'Cancelled';
+      await alert.save();
+      continue;
+    }
+
+    const alert = await AbsenceAlert.findOneAndUpdate(
+      { student: studentId, date },
+      {
+        $setOnInsert: {
+          parent,
+          scheduledFor: getSendTime(new Date(Date.now() + config.batchMinutes * 60 * 1000), config.quietHours),
+          triggeredBy,
+          session: record.session
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    // A student's parents hear at most once a day
+    if (['Sent', 'Failed'].includes(alert.status)) continue;
+
+    if (alert.status === 'Cancelled') {
+      alert.status = 'Pending';
+      alert.scheduledFor = getSendTime(new Date(Date.now() + config.batchMinutes * 60 * 1000), config.quietHours);
+    }
+
+    alert.entries = alert.entries.filter(entry => entry.attendance.toString() !== record._id.toString());
+    alert.entries.push({
+      attendance: record._id,
+      status: record.status,
+      subject: idOf(record.subject),
+      period: record.period
+    });
+    alert.triggeredBy = triggeredBy;
+    await alert.save();
+  }
+};
+
+// Send every pending alert whose batching window has closed
+const dispatchDueAlerts = async () => {
+  const config = getAlertConfig();
+  const now = new Date();
+
+  if (isQuietTime(now, config.quietHours)) return 0;
+
+  const alerts = await AbsenceAlert.find({ status: 'Pending', scheduledFor: { $lte: now } })
+    .sort({ scheduledFor: 1 })
+    .limit(100);
+
+  for (const alert of alerts) {
+    try {
+      await sendAlert(alert, config);
+    } catch (error) {
+      console.error('Send absence alert error:', error);
+      alert.status = 'Failed';
+      await alert.save();
+    }
+  }
+
+  return alerts.length;
+};
+
+// Check for due alerts every minute
+const startAbsenceAlertDispatcher = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    dispatchDueAlerts().catch(error => console.error('Dispatch absence alerts error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// Helper functions
+const idOf = (value) => value?._id || value;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Quiet hours are "HH:MM-HH:MM" in server time and may wrap past midnight
+const isQuietTime = (date, quietHours) => {
+  if (!quietHours) return false;
+
+  const [start, end] = quietHours.split('-').map(toMinutes);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+// Move a send time that falls in quiet hours to the end of them
+const getSendTime = (date, quietHours) => {
+  if (!isQuietTime(date, quietHours)) return date;
+
+  const end = toMinutes(quietHours.split('-')[1]);
+  const sendTime = new Date(date);
+  sendTime.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (sendTime <= date) sendTime.setDate(sendTime.getDate() + 1);
+  return sendTime;
+};
+
+// Daily absences in a row, counting back over the session's working days up to the alert date
+const countConsecutiveAbsences = async (studentId, date, sessionId) => {
+  const session = await Session.findById(sessionId);
+  const records = await Attendance.find(Attendance.dailyQuery({
+    student: studentId,
+    date: { $lte: new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1) }
+  }))
+    .select('date status')
+    .sort({ date: -1 })
+    .limit(60);
+
+  const statusByDate = new Map(records.map(record => [record.date.toISOString().slice(0, 10), record.status]));
+  const dates = session
+    ? session.getWorkingDates(null, date).reverse()
+    : [...statusByDate.keys()];
+
+  let count = 0;
+  for (const day of dates) {
+    if (statusByDate.get(day) !== 'Absent') break;
+    count++;
+  }
+
+  return count;
+};
+
+const describeEntries = (alert, studentName) => {
+  const day = alert.date.toISOString().slice(0, 10);
+  const daily = alert.entries.find(entry => !entry.subject);
+  const periods = alert.entries.filter(entry => entry.subject);
+
+  const lines = [];
+  if (daily) {
+    lines.push(daily.status === 'Absent'
+      ? `${studentName} was marked absent on ${day}.`
+      : `${studentName} arrived late on ${day}.`);
+  }
+
+  periods.forEach(entry => {
+    const subject = entry.subject?.name || 'a class';
+    const period = entry.period ? ` (period ${entry.period})` : '';
+    lines.push(entry.status === 'Absent'
+      ? `${studentName} missed ${subject}${period} on ${day}.`
+      : `${studentName} was late to ${subject}${period} on ${day}.`);
+  });
+
+  return lines;
+};
+
+const sendAlert = async (alert, config) => {
+  await alert.populate([
+    { path: 'parent', select: 'firstName lastName email phone' },
+    { path: 'entries.subject', select: 'name' },
+    {
+      path: 'student',
+      select: 'user class admissionNumber',
+      populate: [
+        { path: 'user', select: 'firstName lastName' },
+        { path: 'class', select: 'name classTeacher' }
+      ]
+    }
+  ]);
+
+  const student = alert.student;
+  const studentName = student?.user ? `${student.user.firstName} ${student.user.lastName}` : 'Your child';
+
+  alert.consecutiveAbsences = await countConsecutiveAbsences(student._id, alert.date, alert.session);
+  alert.isEscalated = config.escalationDays > 0 && alert.consecutiveAbsences >= config.escalationDays;
+
+  const lines = describeEntries(alert, studentName);
+  if (alert.isEscalated) {
+    lines.push(`${studentName} has now been absent ${alert.consecutiveAbsences} school days in a row. Please contact the school.`);
+  }
+
+  const subject = alert.isEscalated
+    ? `Repeated absence: ${studentName}`
+    : `Attendance alert: ${studentName}`;
+  const text = lines.join('\n');
+
+  // Escalations always go out by SMS as well
+  const channels = new Set(config.channels);
+  if (alert.isEscalated) channels.add('sms');
+
+  const deliveries = [];
+  const deliver = async (channel, recipient, send) => {
+    if (!recipient) {
+      deliveries.push({ channel, status: 'Skipped', error: 'No recipient' });
+      return;
+    }
+    try {
+      await send();
+      deliveries.push({ channel, recipient: String(recipient), status: 'Sent' });
+    } catch (error) {
+      deliveries.push({ channel, recipient: String(recipient), status: 'Failed', error: error.message });
+    }
+  };
+
+  const parent = alert.parent;
+
+  if (channels.has('message')) {
+    await deliver('Message', parent?._id, () => Message.create({
+      sender: alert.triggeredBy,
+      recipient: parent._id,
+      subject,
+      message: text,
+      priority: alert.isEscalated ? 'Urgent' : 'High',
+      session: alert.session
+    }));
+  }
+
+  if (channels.has('email')) {
+    await deliver('Email', parent?.email, () => sendEmail({
+      to: parent.email,
+      subject: `${subject} - School Management System`,
+      text,
+      html: lines.map(line => `<p>${line}</p>`).join('')
+    }));
+  }
+
+  if (channels.has('sms')) {
+    await deliver('SMS', parent?.phone, () => sendSms(parent.phone, text));
+  }
+
+  // The class teacher is told about escalations in-app
+  const classTeacher = student.class?.classTeacher;
+  if (alert.isEscalated && classTeacher) {
+    await deliver('Message', classTeacher, () => Message.create({
+      sender: alert.triggeredBy,
+      recipient: classTeacher,
+      subject,
+      message: `${text}\nAdmission No: ${student.admissionNumber}`,
+      priority: 'Urgent',
+      session: alert.session
+    }));
+  }
+
+  alert.deliveries = deliveries;
+  alert.status = deliveries.some(delivery => delivery.status === 'Sent') ? 'Sent' : 'Failed';
+  alert.sentAt = new Date();
+  await alert.save();
+};
+
+module.exports = {
+  queueAbsenceAlerts,
+  dispatchDueAlerts,
+  startAbsenceAlertDispatcher
+};
@@ -0,0 +1,174 @@
+// Early-warning rules for chronic absenteeism. The analysis works on a student's daily
+// attendance as [{ date: 'YYYY-MM-DD', status }], where a null status is a working day
+// nobody marked, and on the student's exam marks for the session.
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Points each flag adds to the risk score, out of 100
+const RISK_WEIGHTS = {
+  lowAttendance: 35,
+  examDecline: 25,
+  fallingTrend: 20,
+  consecutiveAbsences: 15,
+  weekdayPattern: 5
+};
+
+// A trend needs this many days on each side of the comparison to mean anything
+const MIN_TREND_DAYS = 5;
+
+// Thresholds from the request, falling back to the environment, then to defaults
+const getRiskThresholds = (overrides = {}) => {
+  const pick = (key, envKey, fallback) => {
+    const value = Number(overrides[key] ?? process.env[envKey]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+
+  return {
+    attendanceBelow: pick('attendanceBelow', 'AT_RISK_ATTENDANCE_BELOW', 85),
+    consecutiveAbsences: pick('consecutiveAbsences', 'AT_RISK_CONSECUTIVE_ABSENCES', 3),
+    recentDays: pick('recentDays', 'AT_RISK_RECENT_DAYS', 30),
+    trendDrop: pick('trendDrop', 'AT_RISK_TREND_DROP', 10),
+    weekdayAbsences: pick('weekdayAbsences', 'AT_RISK_WEEKDAY_ABSENCES', 3),
+    marksDrop: pick('marksDrop', 'AT_RISK_MARKS_DROP', 10)
+  };
+};
+
+// Attendance percentage, recent-versus-earlier trend, absence streaks and weekday patterns.
+// Absent and unmarked days count as absences; Excused is attended but ends a streak.
+const analyseAttendance = (days, thresholds, endDate) => {
+  const isAbsent = (day) => day.status === 'Absent' || !day.status;
+  const percentage = (list) => list.length > 0
+    ? Math.round((list.filter(day => !isAbsent(day)).length / list.length) * 100)
+    : null;
+
+  const recentFrom = new Date(`${endDate}T00:00:00.000Z`);
+  recentFrom.setUTCDate(recentFrom.getUTCDate() - thresholds.recentDays + 1);
+  const recentKey = recentFrom.toISOString().slice(0, 10);
+  const recent = days.filter(day => day.date >= recentKey);
+  const earlier = days.filter(day => day.date < recentKey);
+
+  const recentPercentage = percentage(recent);
+  const earlierPercentage = percentage(earlier);
+  const trendDrop = recent.length >= MIN_TREND_DAYS && earlier.length >= MIN_TREND_DAYS
+    ? earlierPercentage - recentPercentage
+    : null;
+
+  let currentStreak = 0;
+  let longestStreak = 0;
+  days.forEach(day => {
+    currentStreak = isAbsent(day) ? currentStreak + 1 : 0;
+    longestStreak = Math.max(longestStreak, currentStreak);
+  });
+
+  const weekdays = new Map();
+  days.forEach(day => {
+    const weekday = new Date(`${day.date}T00:00:00.000Z`).getUTCDay();
+    if (!weekdays.has(weekday)) weekdays.set(weekday, { days: 0, absences: 0 });
+    const counts = weekdays.get(weekday);
+    counts.days += 1;
+    if (isAbsent(day)) counts.absences += 1;
+  });
+
+  // A weekday is a pattern when the student misses it at least half the time
+  const weekdayPatterns = [...weekdays.entries()]
+    .filter(([, counts]) => counts.absences >= thresholds.weekdayAbsences && counts.absences / counts.days >= 0.5)
+    .map(([weekday, counts]) => ({
+      day: WEEKDAY_NAMES[weekday],
+      absences: counts.absences,
+      days: counts.days,
+      rate: Math.round((counts.absences / counts.days) * 100)
+    }))
+    .sort((a, b) => b.rate - a.rate);
+
+  return {
+    days: days.length,
+    absences: days.filter(isAbsent).length,
+    unmarked: days.filter(day => !day.status).length,
+    percentage: percentage(days),
+    recentPercentage,
+    earlierPercentage,
+    trendDrop,
+    currentStreak,
+    longestStreak,
+    weekdayPatterns
+  };
+};
+
+// Average percentage per exam type in date order, and the drop from the one before to the latest
+const analyseMarks = (marks) => {
+  const examTypes = new Map();
+  marks
+    .filter(mark => !mark.isAbsent && mark.examType && mark.exam)
+    .forEach(mark => {
+      const key = mark.examType._id.toString();
+      if (!examTypes.has(key)) {
+        examTypes.set(key, { examType: mark.examType.name, date: mark.exam.date, total: 0, count: 0 });
+      }
+      const group = examTypes.get(key);
+      group.total += mark.percentage || 0;
+      group.count += 1;
+      if (mark.exam.date > group.date) group.date = mark.exam.date;
+    });
+
+  const results = [...examTypes.values()]
+    .sort((a, b) => a.date - b.date)
+    .map(group => ({
+      examType: group.examType,
+      date: group.date,
+      percentage: Math.round(group.total / group.count)
+    }));
+
+  const latest = results[results.length - 1] || null;
+  const previous = results[results.length - 2] || null;
+
+  return {
+    results,
+    latest,
+    previous,
+    drop: latest && previous ? previous.percentage - latest.percentage : null
+  };
+};
+
+// Flags raised by the analyses, the weighted risk score and a level
+const assessRisk = (attendance, marks, thresholds) => {
+  const flags = [];
+
+  if (attendance.percentage !== null && attendance.percentage < thresholds.attendanceBelow) {
+    flags.push({ type: 'lowAttendance', message: `Attendance ${attendance.percentage}% is below ${thresholds.attendanceBelow}%` });
+  }
+  if (attendance.trendDrop !== null && attendance.trendDrop >= thresholds.trendDrop) {
+    flags.push({ type: 'fallingTrend', message: `Attendance fell from ${attendance.earlierPercentage}% to ${attendance.recentPercentage}% in the last ${thresholds.recentDays} days` });
+  }
+  if (attendance.longestStreak >= thresholds.consecutiveAbsences) {
+    flags.push({
+      type: 'consecutiveAbsences',
+      message: attendance.currentStreak >= thresholds.consecutiveAbsences
+        ? `Absent for the last ${attendance.currentStreak} working days`
+        : `Absent for ${attendance.longestStreak} working days in a row`
+    });
+  }
+  if (attendance.weekdayPatterns.length > 0) {
+    flags.push({
+      type: 'weekdayPattern',
+      message: `Often absent on ${attendance.weekdayPatterns.map(pattern => pattern.day).join(', ')}`
+    });
+  }
+  if (marks.drop !== null && marks.drop >= thresholds.marksDrop) {
+    flags.push({ type: 'examDecline', message: `Marks fell from ${marks.previous.percentage}% in ${marks.previous.examType} to ${marks.latest.percentage}% in ${marks.latest.examType}` });
+  }
+
+  const riskScore = flags.reduce((sum, flag) => sum + RISK_WEIGHTS[flag.type], 0);
+
+  // Poor attendance alongside falling marks is the combination staff most need to see
+  const combined = flags.some(flag => flag.type === 'examDecline') && flags.length > 1;
+  const riskLevel = riskScore >= 50 || combined ? 'High' : riskScore >= 25 ? 'Medium' : riskScore > 0 ? 'Low' : 'None';
+
+  return { flags, riskScore, riskLevel };
+};
+
+module.exports = {
+  getRiskThresholds,
+  analyseAttendance,
+  analyseMarks,
+  assessRisk
+};
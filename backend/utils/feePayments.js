@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const FeePayment = require('../models/FeePayment');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeeStructure = require('../models/FeeStructure');
+
+// Bring late fees up to date as of the payment date, waiving them when an admin asked to.
+// Only the invoices a payment is allocated to are saved, so other waivers are dropped.
+const applyLateFees = async (invoices, asOf, waiver) => {
+  const structures = new Map((await FeeStructure.find({
+    _id: { $in: [...new Set(invoices.map(invoice => invoice.feeStructure.toString()))] }
+  })).map(structure => [structure._id.toString(), structure]));
+
+  invoices.forEach(invoice => {
+    const structure = structures.get(invoice.feeStructure.toString());
+    if (structure) invoice.accrueLateFee(structure, asOf);
+    if (waiver && invoice.lateFee > 0) invoice.waiveLateFee(waiver.userId, waiver.reason, waiver.paymentId);
+  });
+};
+
+// Split an amount over invoices in the order given, settling each before the next.
+// Returns { plan: [{ invoice, amount }], remaining }.
+const allocateInOrder = (invoices, amount) => {
+  let remaining = round(amount);
+  const plan = [];
+
+  for (const invoice of invoices) {
+    if (remaining <= 0) break;
+    const share = round(Math.min(invoice.balance, remaining));
+    if (share > 0) {
+      plan.push({ invoice, amount: share });
+      remaining = round(remaining - share);
+    }
+  }
+
+  return { plan, remaining };
+};
+
+// Record a payment allocated against invoices and apply it to each of them. Anything the
+// plan does not cover stays on the payment as unallocatedAmount.
+const createInvoicePayment = async ({
+  student,
+  plan,
+  amount,
+  paymentDate,
+  paymentMethod,
+  transactionId,
+  remarks,
+  collectedBy,
+  waiver,
+  unallocatedAmount = 0,
+  session,
+  paymentId = new mongoose.Types.ObjectId()
+}) => {
+  const date = paymentDate || new Date();
+  const single = plan.length === 1 ? plan[0].invoice : null;
+  const waived = round(plan.reduce((sum, row) => sum + (row.invoice.lateFeeWaiver?.amount || 0), 0));
+
+  const payment = await FeePayment.create({
+    _id: paymentId,
+    student: student._id || student,
+    feeStructure: single?.feeStructure,
+    feeType: single?.feeType,
+    month: date.getMonth() + 1,
+    year: date.getFullYear(),
+    dueAmount: round(plan.reduce((sum, row) => sum + row.invoice.balance, 0)),
+    paidAmount: round(amount),
+    totalAmount: round(amount),
+    dueDate: plan[0]?.invoice.dueDate,
+    paymentDate: date,
+    paymentMethod,
+    transactionId,
+    remarks,
+    allocations: plan.map(row => ({ invoice: row.invoice._id, amount: row.amount })),
+    unallocatedAmount: round(unallocatedAmount),
+    lateFeeWaiver: waiver ? { amount: waived, reason: waiver.reason, waivedBy: waiver.userId } : undefined,
+    collectedBy,
+    session: session || plan[0].invoice.session
+  });
+
+  await applyPaymentAllocations(payment, plan.map(row => row.invoice));
+  return payment;
+};
+
+// Apply a recorded payment's allocations to its invoices, using the given invoice documents
+// where there are any. Invoices already holding the payment are skipped, so calling this again
+// finishes an allocation that was interrupted. When another payment reached one of the invoices
+// first, or its balance no longer covers the allocation, the payment is taken back off its
+// invoices and deleted, and an error with statusCode 409 is thrown.
+const applyPaymentAllocations = async (payment, invoices = []) => {
+  try {
+    for (const allocation of payment.allocations) {
+      const invoice = invoices.find(row => row._id.toString() === allocation.invoice.toString()) ||
+        await FeeInvoice.findById(allocation.invoice);
+
+      if (!invoice || invoice.allocations.some(row => row.payment.toString() === payment._id.toString())) {
+        continue;
+      }
+
+      if (round(allocation.amount) > invoice.balance) {
+        throw allocationConflict();
+      }
+
+      invoice.allocatePayment(payment._id, allocation.amount);
+      await invoice.save();
+    }
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.VersionError) && error.statusCode !== 409) throw error;
+
+    await withdrawPayment(payment);
+    throw allocationConflict();
+  }
+};
+
+// Take a payment off every invoice holding it, then delete it
+const withdrawPayment = async (payment) => {
+  for (const allocation of payment.allocations) {
+    for (let attempt = 1; ; attempt++) {
+      const invoice = await FeeInvoice.findById(allocation.invoice);
+      if (!invoice || !invoice.allocations.some(row => row.payment.toString() === payment._id.toString())) {
+        break;
+      }
+
+      try {
+        await invoice.removePayment(payment._id).save();
+        break;
+      } catch (error) {
+        if (!(error instanceof mongoose.Error.VersionError) || attempt >= 5) throw error;
+      }
+    }
+  }
+
+  await FeePayment.deleteOne({ _id: payment._id });
+};
+
+// Helper functions
+const round = (value) => Math.round(value * 100) / 100;
+
+const allocationConflict = () => {
+  const error = new Error('An invoice was paid by another payment at the same time. Nothing was recorded; please try again.');
+  error.statusCode = 409;
+  return error;
+};
+
+module.exports = {
+  applyLateFees,
+  allocateInOrder,
+  createInvoicePayment,
+  applyPaymentAllocations
+};
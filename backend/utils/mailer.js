@@ -0,0 +1,33 @@
+const nodemailer = require('nodemailer');
+
+// One SMTP transport for the whole app, created on first use from the environment
+let transporter;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: process.env.EMAIL_PORT,
+      secure: false,
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+
+  return transporter;
+};
+
+// Send an email from EMAIL_FROM
+const sendEmail = ({ to, subject, html, text }) => getTransporter().sendMail({
+  from: process.env.EMAIL_FROM,
+  to,
+  subject,
+  html,
+  text
+});
+
+module.exports = {
+  sendEmail
+};
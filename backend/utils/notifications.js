@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+// SMS providers take (to, text) and resolve once the message is accepted.
+// The console and file providers are development stand-ins: they never reach a phone, so they
+// are refused in production until a gateway is registered with registerSmsProvider.
+const DEV_SMS_PROVIDERS = ['console', 'file'];
+
+const smsProviders = {
+  console: async (to, text) => {
+    console.log(`[SMS] to ${to}: ${text}`);
+  },
+  file: async (to, text) => {
+    const logPath = process.env.SMS_LOG_PATH || 'logs/sms.log';
+    await fs.promises.mkdir(path.dirname(logPath), { recursive: true });
+    await fs.promises.appendFile(logPath, `${new Date().toISOString()}\t${to}\t${text.replace(/\s+/g, ' ')}\n`);
+  }
+};
+
+const registerSmsProvider = (name, provider) => {
+  smsProviders[name] = provider;
+};
+
+// Get the provider named by SMS_PROVIDER. Outside production it defaults to console.
+const getSmsProvider = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const name = process.env.SMS_PROVIDER || (isProduction ? null : 'console');
+
+  if (!name) {
+    throw new Error('No SMS provider is configured. Set SMS_PROVIDER to a registered gateway');
+  }
+  if (isProduction && DEV_SMS_PROVIDERS.includes(name)) {
+    throw new Error(`The ${name} SMS provider is for development only`);
+  }
+
+  const provider = smsProviders[name];
+  if (!provider) {
+    throw new Error(`SMS provider "${name}" is not registered`);
+  }
+
+  return provider;
+};
+
+// Why SMS cannot be sent, or null when a provider is available
+const getSmsConfigError = () => {
+  try {
+    getSmsProvider();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Send an SMS; fails when no usable provider is configured, so the delivery is recorded as failed
+const sendSms = async (to, text) => getSmsProvider()(to, text);
+
+module.exports = {
+  sendSms,
+  registerSmsProvider,
+  getSmsConfigError
+};
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const PaymentTransaction = require('../models/PaymentTransaction');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeePayment = require('../models/FeePayment');
+const { getPaymentProvider } = require('./paymentGateway');
+const { applyLateFees, allocateInOrder, createInvoicePayment, applyPaymentAllocations } = require('./feePayments');
+
+const getReconcileConfig = () => ({
+  // Orders younger than this are left to their webhook
+  afterMinutes: Number(process.env.PAYMENT_RECONCILE_AFTER_MINUTES || 15),
+  // Orders still pending after this long are expired
+  expiryHours: Number(process.env.PAYMENT_ORDER_EXPIRY_HOURS || 24),
+  // Failed orders are checked again for this long, in case the provider settles them late
+  failedLookbackDays: Number(process.env.PAYMENT_FAILED_LOOKBACK_DAYS || 3)
+});
+
+// Handle a webhook from a provider. Returns { status, body } for the response; a thrown error
+// leaves the event unrecorded so the provider's retry is processed again.
+const processWebhook = async (providerName, rawBody, headers, body) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(providerName).provider;
+  } catch (error) {
+    return { status: 404, body: { success: false, message: error.message } };
+  }
+
+  if (!provider.verifySignature(rawBody, headers)) {
+    return { status: 401, body: { success: false, message: 'Invalid webhook signature' } };
+  }
+
+  const event = provider.parseWebhook(body);
+  if (!event.eventId || !event.providerOrderId) {
+    return { status: 400, body: { success: false, message: 'Webhook is missing an event or order ID' } };
+  }
+
+  const seen = await PaymentWebhookEvent.findOne({ provider: providerName, eventId: event.eventId });
+  if (seen) {
+    return { status: 200, body: { success: true, message: 'Event already processed', data: { duplicate: true } } };
+  }
+
+  const transaction = await PaymentTransaction.findOne({
+    provider: providerName,
+    providerOrderId: event.providerOrderId
+  });
+
+  // A payment that does not match the order is acknowledged, so the provider stops retrying,
+  // and the order is held for review instead of being booked
+  let message = 'Order not found';
+  let outcome = 'Ignored';
+  if (transaction) {
+    const updated = await applyProviderStatus(transaction, event);
+    message = updated.status === 'Review' ? updated.failureReason : `Order is ${updated.status}`;
+    outcome = updated.status === 'Review' ? 'Review' : 'Processed';
+  }
+
+  try {
+    await PaymentWebhookEvent.create({
+      provider: providerName,
+      eventId: event.eventId,
+      type: event.type,
+      transaction: transaction?._id,
+      outcome,
+      message
+    });
+  } catch (error) {
+    // The same event arrived twice at once; the transaction only completes once either way
+    if (error.code !== 11000) throw error;
+  }
+
+  return { status: 200, body: { success: true, message } };
+};
+
+// Move a transaction on to what the provider reports. Paid transactions, and those held for
+// review, never change again.
+const applyProviderStatus = async (transaction, result) => {
+  transaction.lastCheckedAt = new Date();
+
+  if (['Paid', 'Review'].includes(transaction.status)) {
+    return transaction;
+  }
+
+  if (result.status === 'Paid') {
+    const mismatch = getAmountMismatch(transaction, result);
+    if (!mismatch) {
+      return completeTransaction(transaction, result);
+    }
+
+    // Held for an admin to look into
+    console.error(`Payment ${transaction.orderId} held for review: ${mismatch}`);
+    transaction.status = 'Review';
+    transaction.failureReason = mismatch;
+  } else if (result.status === 'Failed') {
+    transaction.status = 'Failed';
+    transaction.failureReason = result.failureReason || 'Payment failed';
+  } else if (transaction.status === 'Created') {
+    transaction.status = 'Pending';
+  }
+
+  await transaction.save();
+  return transaction;
+};
+
+// Record the FeePayment for a transaction the provider says is paid. The status is claimed
+// first, so a webhook and reconciliation racing each other create one payment between them.
+// The payment's ID is stored on the transaction before anything else is written, so a retry
+// after a failure finishes that payment instead of recording a second one.
+const completeTransaction = async (transaction, result) => {
+  const claimed = await PaymentTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $ne: 'Paid' } },
+    {
+      $set: {
+        status: 'Paid',
+        transactionId: result.transactionId,
+        paidAt: new Date(),
+        lastCheckedAt: new Date()
+      },
+      $unset: { failureReason: 1 }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return PaymentTransaction.findById(transaction._id);
+  }
+
+  try {
+    if (!claimed.feePayment) {
+      claimed.feePayment = new mongoose.Types.ObjectId();
+      await claimed.save();
+    }
+
+    let payment = await FeePayment.findById(claimed.feePayment);
+    if (payment) {
+      await applyPaymentAllocations(payment);
+    } else {
+      const invoices = await FeeInvoice.getOpenInvoices(claimed.student);
+      await applyLateFees(invoices, claimed.paidAt);
+
+      // Invoices chosen at checkout come first; anything they no longer need goes to the oldest dues
+      const chosen = claimed.allocations
+        .map(allocation => invoices.find(invoice => invoice._id.toString() === allocation.invoice.toString()))
+        .filter(Boolean);
+      const others = invoices.filter(invoice => !chosen.includes(invoice));
+      const { plan, remaining } = allocateInOrder([...chosen, ...others], claimed.amount);
+
+      payment = await createInvoicePayment({
+        student: claimed.student,
+        plan,
+        amount: claimed.amount,
+        paymentDate: claimed.paidAt,
+        paymentMethod: 'Online',
+        transactionId: claimed.transactionId,
+        remarks: `Online payment ${claimed.orderId} via ${claimed.provider}`,
+        collectedBy: claimed.initiatedBy,
+        unallocatedAmount: remaining,
+        session: claimed.session,
+        paymentId: claimed.feePayment
+      });
+    }
+
+    claimed.unallocatedAmount = payment.unallocatedAmount;
+    await claimed.save();
+    return claimed;
+  } catch (error) {
+    // Release the claim so the next webhook or reconciliation can try again
+    await PaymentTransaction.updateOne({ _id: claimed._id }, { $set: { status: 'Pending' } });
+    throw error;
+  }
+};
+
+// A paid result must be for exactly the order's amount and currency
+const getAmountMismatch = (transaction, result) => {
+  if (Math.round(Number(result.amount) * 100) / 100 !== transaction.amount) {
+    return `Provider reported ${result.amount} paid for an order of ${transaction.amount}`;
+  }
+
+  if (String(result.currency || '').toUpperCase() !== transaction.currency) {
+    return `Provider reported currency ${result.currency} for an order in ${transaction.currency}`;
+  }
+
+  return null;
+};
+
+// Ask providers about orders that never got a webhook, or that failed recently
+const reconcileTransactions = async () => {
+  const config = getReconcileConfig();
+  const now = Date.now();
+
+  const transactions = await PaymentTransaction.find({
+    $or: [
+      {
+        status: { $in: ['Created', 'Pending'] },
+        createdAt: { $lte: new Date(now - config.afterMinutes * 60 * 1000) }
+      },
+      {
+        status: 'Failed',
+        createdAt: { $gte: new Date(now - config.failedLookbackDays * 24 * 60 * 60 * 1000) }
+      }
+    ]
+  }).sort({ createdAt: 1 });
+
+  const summary = { checked: 0, paid: 0, pending: 0, failed: 0, expired: 0, review: 0, unchanged: 0, errors: 0 };
+
+  for (const transaction of transactions) {
+    summary.checked++;
+    const before = transaction.status;
+
+    try {
+      let result = { status: 'Pending' };
+      if (transaction.providerOrderId) {
+        result = await getPaymentProvider(transaction.provider).provider.getStatus(transaction.providerOrderId);
+      }
+
+      const updated = await applyProviderStatus(transaction, result);
+
+      if (['Created', 'Pending'].includes(updated.status) &&
+          now - updated.createdAt.getTime() > config.expiryHours * 60 * 60 * 1000) {
+        updated.status = 'Expired';
+        await updated.save();
+      }
+
+      if (updated.status === before) {
+        summary.unchanged++;
+      } else {
+        summary[updated.status.toLowerCase()]++;
+      }
+    } catch (error) {
+      console.error(`Reconcile payment ${transaction.orderId} error:`, error);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+};
+
+const startPaymentReconciler = (intervalMs = Number(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES || 10) * 60 * 1000) => {
+  const timer = setInterval(() => {
+    reconcileTransactions().catch(error => console.error('Reconcile payments error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  processWebhook,
+  applyProviderStatus,
+  reconcileTransactions,
+  startPaymentReconciler
+};
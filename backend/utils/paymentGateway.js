@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+// Payment providers implement:
+//   createOrder({ orderId, amount, currency, description, customer })
+//     resolves { providerOrderId, checkoutUrl }
+//   verifySignature(rawBody, headers)
+//     true when a webhook really came from the provider
+//   parseWebhook(body)
+//     { eventId, type, providerOrderId, status, transactionId, amount, currency, failureReason }
+//   getStatus(providerOrderId)
+//     resolves { status, transactionId, amount, currency, failureReason }
+// where status is 'Pending', 'Paid' or 'Failed'. A 'Paid' result must carry the amount and
+// currency received, and is only booked when they match the order. The mock provider stands
+// in until a real gateway is registered with registerPaymentProvider.
+
+// Sandbox provider for local testing. Orders live in memory, so a restart forgets them
+// and they stay Pending until reconciliation expires them. It settles any order it is
+// asked to, so it is never available in production.
+const mockOrders = new Map();
+
+const mockSign = (rawBody) => crypto
+  .createHmac('sha256', process.env.MOCK_PAYMENT_SECRET)
+  .update(rawBody)
+  .digest('hex');
+
+const mockProvider = {
+  createOrder: async ({ orderId, amount, currency }) => {
+    const providerOrderId = `mock_order_${crypto.randomBytes(8).toString('hex')}`;
+    mockOrders.set(providerOrderId, { orderId, amount, currency, status: 'Pending' });
+
+    const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return {
+      providerOrderId,
+      checkoutUrl: `${baseUrl}/api/payments/mock/${providerOrderId}/complete`
+    };
+  },
+
+  verifySignature: (rawBody, headers) => {
+    const signature = headers['x-mock-signature'];
+    if (!process.env.MOCK_PAYMENT_SECRET || !rawBody || !signature) return false;
+
+    const expected = Buffer.from(mockSign(rawBody));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  parseWebhook: (body) => ({
+    eventId: body.id,
+    type: body.type,
+    providerOrderId: body.data?.orderId,
+    status: { 'payment.succeeded': 'Paid', 'payment.failed': 'Failed' }[body.type] || 'Pending',
+    transactionId: body.data?.transactionId,
+    amount: body.data?.amount,
+    currency: body.data?.currency,
+    failureReason: body.data?.reason
+  }),
+
+  getStatus: async (providerOrderId) => {
+    const order = mockOrders.get(providerOrderId);
+    if (!order) return { status: 'Pending' };
+
+    return {
+      status: order.status,
+      transactionId: order.transactionId,
+      amount: order.amount,
+      currency: order.currency,
+      failureReason: order.failureReason
+    };
+  },
+
+  // Settle a sandbox order and build the signed webhook the provider would send
+  createWebhook: (providerOrderId, outcome) => {
+    const order = mockOrders.get(providerOrderId);
+    if (!order) return null;
+
+    if (order.status === 'Pending') {
+      order.status = outcome === 'success' ? 'Paid' : 'Failed';
+      order.transactionId = order.status === 'Paid' ? `mock_txn_${crypto.randomBytes(8).toString('hex')}` : undefined;
+      order.failureReason = order.status === 'Failed' ? 'Declined in sandbox' : undefined;
+    }
+
+    const rawBody = JSON.stringify({
+      id: `mock_evt_${crypto.randomBytes(8).toString('hex')}`,
+      type: order.status === 'Paid' ? 'payment.succeeded' : 'payment.failed',
+      data: {
+        orderId: providerOrderId,
+        transactionId: order.transactionId,
+        amount: order.amount,
+        currency: order.currency,
+        reason: order.failureReason
+      }
+    });
+
+    return { rawBody, headers: { 'x-mock-signature': mockSign(rawBody) } };
+  }
+};
+
+const paymentProviders = {
+  mock: mockProvider
+};
+
+const registerPaymentProvider = (name, provider) => {
+  paymentProviders[name] = provider;
+};
+
+// Get a provider by name, or the one named by PAYMENT_PROVIDER (mock by default)
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider is not available in production');
+  }
+
+  // The mock provider has no default secret, so its webhooks cannot be forged
+  if (name === 'mock' && !process.env.MOCK_PAYMENT_SECRET) {
+    throw new Error('MOCK_PAYMENT_SECRET must be set to use the mock payment provider');
+  }
+
+  const provider = paymentProviders[name];
+  if (!provider) {
+    throw new Error(`Payment provider "${name}" is not registered`);
+  }
+
+  return { name, provider };
+};
+
+// Why the configured provider cannot be used, or null when online payments are available
+const getPaymentConfigError = () => {
+  try {
+    getPaymentProvider();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+  getPaymentConfigError
+};
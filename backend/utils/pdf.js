@@ -0,0 +1,53 @@
+const PDFDocument = require('pdfkit');
+
+// Start a PDF download; the caller writes pages and calls doc.end()
+const createPdfResponse = (res, filename, options = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40, ...options });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  doc.pipe(res);
+
+  return doc;
+};
+
+// Draw a simple grid table, repeating the header on each new page.
+// columns: Array of { header, width, align }; rows: Array of arrays of cell text.
+const drawTable = (doc, columns, rows, { fontSize = 9, padding = 4 } = {}) => {
+  const left = doc.page.margins.left;
+  const rowHeight = fontSize + padding * 2 + 2;
+
+  const drawRow = (cells, isHeader) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!isHeader) drawRow(columns.map(column => column.header), true);
+    }
+
+    const top = doc.y;
+    let x = left;
+    doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+
+    columns.forEach((column, index) => {
+      doc.rect(x, top, column.width, rowHeight).stroke();
+      doc.text(String(cells[index] ?? ''), x + padding, top + padding, {
+        width: column.width - padding * 2,
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += column.width;
+    });
+
+    doc.x = left;
+    doc.y = top + rowHeight;
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  rows.forEach(cells => drawRow(cells, false));
+  doc.font('Helvetica');
+};
+
+module.exports = {
+  createPdfResponse,
+  drawTable
+};
@@ -0,0 +1,76 @@
+// Parse CSV or terminal punch logs into punches of { deviceId, date: 'YYYY-MM-DD', time: 'HH:MM' }.
+// Each line starts with the device user ID followed by a timestamp, either in one field
+// ("2024-01-15 08:01:23") or split over a date and a time field. Dates may be YYYY-MM-DD or
+// DD-MM-YYYY with -, / or . separators. Fields may be separated by commas, semicolons or tabs.
+// Other trailing fields (verify mode, in/out flag, work code) are ignored.
+const parsePunchLog = (content) => {
+  const punches = [];
+  const invalid = [];
+
+  content.split(/\r?\n/).forEach((text, index) => {
+    const line = index + 1;
+    if (!text.trim()) return;
+
+    const fields = text.split(/[,;\t]/).map(field => field.trim().replace(/^"|"$/g, ''));
+    const deviceId = fields[0];
+    const stamp = parseTimestamp(fields[1], fields[2]);
+
+    if (!deviceId || !stamp) {
+      // A header row is expected to fail to parse; anything else is reported
+      if (index > 0 || punches.length > 0 || /\d{1,2}:\d{2}/.test(text)) {
+        invalid.push({ line, text: text.slice(0, 200), reason: deviceId ? 'Unrecognised timestamp' : 'Missing device ID' });
+      }
+      return;
+    }
+
+    punches.push({ deviceId, ...stamp, line });
+  });
+
+  return { punches, invalid };
+};
+
+// First and last punch of each device ID per day, as { deviceId, date, timeIn, timeOut, punches }
+const groupPunchesByDay = (punches) => {
+  const days = new Map();
+
+  punches.forEach(punch => {
+    const key = `${punch.deviceId}|${punch.date}`;
+    if (!days.has(key)) {
+      days.set(key, { deviceId: punch.deviceId, date: punch.date, times: [] });
+    }
+    days.get(key).times.push(punch.time);
+  });
+
+  return [...days.values()].map(day => {
+    const times = [...new Set(day.times)].sort();
+    return {
+      deviceId: day.deviceId,
+      date: day.date,
+      timeIn: times[0],
+      timeOut: times.length > 1 ? times[times.length - 1] : undefined,
+      punches: day.times.length
+    };
+  });
+};
+
+// Helper functions
+const parseTimestamp = (first = '', second = '') => {
+  const combined = /^\d{1,2}:\d{2}(:\d{2})?$/.test(second) ? `${first} ${second}` : first;
+  const match = combined.match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})[ T](\d{1,2}):(\d{2})(?::\d{2})?/);
+  if (!match) return null;
+
+  const [, a, b, c, hours, minutes] = match;
+  const [year, month, day] = a.length === 4 ? [a, b, c] : [c, b, a];
+  if (year.length !== 4 || Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+  if (Number(hours) > 23 || Number(minutes) > 59) return null;
+
+  return {
+    date: `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`,
+    time: `${hours.padStart(2, '0')}:${minutes}`
+  };
+};
+
+module.exports = {
+  parsePunchLog,
+  groupPunchesByDay
+};